@@ -1,153 +1,444 @@
+const mongoose = require('mongoose');
 const BloodRequest = require('../models/BloodRequest');
 const Donor = require('../models/Donor');
 const Hospital = require('../models/Hospital');
 const ResponseToken = require('../models/ResponseToken');
+const DonorResponse = require('../models/DonorLocationResponse');
 const Notification = require('../models/Notification');
-const { sendSMS, getSMSTemplate, formatSMSMessage } = require('../services/smsService');
 const { broadcastNotification } = require('../utils/notificationStream');
+const { MATCH_MODES, isCompatible, getMatchRank } = require('../utils/bloodCompatibility');
+const { getDonorDistanceKm } = require('../utils/geo');
+const { getEligibilityRules, evaluateEligibility } = require('../services/eligibilityService');
+const { getBatchPolicy } = require('../services/batchPolicy');
+const { enqueue } = require('../services/jobQueue');
+const { ACCEPTING_STATUSES, OPEN_STATUSES, TRANSITIONS, canTransition, transition, tryTransition, actorFromUser } = require('../services/requestLifecycle');
+const { revokeOutreach } = require('../services/requestExpiry');
+const { releasePledgedUnits, resumeOutreach } = require('../services/unitService');
+const { CHANNEL_LABELS, getResponseUrl, getDonorName, getDonorChannels, getRequestVariables, composeRequestMessage, contactDonor } = require('../services/outreachService');
+const { renderContent } = require('../services/templateService');
+const { getFatigueMap, recordContact } = require('../services/fatigueService');
+const { getQuietHoursPolicy, bypassesQuietHours, isDonorReachableNow, nextOpenTime, canNotifyNow, describeDeferral } = require('../services/quietHours');
+const { isAvailable, describeUnavailability } = require('../services/availabilityService');
+const { getTokenExpiry, createResponseToken } = require('../services/responseTokenService');
+
+
+
+// Urgent requests get a reminder halfway through the response window
+const REMINDER_URGENCIES = ['high', 'pregnancy'];
+const MIN_REMINDER_WINDOW = 4; // minutes
+
+// Send the request to one donor in a batch: issue a response token, contact them on their
+// preferred channel (falling back down their list if a send fails) and tell the hospital.
+// Returns the contact result, or null when the donor has no reachable channel.
+const contactBatchDonor = async (request, hospital, donor, batchNumber) => {
+  const donorName = getDonorName(donor);
+  if (getDonorChannels(donor).length === 0) return null;
+
+  // Signed tracking token, valid until the blood is needed by
+  const expiresAt = getTokenExpiry(request);
+  const responseToken = createResponseToken(request._id, donor._id, expiresAt);
+
+  // Push token to request's activeTokens (atomic, donors in a batch run in parallel)
+  await BloodRequest.updateOne({ _id: request._id }, { $push: { activeTokens: responseToken } });
+
+  const tokenDoc = await ResponseToken.create({
+    token: responseToken,
+    requestId: request._id,
+    donorId: donor._id,
+    batchNumber,
+    expiresAt
+  });
+
+  const content = await composeRequestMessage(request, hospital, donorName, donor.preferredLanguage, responseToken);
+  const result = await contactDonor(donor, content, { requestId: request._id, token: responseToken });
+
+  const tokenUpdate = { channelIndex: result.channelIndex };
+  if (result.success) {
+    tokenUpdate.channel = result.channel;
+    tokenUpdate.lastContactedAt = new Date();
+  }
+  await ResponseToken.updateOne({ _id: tokenDoc._id }, { $set: tokenUpdate });
 
+  if (result.success) {
+    await recordContact({ donorId: donor._id, requestId: request._id, batchNumber, channel: result.channel });
 
+    const distanceKm = getDonorDistanceKm(hospital, donor);
+    const label = CHANNEL_LABELS[result.channel];
+    // Create success notification
+    try {
+      const notif = await Notification.create({
+        hospitalId: hospital.id,
+        type: 'info',
+        title: `${label} Sent (Batch)`,
+        message: `${label} sent to ${donorName} (${result.to})${result.channelIndex > 0 ? ' after fallback' : ''}${distanceKm !== null ? ` - ${distanceKm} km away` : ''}`,
+        meta: { bloodRequestId: request._id, donorId: donor._id, channel: result.channel, messageId: result.id, distanceKm }
+      });
+      broadcastNotification(notif);
+    } catch (e) {
+      console.error('Failed to create notification', e);
+    }
+  }
+  return result;
+};
 
 // Send next batch of SMS
 const sendNextBatch = async (requestId) => {
   try {
     const request = await BloodRequest.findById(requestId).populate('hospitalId');
-    if (!request) return;
+    if (!request) return { sent: 0, skipped: 'not found' };
 
-    // Check if request is still active
-    if (request.status !== 'active') {
+    // Check if request still accepts donors
+    if (!ACCEPTING_STATUSES.includes(request.status)) {
       console.log(`[Batch] Request ${requestId} is not active (Status: ${request.status}). Skipping batch.`);
-      return;
+      return { sent: 0, skipped: request.status };
     }
 
     // Check if queue is empty
     if (request.remainingDonorsQueue.length === 0) {
       console.log(`[Batch] No more donors in queue for request ${requestId}`);
-      // Optional: Mark as completed if no donors left? Or just leave as pending.
-      return;
+      await BloodRequest.updateOne({ _id: request._id }, { $set: { batchInProgress: false } });
+      return { sent: 0, skipped: 'queue empty' };
     }
 
-    const batchSize = request.batchSize || 1;
+    // Size the batch from urgency, deadline, units still needed and response history
+    const policy = await getBatchPolicy(request);
+
+    const currentBatch = request.batchNumber || 0;
+    const batchNumber = currentBatch + 1;
+    const batchSentAt = new Date();
+
+    // Donors who marked themselves unavailable since the queue was built leave it
+    const queuedDonors = await Donor.find({ _id: { $in: request.remainingDonorsQueue } }, { timezone: 1, availability: 1 });
+    const queued = await dropUnavailableDonors(request, queuedDonors, batchSentAt);
+    const byId = new Map(queued.map(d => [d._id.toString(), d]));
+    const queue = request.remainingDonorsQueue.filter(id => byId.has(id.toString()));
+    if (queue.length === 0) {
+      console.log(`[Batch] No available donors left in queue for request ${requestId}`);
+      await BloodRequest.updateOne({ _id: request._id }, { $set: { batchInProgress: false } });
+      return { sent: 0, skipped: 'queue empty' };
+    }
 
-    // Extract batch
-    const nextBatchIds = request.remainingDonorsQueue.slice(0, batchSize);
+    // Extract batch. Outside emergencies, donors in their quiet hours keep their place in the queue.
+    let nextBatchIds = queue.slice(0, policy.batchSize);
+    const quietHours = await getQuietHoursPolicy();
+    if (!bypassesQuietHours(request, quietHours)) {
+      const awake = queue.filter(id => isDonorReachableNow(byId.get(id.toString()), quietHours, batchSentAt));
+      nextBatchIds = awake.slice(0, policy.batchSize);
 
-    // Remove from queue and add to notified
-    request.remainingDonorsQueue = request.remainingDonorsQueue.slice(batchSize);
-    request.notifiedDonors.push(...nextBatchIds);
+      if (nextBatchIds.length === 0) {
+        return deferBatch(request, batchNumber, queued, quietHours);
+      }
+    }
 
-    // Set batch tracking
-    request.batchSentAt = new Date();
-    request.batchInProgress = true;
+    // Claim the batch atomically: if another worker already moved the batch number on, back off
+    const claimed = await BloodRequest.findOneAndUpdate(
+      {
+        _id: request._id,
+        status: { $in: ACCEPTING_STATUSES },
+        batchNumber: currentBatch === 0 ? { $in: [0, null] } : currentBatch
+      },
+      {
+        $pull: { remainingDonorsQueue: { $in: nextBatchIds } },
+        $push: { notifiedDonors: { $each: nextBatchIds } },
+        $set: {
+          batchNumber,
+          batchSize: policy.batchSize,
+          responseWindow: policy.responseWindow,
+          batchPolicyReasons: policy.reasons,
+          confirmedAtBatchStart: request.confirmedUnits || 0,
+          batchSentAt,
+          batchInProgress: true,
+          deferredUntil: null
+        }
+      },
+      { new: true }
+    );
 
-    await request.save();
+    if (!claimed) {
+      console.log(`[Batch] Batch ${batchNumber} for request ${requestId} was already dispatched. Skipping.`);
+      return { sent: 0, skipped: 'already dispatched' };
+    }
+
+    // Schedule the end of this response window (and a reminder for urgent requests)
+    const windowMs = policy.responseWindow * 60 * 1000;
+    await enqueue('dispatch-batch', { requestId: String(request._id), batchNumber: batchNumber + 1 }, {
+      runAt: new Date(batchSentAt.getTime() + windowMs),
+      idempotencyKey: `dispatch-batch:${request._id}:${batchNumber + 1}`
+    });
+    if (REMINDER_URGENCIES.includes(request.urgency) && policy.responseWindow >= MIN_REMINDER_WINDOW) {
+      await enqueue('batch-reminder', { requestId: String(request._id), batchNumber }, {
+        runAt: new Date(batchSentAt.getTime() + windowMs / 2),
+        idempotencyKey: `batch-reminder:${request._id}:${batchNumber}`
+      });
+    }
+    // Donors who do not answer in the window are tried on their next channel
+    await enqueue('channel-fallback', { requestId: String(request._id), batchNumber, step: 1 }, {
+      runAt: new Date(batchSentAt.getTime() + windowMs),
+      idempotencyKey: `channel-fallback:${request._id}:${batchNumber}:1`
+    });
 
     console.log(`\n📦 === SENDING BATCH SMS ===`);
     console.log(`Request ID: ${requestId}`);
-    console.log(`Batch Size: ${nextBatchIds.length}`);
-    console.log(`Remaining in queue: ${request.remainingDonorsQueue.length}`);
+    console.log(`Batch ${batchNumber} Size: ${nextBatchIds.length} (window ${policy.responseWindow} min, escalation ${policy.escalationLevel}: ${policy.reasons.join(', ')})`);
+    console.log(`Remaining in queue: ${claimed.remainingDonorsQueue.length}`);
 
     // Fetch donor details
     const donors = await Donor.find({ _id: { $in: nextBatchIds } });
     const hospital = request.hospitalId;
 
-    let smsSuccessCount = 0;
+    let sentCount = 0;
 
     // Process batch
-    const smsPromises = donors.map(async (donor) => {
+    const sendPromises = donors.map(async (donor) => {
       try {
-        const donorPhone = donor.phoneNumber || donor["Mobile No"] || donor.phone;
-        const donorName = donor["Student Name"] || donor.name || donor._id;
-
-        if (!donorPhone) return;
-
-        // Generate tracking token
-        const responseToken = Math.random().toString(36).substr(2, 8);
-
-        // Push token to request's activeTokens
-        request.activeTokens.push(responseToken);
-        await request.save();
-
-        await ResponseToken.create({
-          token: responseToken,
-          requestId: request._id,
-          donorId: donor._id
-        });
-
-        // Prepare SMS content
-        let urgencyText;
-        if (request.urgency === 'pregnancy') urgencyText = 'PREGNANCY EMERGENCY - URGENT';
-        else if (request.urgency === 'high') urgencyText = 'HIGH PRIORITY - EMERGENCY';
-        else if (request.urgency === 'medium') urgencyText = 'MEDIUM PRIORITY';
-        else urgencyText = 'LOW PRIORITY';
-
-        const priority = (request.urgency === 'high' || request.urgency === 'pregnancy') ? 'high' : 'normal';
-        const smsTemplate = await getSMSTemplate(priority);
-
-        const templateVars = {
-          hospital: hospital.name,
-          bloodType: request.bloodGroup,
-          quantity: request.quantity,
-          urgency: urgencyText,
-          donorName: donorName,
-          responseUrl: `${process.env.FRONTEND_URL || 'https://copy-donor-tracker.vercel.app'}/${request._id}`,
-        };
-
-        let message;
-        if (request.urgency === 'pregnancy') {
-          message = `PREGNANCY EMERGENCY: ${request.quantity} units ${request.bloodGroup} blood needed URGENTLY for pregnant patient at ${hospital.name}. Please respond: ${templateVars.responseUrl}`;
-        } else {
-          message = formatSMSMessage(smsTemplate, templateVars);
-          if (!message.includes('http') && !message.includes('{responseUrl}')) {
-            message += ` Respond: ${templateVars.responseUrl}`;
-          }
-        }
-
-        const smsResult = await sendSMS(donorPhone, message);
-
-        if (smsResult.success) {
-          smsSuccessCount++;
-          // Create success notification
-          try {
-            const notif = await Notification.create({
-              hospitalId: hospital.id,
-              type: 'info',
-              title: 'SMS Sent (Batch)',
-              message: `SMS sent to ${donorName} (${donorPhone})`,
-              meta: { bloodRequestId: request._id, donorId: donor._id, smsId: smsResult.sid }
-            });
-            broadcastNotification(notif);
-          } catch (e) {
-            console.error('Failed to create notification', e);
-          }
-        }
+        const result = await contactBatchDonor(request, hospital, donor, batchNumber);
+        if (result && result.success) sentCount++;
       } catch (err) {
         console.error(`Failed to process donor ${donor._id} in batch:`, err);
       }
     });
 
-    await Promise.allSettled(smsPromises);
-    console.log(`✅ Batch complete. Sent: ${smsSuccessCount}/${donors.length}`);
+    await Promise.allSettled(sendPromises);
+    console.log(`✅ Batch complete. Sent: ${sentCount}/${donors.length}`);
+    return { sent: sentCount, batchNumber, batchSize: nextBatchIds.length };
 
   } catch (error) {
     console.error('Error in sendNextBatch:', error);
+    throw error;
+  }
+};
+
+// Take queued donors who are now unavailable out of the queue and list them as excluded.
+// A queue rebuild brings them back once they are available again. Returns the rest.
+const dropUnavailableDonors = async (request, queuedDonors, now = new Date()) => {
+  const unavailable = queuedDonors.filter(d => !isAvailable(d, now));
+  if (unavailable.length === 0) return queuedDonors;
+
+  await BloodRequest.updateOne({ _id: request._id }, {
+    $pull: { remainingDonorsQueue: { $in: unavailable.map(d => d._id) } },
+    $push: { excludedDonors: { $each: unavailable.map(d => ({ donor: d._id, reasons: [describeUnavailability(d)] })) } }
+  });
+  console.log(`🗓️ [Batch] ${unavailable.length} queued donor(s) for request ${request._id} are unavailable; removed from queue`);
+  return queuedDonors.filter(d => isAvailable(d, now));
+};
+
+// Every queued donor is in quiet hours: hold the batch until the first of them wakes up
+const deferBatch = async (request, batchNumber, queuedDonors, quietHours) => {
+  const now = new Date();
+  const opens = queuedDonors.map(donor => nextOpenTime(donor, quietHours, now).getTime());
+  if (opens.length === 0) {
+    await BloodRequest.updateOne({ _id: request._id }, { $set: { batchInProgress: false } });
+    return { sent: 0, skipped: 'queue empty' };
+  }
+  const deferredUntil = new Date(Math.min(...opens));
+
+  const updated = await BloodRequest.findOneAndUpdate(
+    { _id: request._id, batchNumber: request.batchNumber || { $in: [0, null] } },
+    { $set: { deferredUntil, deferredReason: 'quiet hours', batchInProgress: false } },
+    { new: true }
+  );
+  if (!updated) return { sent: 0, skipped: 'already dispatched' };
+
+  await enqueue('dispatch-batch', { requestId: String(request._id), batchNumber, deferred: true }, {
+    runAt: deferredUntil,
+    idempotencyKey: `dispatch-batch:${request._id}:${batchNumber}:deferred:${deferredUntil.getTime()}`
+  });
+
+  console.log(`🌙 [Batch] Batch ${batchNumber} for request ${request._id} deferred until ${deferredUntil.toISOString()} (quiet hours)`);
+  return { sent: 0, skipped: 'quiet hours', deferredUntil };
+};
+
+// Bring the next queued donor into the current batch, in place of one we could not reach.
+// They get whatever is left of the batch's response window.
+const sendReplacementDonor = async (requestId) => {
+  const request = await BloodRequest.findById(requestId).populate('hospitalId');
+  if (!request) return { sent: 0, skipped: 'not found' };
+  if (!ACCEPTING_STATUSES.includes(request.status) || request.confirmedUnits >= request.quantity) {
+    return { sent: 0, skipped: request.status };
   }
+  if (!request.batchInProgress) return { sent: 0, skipped: 'no batch in progress' };
+
+  if (request.remainingDonorsQueue.length === 0) return { sent: 0, skipped: 'queue empty' };
+
+  // First queued donor we may contact now (donors in quiet hours keep their place)
+  const quietHours = await getQuietHoursPolicy();
+  const queued = await dropUnavailableDonors(request, await Donor.find({ _id: { $in: request.remainingDonorsQueue } }));
+  const byId = new Map(queued.map(d => [d._id.toString(), d]));
+  const donorId = request.remainingDonorsQueue.find(id => {
+    const candidate = byId.get(id.toString());
+    return candidate && canNotifyNow(request, candidate, quietHours);
+  });
+  if (!donorId) return { sent: 0, skipped: 'quiet hours' };
+
+  // Take the donor out of the queue, unless someone else got there first
+  const claimed = await BloodRequest.findOneAndUpdate(
+    { _id: request._id, batchNumber: request.batchNumber, remainingDonorsQueue: donorId },
+    { $pull: { remainingDonorsQueue: donorId }, $push: { notifiedDonors: donorId } },
+    { new: true }
+  );
+  if (!claimed) return { sent: 0, skipped: 'queue moved' };
+
+  const donor = byId.get(donorId.toString());
+
+  const result = await contactBatchDonor(request, request.hospitalId, donor, request.batchNumber);
+  const sent = result && result.success ? 1 : 0;
+  console.log(`🔁 Replacement donor ${donorId} ${sent ? 'contacted' : 'could not be contacted'} for request ${request._id} batch ${request.batchNumber}`);
+  return { sent, donorId };
+};
+
+// Ask a donor who answered "later" again at the time they gave, with a fresh link, if the
+// request still needs units. They join the current batch.
+const followUpLaterDonor = async ({ requestId, donorId, availableAt }) => {
+  const request = await BloodRequest.findById(requestId).populate('hospitalId');
+  if (!request) return { sent: 0, skipped: 'not found' };
+  if (!ACCEPTING_STATUSES.includes(request.status) || request.confirmedUnits >= request.quantity) {
+    return { sent: 0, skipped: request.status };
+  }
+
+  const response = await DonorResponse.findOne({ requestId: request._id, donorId });
+  if (!response || response.response !== 'later') return { sent: 0, skipped: 'donor answered since' };
+  // The donor gave a new time; the follow-up for that time will ask them
+  if (availableAt && response.availableAt && new Date(availableAt).getTime() !== response.availableAt.getTime()) {
+    return { sent: 0, skipped: 'rescheduled' };
+  }
+
+  const donor = await Donor.findById(donorId);
+  if (!donor || !isAvailable(donor)) return { sent: 0, skipped: 'donor unavailable' };
+
+  const result = await contactBatchDonor(request, request.hospitalId, donor, request.batchNumber);
+  const sent = result && result.success ? 1 : 0;
+  console.log(`⏰ "Later" donor ${donorId} ${sent ? 'asked again' : 'could not be contacted'} for request ${request._id}`);
+  return { sent, donorId };
+};
+
+// Build the ordered donor queue for a request: compatible, eligible and available donors
+// inside the hospital radius, exact matches first then nearest. Donors in skipDonorIds are left out.
+const buildDonorQueue = async (hospitalDoc, { bloodGroup, matchMode }, skipDonorIds = []) => {
+  const radiusKm = hospitalDoc && hospitalDoc.radius ? hospitalDoc.radius : null;
+  const skip = new Set(skipDonorIds.map(id => id.toString()));
+
+  // Find eligible donors first
+  const allDonors = (await Donor.find({})).filter(donor => !skip.has(donor._id.toString()));
+  const eligibilityRules = await getEligibilityRules();
+  const distances = new Map();
+  const excludedDonors = [];
+  const eligibilityUpdates = [];
+  let outsideRadius = 0;
+  let incompatible = 0;
+  let unavailable = 0;
+
+  // Filter logic (Blood group compatibility + eligibility rules + hospital radius)
+  const matchingDonors = allDonors.filter(donor => {
+    const donorBloodGroup = donor.bloodGroup || donor["Blood Group"];
+
+    // Blood group match
+    if (!isCompatible(donorBloodGroup, bloodGroup, matchMode)) {
+      incompatible++;
+      return false;
+    }
+
+    const reasons = [];
+
+    // Eligibility rules (donation interval, age, weight, deferrals, admin overrides)
+    const eligibility = evaluateEligibility(donor, eligibilityRules);
+    eligibilityUpdates.push({
+      updateOne: {
+        filter: { _id: donor._id },
+        update: {
+          $set: {
+            'eligibility.status': eligibility.status,
+            'eligibility.reasons': eligibility.reasons,
+            'eligibility.nextEligibleDate': eligibility.nextEligibleDate,
+            'eligibility.evaluatedAt': new Date()
+          }
+        }
+      }
+    });
+    if (!eligibility.eligible) reasons.push(...eligibility.reasons);
+
+    // Donor's own availability (travelling, exams, paused alerts)
+    if (!isAvailable(donor)) {
+      unavailable++;
+      reasons.push(describeUnavailability(donor));
+    }
+
+    // Radius check (donors with no known position are kept, ranked after located ones)
+    const distanceKm = getDonorDistanceKm(hospitalDoc, donor);
+    if (distanceKm !== null && radiusKm && distanceKm > radiusKm) {
+      outsideRadius++;
+      reasons.push(`${distanceKm} km away, outside the ${radiusKm} km radius`);
+    }
+
+    if (reasons.length > 0) {
+      excludedDonors.push({ donor: donor._id, reasons });
+      return false;
+    }
+    distances.set(donor._id.toString(), distanceKm);
+    return true;
+  });
+
+  // Keep each donor's stored eligibility status current
+  if (eligibilityUpdates.length > 0) {
+    await Donor.bulkWrite(eligibilityUpdates, { ordered: false });
+  }
+
+  // Sort donors: exact matches first, universal donors last, then nearest first
+  const donorRank = (donor) => getMatchRank(donor.bloodGroup || donor["Blood Group"], bloodGroup);
+  const donorDistance = (donor) => {
+    const distanceKm = distances.get(donor._id.toString());
+    return distanceKm === null ? Infinity : distanceKm;
+  };
+  matchingDonors.sort((a, b) =>
+    donorRank(a) - donorRank(b) ||
+    (donorDistance(a) - donorDistance(b) || 0) ||
+    (a.name || '').localeCompare(b.name || '')
+  );
+
+  const exactMatches = matchingDonors.filter(d => donorRank(d) === 0).length;
+
+  // Donors contacted too often lately go to the back of the queue, in the same order
+  const fatigue = await getFatigueMap(matchingDonors.map(d => d._id));
+  const isFatigued = (donor) => fatigue.get(donor._id.toString()).fatigued;
+  const fatiguedDonors = matchingDonors.filter(isFatigued).map(d => {
+    const { reasons, until } = fatigue.get(d._id.toString());
+    return { donor: d._id, reasons, until };
+  });
+  const donorIds = [
+    ...matchingDonors.filter(d => !isFatigued(d)),
+    ...matchingDonors.filter(isFatigued)
+  ].map(d => d._id);
+  const donorDistances = matchingDonors
+    .filter(d => distances.get(d._id.toString()) !== null)
+    .map(d => ({ donor: d._id, distanceKm: distances.get(d._id.toString()) }));
+
+  console.log(`Found ${donorIds.length} eligible donors (${exactMatches} exact, ${fatiguedDonors.length} fatigued). Skipped ${excludedDonors.length} compatible donors (${outsideRadius} outside ${radiusKm} km, ${unavailable} unavailable), ${incompatible} incompatible.`);
+
+  return { donorIds, excludedDonors, fatiguedDonors, donorDistances, exactMatches, outsideRadius, unavailable, incompatible, radiusKm };
 };
 
 // Create a new blood request
 const createBloodRequest = async (req, res) => {
   try {
     const { bloodGroup, quantity, urgency, requiredBy, description, patientAge, patientCondition } = req.body;
+    const matchMode = req.body.matchMode || 'compatible';
     const hospital = req.user; // From JWT token
 
+    if (!MATCH_MODES.includes(matchMode)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid matchMode. Must be one of: ${MATCH_MODES.join(', ')}`
+      });
+    }
+
     console.log('\n🩸 === CREATING NEW BLOOD REQUEST (BATCH MODE) ===');
     console.log('Hospital:', hospital.name);
-    console.log('Blood Group:', bloodGroup);
+    console.log('Blood Group:', bloodGroup, `(${matchMode})`);
 
     // Create and save the blood request
     const bloodRequest = new BloodRequest({
       hospitalId: hospital.id,
       bloodGroup,
+      matchMode,
       quantity,
       urgency,
       requiredBy,
@@ -155,40 +446,27 @@ const createBloodRequest = async (req, res) => {
       patientAge,
       patientCondition,
       confirmedUnits: 0,
-      batchSize: 1, // 1 donor per batch for testing
-      responseWindow: 2, // 2 minutes window for testing
-      batchInProgress: false
+      batchInProgress: false,
+      statusHistory: [{ from: null, to: 'active', actor: actorFromUser(hospital), reason: 'Request created' }]
     });
 
-    // Find eligible donors first
-    const allDonors = await Donor.find({});
+    // Initial batch size and response window (re-evaluated before every batch)
+    const policy = await getBatchPolicy(bloodRequest);
+    bloodRequest.batchSize = policy.batchSize;
+    bloodRequest.responseWindow = policy.responseWindow;
+    bloodRequest.batchPolicyReasons = policy.reasons;
 
-    // Filter logic (Exact match + 3 months rule)
-    const matchingDonors = allDonors.filter(donor => {
-      const donorBloodGroup = donor.bloodGroup || donor["Blood Group"];
-
-      // 3 month rule
-      if (donor.lastDonationDate) {
-        const lastDonation = new Date(donor.lastDonationDate);
-        const threeMonthsAgo = new Date();
-        threeMonthsAgo.setMonth(threeMonthsAgo.getMonth() - 3);
-        if (lastDonation > threeMonthsAgo) return false;
-      }
-
-      // Blood group match
-      const normalizedRequested = bloodGroup.replace(/\s+/g, '').toUpperCase();
-      const normalizedDonor = donorBloodGroup ? donorBloodGroup.replace(/\s+/g, '').toUpperCase() : '';
-      return normalizedDonor === normalizedRequested;
-    });
-
-    // Sort donors (optional - can be by distance or last donation, simple sort by ID or name for now)
-    matchingDonors.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+    // Hospital location and radius drive the distance filter
+    const hospitalDoc = await Hospital.findById(hospital.id);
+    const queue = await buildDonorQueue(hospitalDoc, { bloodGroup, matchMode });
+    const { donorIds, exactMatches, outsideRadius, unavailable, radiusKm } = queue;
 
     // Add donors to queue
-    const donorIds = matchingDonors.map(d => d._id);
     bloodRequest.remainingDonorsQueue = donorIds;
-
-    console.log(`Found ${donorIds.length} eligible donors. Added to queue.`);
+    bloodRequest.searchRadiusKm = radiusKm;
+    bloodRequest.excludedDonors = queue.excludedDonors;
+    bloodRequest.fatiguedDonors = queue.fatiguedDonors;
+    bloodRequest.donorDistances = queue.donorDistances;
 
     await bloodRequest.save();
     console.log('✅ Blood request saved with ID:', bloodRequest._id);
@@ -199,7 +477,7 @@ const createBloodRequest = async (req, res) => {
         hospitalId: hospital.id,
         type: 'info',
         title: 'Blood Request Created',
-        message: `${quantity} unit(s) of ${bloodGroup} requested. Queued ${donorIds.length} donors.`,
+        message: `${quantity} unit(s) of ${bloodGroup} requested. Queued ${donorIds.length} donors (${exactMatches} exact match).`,
         meta: { bloodRequestId: bloodRequest._id }
       });
       broadcastNotification(notification);
@@ -207,8 +485,10 @@ const createBloodRequest = async (req, res) => {
       console.error('Failed to create notification:', e.message);
     }
 
-    // Trigger first batch asynchronously
-    sendNextBatch(bloodRequest._id);
+    // Queue the first batch (picked up by the job worker within seconds)
+    await enqueue('dispatch-batch', { requestId: String(bloodRequest._id), batchNumber: 1 }, {
+      idempotencyKey: `dispatch-batch:${bloodRequest._id}:1`
+    });
 
     // Return success response immediately
     res.status(201).json({
@@ -217,8 +497,16 @@ const createBloodRequest = async (req, res) => {
       data: {
         requestId: bloodRequest._id,
         bloodGroup: bloodRequest.bloodGroup,
+        matchMode: bloodRequest.matchMode,
         quantity: bloodRequest.quantity,
-        matchingDonors: matchingDonors.length,
+        matchingDonors: donorIds.length,
+        exactMatches,
+        excludedDonors: queue.excludedDonors.length,
+        outsideRadius,
+        unavailableDonors: unavailable,
+        searchRadiusKm: radiusKm,
+        batchSize: policy.batchSize,
+        responseWindow: policy.responseWindow,
         status: 'processing'
       }
     });
@@ -233,6 +521,300 @@ const createBloodRequest = async (req, res) => {
   }
 };
 
+// Load a request the current user may manage (hospitals only see their own).
+// Sends the 404/403 response itself and returns null when access is refused.
+const findManagedRequest = async (req, res) => {
+  const bloodRequest = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await BloodRequest.findById(req.params.id)
+    : null;
+  if (!bloodRequest) {
+    res.status(404).json({ success: false, message: 'Blood request not found' });
+    return null;
+  }
+  if (req.user.role === 'hospital' && bloodRequest.hospitalId.toString() !== req.user.id) {
+    res.status(403).json({ success: false, message: 'Access denied' });
+    return null;
+  }
+  return bloodRequest;
+};
+
+// Tell donors whose pledge was released that they no longer need to come in
+const notifyReleasedDonors = async (units, request, hospitalName) => {
+  let notified = 0;
+  for (const unit of units) {
+    const donor = unit.donorId;
+    if (!donor || !donor._id) continue;
+
+    const content = await renderContent('request-cancelled', getRequestVariables(request, { name: hospitalName }, getDonorName(donor)), {
+      language: donor.preferredLanguage
+    });
+    const result = await contactDonor(donor, content, { requestId: request._id, token: unit.token, purpose: 'release' });
+    if (result.success) notified++;
+  }
+  return notified;
+};
+
+// Stop all outreach for a closed request: revoke links, cancel jobs, release pledges and tell those donors
+const closeOutreach = async (request, { actor, reason }) => {
+  const hospital = await Hospital.findById(request.hospitalId).select('name');
+  const { tokensRevoked, jobsCancelled } = await revokeOutreach(request._id, reason);
+  const released = await releasePledgedUnits(request._id, { actor, reason });
+  const donorsNotified = await notifyReleasedDonors(released, request, hospital ? hospital.name : 'the hospital');
+
+  console.log(`🛑 Outreach closed for request ${request._id}: ${tokensRevoked} token(s) revoked, ${jobsCancelled} job(s) cancelled, ${released.length} pledge(s) released, ${donorsNotified} donor(s) notified`);
+  return { tokensRevoked, jobsCancelled, pledgesReleased: released.length, donorsNotified };
+};
+
+// POST /blood-requests/:id/cancel - Cancel a request and stand down everyone contacted
+const cancelBloodRequest = async (req, res) => {
+  try {
+    const bloodRequest = await findManagedRequest(req, res);
+    if (!bloodRequest) return;
+
+    const actor = actorFromUser(req.user);
+    const reason = req.body.reason || 'Cancelled by hospital';
+    const cancelled = await transition(bloodRequest, 'cancelled', { actor, reason });
+    const outreach = await closeOutreach(cancelled, { actor, reason: 'Request cancelled' });
+
+    try {
+      const notif = await Notification.create({
+        hospitalId: cancelled.hospitalId,
+        bloodRequestId: cancelled._id,
+        type: 'warning',
+        title: 'Blood Request Cancelled',
+        message: `Request for ${cancelled.bloodGroup} (${cancelled.quantity} units) was cancelled: ${reason}. ${outreach.donorsNotified} pledged donor(s) told they are no longer needed.`,
+        meta: { bloodRequestId: cancelled._id, ...outreach }
+      });
+      broadcastNotification(notif);
+    } catch (e) {
+      console.error('Failed to create cancellation notification:', e.message);
+    }
+
+    res.json({ success: true, message: 'Blood request cancelled', bloodRequest: cancelled, outreach });
+  } catch (error) {
+    console.error('Error cancelling blood request:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to cancel blood request',
+      error: error.message
+    });
+  }
+};
+
+// Fields a hospital may change on an existing request
+const EDITABLE_FIELDS = ['bloodGroup', 'matchMode', 'quantity', 'urgency', 'requiredBy', 'description', 'patientAge', 'patientCondition'];
+
+// PUT /blood-requests/:id - Edit a request and bring its outreach in line with the change
+const updateBloodRequest = async (req, res) => {
+  try {
+    const existing = await findManagedRequest(req, res);
+    if (!existing) return;
+
+    const { status, statusReason } = req.body;
+    const actor = actorFromUser(req.user);
+
+    // Status goes through the lifecycle so illegal moves are rejected and recorded
+    if (status && status !== existing.status && !canTransition(existing.status, status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot change blood request from ${existing.status} to ${status}`,
+        allowedTransitions: TRANSITIONS[existing.status] || []
+      });
+    }
+    if (req.body.matchMode && !MATCH_MODES.includes(req.body.matchMode)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid matchMode. Must be one of: ${MATCH_MODES.join(', ')}`
+      });
+    }
+
+    const updates = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    const queueChanged = (updates.bloodGroup && updates.bloodGroup !== existing.bloodGroup) ||
+      (updates.matchMode && updates.matchMode !== existing.matchMode);
+    const quantityChanged = updates.quantity !== undefined && Number(updates.quantity) !== existing.quantity;
+    const urgencyChanged = updates.urgency && updates.urgency !== existing.urgency;
+
+    let bloodRequest = await BloodRequest.findByIdAndUpdate(existing._id, { $set: updates }, { new: true, runValidators: true });
+    const changes = [];
+
+    // New blood group or match mode: rebuild the queue and revoke links sent to donors who no longer match
+    if (queueChanged) {
+      const hospitalDoc = await Hospital.findById(bloodRequest.hospitalId);
+      const queue = await buildDonorQueue(hospitalDoc, bloodRequest, bloodRequest.notifiedDonors);
+
+      const openTokens = await ResponseToken.find({ requestId: bloodRequest._id, isUsed: false, revokedAt: null }).populate('donorId', 'bloodGroup');
+      const staleTokens = openTokens
+        .filter(t => !t.donorId || !isCompatible(t.donorId.bloodGroup, bloodRequest.bloodGroup, bloodRequest.matchMode))
+        .map(t => t.token);
+      if (staleTokens.length > 0) {
+        await ResponseToken.updateMany(
+          { token: { $in: staleTokens } },
+          { $set: { revokedAt: new Date(), revokedReason: 'Blood group changed' } }
+        );
+      }
+
+      bloodRequest = await BloodRequest.findByIdAndUpdate(bloodRequest._id, {
+        $set: {
+          remainingDonorsQueue: queue.donorIds,
+          excludedDonors: queue.excludedDonors,
+          fatiguedDonors: queue.fatiguedDonors,
+          donorDistances: queue.donorDistances,
+          searchRadiusKm: queue.radiusKm
+        },
+        $pullAll: { activeTokens: staleTokens }
+      }, { new: true });
+      changes.push(`queue rebuilt with ${queue.donorIds.length} donors, ${staleTokens.length} link(s) revoked`);
+    }
+
+    if (status && status !== bloodRequest.status) {
+      bloodRequest = await transition(bloodRequest, status, { actor, reason: statusReason || 'Updated by user' });
+      if (status === 'cancelled') {
+        await closeOutreach(bloodRequest, { actor, reason: 'Request cancelled' });
+      }
+    }
+
+    // A new quantity can complete the request or reopen a fulfilled one
+    if (quantityChanged) {
+      if (OPEN_STATUSES.includes(bloodRequest.status) && bloodRequest.collectedUnits >= bloodRequest.quantity) {
+        bloodRequest = (await tryTransition(bloodRequest, 'fulfilled', { actor, reason: `Quantity lowered to ${bloodRequest.quantity}` })) || bloodRequest;
+      } else if (bloodRequest.status === 'fulfilled' && bloodRequest.collectedUnits < bloodRequest.quantity) {
+        bloodRequest = (await tryTransition(bloodRequest, 'partially-fulfilled', { actor, reason: `Quantity raised to ${bloodRequest.quantity}` })) || bloodRequest;
+      }
+      changes.push(`quantity ${existing.quantity} → ${bloodRequest.quantity}`);
+    }
+
+    if (urgencyChanged) {
+      bloodRequest = await BloodRequest.findByIdAndUpdate(bloodRequest._id, { $set: { escalationLevel: 0 } }, { new: true });
+      changes.push(`urgency ${existing.urgency} → ${bloodRequest.urgency}`);
+
+      // If the new urgency's window has already run out, send the next batch now
+      const policy = await getBatchPolicy(bloodRequest);
+      const windowEnds = bloodRequest.batchSentAt && new Date(bloodRequest.batchSentAt).getTime() + policy.responseWindow * 60 * 1000;
+      if (bloodRequest.batchInProgress && windowEnds && windowEnds <= Date.now()) {
+        await enqueue('dispatch-batch', { requestId: String(bloodRequest._id), batchNumber: (bloodRequest.batchNumber || 0) + 1 });
+      }
+    }
+
+    if (queueChanged || quantityChanged) {
+      await resumeOutreach(bloodRequest);
+    }
+
+    try {
+      const notif = await Notification.create({
+        hospitalId: bloodRequest.hospitalId,
+        type: 'info',
+        title: 'Blood Request Updated',
+        message: `Blood request for ${bloodRequest.bloodGroup} (${bloodRequest.quantity} units) was updated${changes.length ? `: ${changes.join('; ')}` : ''}`,
+        read: false,
+        meta: { bloodRequestId: bloodRequest._id }
+      });
+      broadcastNotification(notif);
+    } catch (e) { console.error('Failed to create blood request update notification:', e.message); }
+
+    res.json({ success: true, message: 'Blood request updated successfully', bloodRequest, changes });
+  } catch (error) {
+    console.error('Error updating blood request:', error);
+    const status = error.status || (error.name === 'ValidationError' ? 400 : 500);
+    res.status(status).json({ success: false, message: status === 500 ? 'Failed to update blood request' : error.message });
+  }
+};
+
+// POST /blood-requests/:id/rebroadcast - Restart dispatch to donors not contacted yet
+const rebroadcastBloodRequest = async (req, res) => {
+  try {
+    const bloodRequest = await findManagedRequest(req, res);
+    if (!bloodRequest) return;
+
+    if (!ACCEPTING_STATUSES.includes(bloodRequest.status)) {
+      return res.status(409).json({
+        success: false,
+        message: bloodRequest.status === 'expired'
+          ? 'Blood request has expired. Extend the deadline to resume it.'
+          : `Cannot re-broadcast a ${bloodRequest.status} blood request`
+      });
+    }
+    if (bloodRequest.confirmedUnits >= bloodRequest.quantity) {
+      return res.status(409).json({ success: false, message: 'All units are already pledged' });
+    }
+
+    // Fresh queue: picks up new donors, drops ones who became ineligible, skips everyone already contacted
+    const hospitalDoc = await Hospital.findById(bloodRequest.hospitalId);
+    const queue = await buildDonorQueue(hospitalDoc, bloodRequest, bloodRequest.notifiedDonors);
+
+    const updated = await BloodRequest.findByIdAndUpdate(bloodRequest._id, {
+      $set: {
+        remainingDonorsQueue: queue.donorIds,
+        excludedDonors: queue.excludedDonors,
+        fatiguedDonors: queue.fatiguedDonors,
+        donorDistances: queue.donorDistances,
+        searchRadiusKm: queue.radiusKm,
+        escalationLevel: 0
+      }
+    }, { new: true });
+
+    if (queue.donorIds.length === 0) {
+      return res.json({ success: true, message: 'Every matching donor has already been contacted', queued: 0 });
+    }
+
+    await enqueue('dispatch-batch', { requestId: String(updated._id), batchNumber: (updated.batchNumber || 0) + 1 });
+    console.log(`📢 Re-broadcast request ${updated._id} to ${queue.donorIds.length} uncontacted donors`);
+
+    try {
+      const notif = await Notification.create({
+        hospitalId: updated.hospitalId,
+        type: 'info',
+        title: 'Blood Request Re-broadcast',
+        message: `Re-broadcasting ${updated.bloodGroup} request to ${queue.donorIds.length} donor(s) not contacted yet.`,
+        meta: { bloodRequestId: updated._id }
+      });
+      broadcastNotification(notif);
+    } catch (e) {
+      console.error('Failed to create re-broadcast notification:', e.message);
+    }
+
+    res.json({ success: true, message: 'Re-broadcast started', queued: queue.donorIds.length, bloodRequest: updated });
+  } catch (error) {
+    console.error('Error re-broadcasting blood request:', error);
+    res.status(500).json({ success: false, message: 'Failed to re-broadcast blood request', error: error.message });
+  }
+};
+
+// DELETE /blood-requests/:id - Delete a request after closing its outreach
+const deleteBloodRequest = async (req, res) => {
+  try {
+    const bloodRequest = await findManagedRequest(req, res);
+    if (!bloodRequest) return;
+
+    if (OPEN_STATUSES.includes(bloodRequest.status)) {
+      await closeOutreach(bloodRequest, { actor: actorFromUser(req.user), reason: 'Request deleted' });
+    } else {
+      await revokeOutreach(bloodRequest._id, 'Request deleted');
+    }
+    await BloodRequest.deleteOne({ _id: bloodRequest._id });
+
+    try {
+      const notif = await Notification.create({
+        hospitalId: bloodRequest.hospitalId,
+        type: 'warning',
+        title: 'Blood Request Deleted',
+        message: `Blood request for ${bloodRequest.bloodGroup} (${bloodRequest.quantity} units) was deleted`,
+        read: false,
+        meta: { bloodRequestId: bloodRequest._id }
+      });
+      broadcastNotification(notif);
+    } catch (e) { console.error('Failed to create blood request deletion notification:', e.message); }
+
+    res.json({ success: true, message: 'Blood request deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting blood request:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete blood request' });
+  }
+};
+
 // Get all blood requests
 const getAllBloodRequests = async (req, res) => {
   try {
@@ -242,7 +824,7 @@ const getAllBloodRequests = async (req, res) => {
 
     res.json({
       success: true,
-      data: requests
+      data: requests.map(request => ({ ...request.toObject(), deferralNote: describeDeferral(request) }))
     });
   } catch (error) {
     console.error('Error fetching blood requests:', error);
@@ -269,7 +851,7 @@ const getBloodRequestById = async (req, res) => {
 
     res.json({
       success: true,
-      data: request
+      data: { ...request.toObject(), deferralNote: describeDeferral(request) }
     });
   } catch (error) {
     console.error('Error fetching blood request:', error);
@@ -285,5 +867,14 @@ module.exports = {
   createBloodRequest,
   getAllBloodRequests,
   getBloodRequestById,
-  sendNextBatch
+  sendNextBatch,
+  sendReplacementDonor,
+  followUpLaterDonor,
+  getResponseUrl,
+  buildDonorQueue,
+  findManagedRequest,
+  cancelBloodRequest,
+  updateBloodRequest,
+  rebroadcastBloodRequest,
+  deleteBloodRequest
 };
\ No newline at end of file
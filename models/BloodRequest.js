@@ -11,6 +11,12 @@ const bloodRequestSchema = new mongoose.Schema({
     required: true,
     enum: ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']
   },
+  // 'exact' only queues the requested group, 'compatible' also queues red-cell compatible groups
+  matchMode: {
+    type: String,
+    enum: ['exact', 'compatible'],
+    default: 'compatible'
+  },
   quantity: {
     type: Number,
     required: true,
@@ -28,15 +34,46 @@ const bloodRequestSchema = new mongoose.Schema({
   description: String,
   patientAge: String,
   patientCondition: String,
+  // Only change through services/requestLifecycle so every move is validated and recorded
   status: {
     type: String,
-    enum: ['pending', 'active', 'fulfilled', 'cancelled', 'expired'],
+    enum: ['pending', 'active', 'partially-fulfilled', 'fulfilled', 'cancelled', 'expired'],
     default: 'active'
   },
+  statusHistory: [{
+    _id: false,
+    from: String,
+    to: String,
+    actor: {
+      role: String,
+      id: String,
+      name: String
+    },
+    reason: String,
+    at: { type: Date, default: Date.now }
+  }],
+  // Units pledged or given (see DonationUnit); stops outreach once it reaches quantity
   confirmedUnits: {
     type: Number,
     default: 0
   },
+  // Units actually collected; the request is fulfilled when this reaches quantity
+  collectedUnits: {
+    type: Number,
+    default: 0
+  },
+  // Donors who said no (e.g. replied NO by SMS)
+  declinedCount: {
+    type: Number,
+    default: 0
+  },
+  // Outreach message delivery counts (see models/OutboundMessage.js)
+  deliveryStats: {
+    sent: { type: Number, default: 0 },
+    delivered: { type: Number, default: 0 },
+    undelivered: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
   activeTokens: [{
     type: String
   }],
@@ -55,6 +92,28 @@ const bloodRequestSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: "Donor"
   }],
+  // Distance from the hospital for queued donors whose position is known
+  donorDistances: [{
+    _id: false,
+    donor: { type: mongoose.Schema.Types.ObjectId, ref: 'Donor' },
+    distanceKm: Number
+  }],
+  searchRadiusKm: {
+    type: Number
+  },
+  // Compatible donors that were left out of the queue, with the reasons why
+  excludedDonors: [{
+    _id: false,
+    donor: { type: mongoose.Schema.Types.ObjectId, ref: 'Donor' },
+    reasons: [String]
+  }],
+  // Donors moved to the back of the queue because they were contacted recently, with why
+  fatiguedDonors: [{
+    _id: false,
+    donor: { type: mongoose.Schema.Types.ObjectId, ref: 'Donor' },
+    reasons: [String],
+    until: Date
+  }],
   batchSentAt: {
     type: Date
   },
@@ -66,6 +125,30 @@ const bloodRequestSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Incremented by every dispatched batch; used to claim a batch exactly once
+  batchNumber: {
+    type: Number,
+    default: 0
+  },
+  // Raised each time a batch window closes without new confirmations
+  escalationLevel: {
+    type: Number,
+    default: 0
+  },
+  confirmedAtBatchStart: {
+    type: Number,
+    default: 0
+  },
+  // Why the current batch size and window were chosen
+  batchPolicyReasons: [String],
+  // Next batch is held back because every queued donor is in quiet hours
+  deferredUntil: {
+    type: Date,
+    default: null
+  },
+  deferredReason: {
+    type: String
+  },
   createdAt: {
     type: Date,
     default: Date.now
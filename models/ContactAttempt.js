@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// One donor contacted for one blood request, and how they answered. Kept after the
+// response token expires so contact fatigue can look back a week or more.
+const contactAttemptSchema = new mongoose.Schema({
+  donorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donor',
+    required: true
+  },
+  requestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BloodRequest',
+    required: true
+  },
+  batchNumber: Number,
+  // Channel that first reached the donor
+  channel: {
+    type: String,
+    enum: ['sms', 'email', 'whatsapp', 'voice']
+  },
+  contactedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // pending until the donor answers, the batch window closes, or every channel fails
+  outcome: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'later', 'no-response', 'undelivered'],
+    default: 'pending'
+  },
+  outcomeAt: Date
+});
+
+contactAttemptSchema.index({ donorId: 1, requestId: 1 }, { unique: true });
+contactAttemptSchema.index({ donorId: 1, contactedAt: -1 });
+
+module.exports = mongoose.model('ContactAttempt', contactAttemptSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// One unit of blood promised or given against a blood request
+const donationUnitSchema = new mongoose.Schema({
+  requestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BloodRequest',
+    required: true,
+    index: true
+  },
+  donorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donor'
+  },
+  donorName: String,
+  // Response token the donor pledged through (absent for walk-ins and manual entries)
+  token: String,
+  donationHistoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DonationHistory'
+  },
+  status: {
+    type: String,
+    enum: ['pledged', 'arrived', 'collected', 'rejected-at-screening', 'issued', 'released'],
+    default: 'pledged'
+  },
+  // True while the unit counts towards confirmedUnits (pledged, arrived, collected, issued);
+  // kept in step with status by services/unitService.js
+  live: {
+    type: Boolean,
+    default: true
+  },
+  history: [{
+    _id: false,
+    from: String,
+    to: String,
+    actor: {
+      role: String,
+      id: String,
+      name: String
+    },
+    reason: String,
+    at: { type: Date, default: Date.now }
+  }],
+  pledgedAt: { type: Date, default: Date.now },
+  arrivedAt: Date,
+  collectedAt: Date,
+  rejectedAt: Date,
+  rejectionReason: String,
+  issuedAt: Date,
+  // Pledge let go because the request was cancelled or withdrawn
+  releasedAt: Date
+}, {
+  timestamps: true
+});
+
+donationUnitSchema.index({ requestId: 1, status: 1 });
+// At most one live unit per donor (and per response link) on a request, so concurrent pledges count once
+donationUnitSchema.index({ requestId: 1, donorId: 1 }, {
+  name: 'live_unit_per_donor',
+  unique: true,
+  partialFilterExpression: { live: true, donorId: { $exists: true } }
+});
+donationUnitSchema.index({ requestId: 1, token: 1 }, {
+  name: 'live_unit_per_token',
+  unique: true,
+  partialFilterExpression: { live: true, token: { $exists: true } }
+});
+
+module.exports = mongoose.model('DonationUnit', donationUnitSchema);
@@ -1,5 +1,16 @@
 const mongoose = require('mongoose');
 
+// granted: donor agreed; revoked: donor opted out; unknown: no record (e.g. imported)
+const consentField = () => ({
+  status: {
+    type: String,
+    enum: ['granted', 'revoked', 'unknown'],
+    default: 'unknown'
+  },
+  source: String,
+  updatedAt: Date
+});
+
 const donorSchema = new mongoose.Schema({
   email: {
     type: String,
@@ -44,6 +55,110 @@ const donorSchema = new mongoose.Schema({
   lastDonationDate: {
     type: Date
   },
+  sex: {
+    type: String,
+    enum: ['male', 'female', 'other']
+  },
+  dateOfBirth: {
+    type: Date
+  },
+  weightKg: {
+    type: Number,
+    min: 0
+  },
+  // Medical deferrals recorded by admins (tattoo, illness, medication, ...)
+  deferrals: [{
+    kind: {
+      type: String,
+      enum: ['temporary', 'permanent'],
+      required: true
+    },
+    reason: {
+      type: String,
+      enum: ['tattoo', 'illness', 'medication', 'surgery', 'travel', 'pregnancy', 'other'],
+      required: true
+    },
+    notes: String,
+    startDate: { type: Date, default: Date.now },
+    endDate: Date, // required for temporary deferrals
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' }
+  }],
+  // Last evaluated eligibility (see services/eligibilityService.js)
+  eligibility: {
+    status: {
+      type: String,
+      enum: ['eligible', 'temporarily-deferred', 'permanently-deferred'],
+      default: 'eligible'
+    },
+    reasons: [String],
+    nextEligibleDate: Date,
+    evaluatedAt: Date,
+    override: {
+      status: { type: String, enum: ['eligible', 'ineligible'] },
+      reason: String,
+      by: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+      at: Date,
+      expiresAt: Date
+    }
+  },
+  // Where the donor lives (set by admin/import)
+  homeLocation: {
+    lat: { type: Number },
+    lng: { type: Number }
+  },
+  // Last position the donor shared through a response link
+  lastKnownLocation: {
+    lat: { type: Number },
+    lng: { type: Number },
+    updatedAt: { type: Date }
+  },
+  // Channels to reach the donor on, in order: the first is preferred, the rest are fallbacks
+  contactPreferences: {
+    channels: {
+      type: [{ type: String, enum: ['sms', 'email', 'whatsapp', 'voice'] }],
+      default: ['sms', 'email']
+    },
+    // Separate WhatsApp number, if different from phone
+    whatsappNumber: { type: String, trim: true }
+  },
+  // Contact consent per channel (see services/consentService.js). Every change is
+  // also written to the OptOutLedger.
+  consent: {
+    sms: consentField(),
+    email: consentField(),
+    whatsapp: consentField(),
+    voice: consentField()
+  },
+  // Number is on the telecom Do-Not-Disturb registry: phone channels need explicit consent
+  dndRegistered: {
+    type: Boolean,
+    default: false
+  },
+  // Whether the donor wants to be asked right now (see services/availabilityService.js)
+  availability: {
+    status: {
+      type: String,
+      enum: ['available', 'unavailable', 'paused'],
+      default: 'available'
+    },
+    // 'unavailable' ends on this date; 'paused' lasts until the donor turns it off
+    until: Date,
+    reason: String,
+    source: String,
+    updatedAt: Date
+  },
+  // Language for messages (see SUPPORTED_LANGUAGES in services/templateCatalog.js); English if no copy exists
+  preferredLanguage: {
+    type: String,
+    enum: ['en', 'hi', 'gu', 'mr'],
+    default: 'en'
+  },
+  // IANA timezone for quiet hours, e.g. 'Asia/Kolkata'
+  timezone: {
+    type: String,
+    trim: true,
+    default: process.env.DEFAULT_TIMEZONE || 'Asia/Kolkata'
+  },
   password: {
     type: String,
     required: true
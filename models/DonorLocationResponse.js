@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// A donor's answer to a blood request, one per donor per request, written by
+// services/donorResponseService.js whichever way the answer arrives. The live
+// map position lives in models/Location.js; this record is kept for reporting.
 const donorResponseSchema = new mongoose.Schema({
   donorId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -11,18 +14,28 @@ const donorResponseSchema = new mongoose.Schema({
     ref: 'BloodRequest',
     required: true
   },
-  latitude: {
-    type: Number,
-    required: true
-  },
-  longitude: {
-    type: Number,
-    required: true
+  // Where the donor was when they answered (absent for SMS replies)
+  latitude: Number,
+  longitude: Number,
+  accuracy: Number,
+  // accepted, declined, or later (can't come now, can at availableAt)
+  response: {
+    type: String,
+    enum: ['accepted', 'declined', 'later'],
+    default: 'accepted'
   },
+  // Same as response === 'accepted'; kept for older readers
   isAvailable: {
     type: Boolean,
     default: true
   },
+  // When an accepting donor expects to arrive
+  etaMinutes: Number,
+  eta: Date,
+  // Why a donor declined (see DECLINE_REASONS in services/donorResponseService.js)
+  declineReason: String,
+  declineNote: String,
+  availableAt: Date,
   address: {
     type: String
   },
@@ -30,12 +43,22 @@ const donorResponseSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
-  token: {
+  // Response token answered (absent when the donor responded without one)
+  token: String,
+  respondedVia: {
     type: String,
-    required: true
+    enum: ['link', 'sms', 'web', 'staff']
+  },
+  // Pledged unit, when the answer was a yes
+  unitId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DonationUnit'
   }
 }, {
   timestamps: true
 });
 
+donorResponseSchema.index({ requestId: 1, donorId: 1 }, { unique: true });
+donorResponseSchema.index({ response: 1, createdAt: -1 });
+
 module.exports = mongoose.model('DonorResponse', donorResponseSchema);
@@ -8,7 +8,14 @@ const HospitalSchema = new mongoose.Schema({
   phone: { type: String },
   emergencyContact: { type: String },
   address: { type: String },
-  radius: { type: Number, default: 10 },
+  radius: { type: Number, default: 10 }, // km - donors further away are not queued
+  location: {
+    lat: { type: Number },
+    lng: { type: Number },
+    // 'unresolved': the address changed but could not be geocoded, so there are no coordinates
+    source: { type: String, enum: ['geocoded', 'manual', 'unresolved'] },
+    geocodedAt: { type: Date }
+  },
   status: { type: String, enum: ['pending', 'active', 'suspended'], default: 'pending' },
   isVerified: { type: Boolean, default: false }
 }, { timestamps: true });
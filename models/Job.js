@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    index: true
+  },
+  payload: {
+    type: Object,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'paused', 'cancelled'],
+    default: 'queued'
+  },
+  // Earliest time the job may run (pushed back on retry)
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  // Enqueueing the same key twice returns the existing job instead of a duplicate
+  idempotencyKey: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // Worker currently holding the job; the lease lets another worker pick it up if this one dies
+  leaseOwner: String,
+  leaseExpiresAt: Date,
+  lastError: String,
+  result: {
+    type: Object
+  },
+  startedAt: Date,
+  // Set when a job finishes (completed, failed or cancelled) and cleared on retry
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ status: 1, leaseExpiresAt: 1 });
+jobSchema.index({ 'payload.requestId': 1 });
+// Finished jobs are removed a week after they finish, so recurring jobs don't pile up
+jobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60, name: 'job_finished_ttl_index' });
+
+module.exports = mongoose.model('Job', jobSchema);
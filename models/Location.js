@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+// Where a location reached us: response link, SMS reply, the location page without a link,
+// staff on the donor's behalf, or live tracking on the way to the hospital
+const LOCATION_SOURCES = ['link', 'sms', 'web', 'staff', 'tracking'];
+
+// GeoJSON stores longitude first
+const toPoint = (latitude, longitude) => ({ type: 'Point', coordinates: [longitude, latitude] });
+
+// A donor's live position on the map for one request, written through services/locationService.js.
+// Documents are removed an hour after `timestamp` by the TTL index, and new inserts are
+// picked up by utils/locationWatcher.js.
+const locationSchema = new mongoose.Schema({
+  requestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BloodRequest'
+  },
+  donorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donor',
+    required: true
+  },
+  // Response token the donor answered with (absent for direct shares)
+  token: String,
+  address: String,
+  latitude: {
+    type: Number,
+    required: true
+  },
+  longitude: {
+    type: Number,
+    required: true
+  },
+  // Same position as GeoJSON for geospatial queries; kept in step with latitude/longitude
+  point: {
+    type: { type: String, enum: ['Point'] },
+    coordinates: { type: [Number], default: undefined }
+  },
+  // Reported accuracy radius in metres (0 when unknown)
+  accuracy: {
+    type: Number,
+    default: 0
+  },
+  source: {
+    type: String,
+    enum: LOCATION_SOURCES,
+    default: 'web'
+  },
+  userName: String,
+  rollNumber: String,
+  mobileNumber: String,
+  isAvailable: {
+    type: Boolean,
+    default: true
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  responseTime: Date,
+  // Live tracking of a pledged donor on their way (each update moves timestamp, so the point
+  // stays on the map while they travel)
+  tracking: {
+    type: Boolean,
+    default: false
+  },
+  distanceKm: Number,
+  etaMinutes: Number,
+  arrivedAt: Date
+}, { collection: 'locations' });
+
+// One live location per donor per request, so concurrent shares can't create two map points
+locationSchema.index(
+  { requestId: 1, donorId: 1 },
+  { unique: true, name: 'location_per_donor', partialFilterExpression: { requestId: { $type: 'objectId' } } }
+);
+locationSchema.index({ donorId: 1 });
+locationSchema.index({ point: '2dsphere' });
+locationSchema.index({ timestamp: 1 }, { expireAfterSeconds: 3600, name: 'location_ttl_index' });
+
+locationSchema.pre('validate', function (next) {
+  if (this.isModified('latitude') || this.isModified('longitude') || !this.point || !this.point.coordinates) {
+    this.point = toPoint(this.latitude, this.longitude);
+  }
+  next();
+});
+
+// Updates that move the donor move the point with them
+locationSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function (next) {
+  const update = this.getUpdate() || {};
+  const set = update.$set || {};
+  if (typeof set.latitude === 'number' && typeof set.longitude === 'number') {
+    this.setUpdate({ ...update, $set: { ...set, point: toPoint(set.latitude, set.longitude) } });
+  }
+  next();
+});
+
+locationSchema.statics.toPoint = toPoint;
+locationSchema.statics.SOURCES = LOCATION_SOURCES;
+
+module.exports = mongoose.model('Location', locationSchema);
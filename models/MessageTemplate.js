@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Admin-edited copy for one message on one channel in one language. Messages without a
+// saved template use the built-in copy in services/templateCatalog.js.
+const messageTemplateSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  channel: {
+    type: String,
+    enum: ['sms', 'whatsapp', 'email', 'voice'],
+    required: true
+  },
+  language: {
+    type: String,
+    default: 'en',
+    lowercase: true,
+    trim: true
+  },
+  subject: String, // email only
+  body: {
+    type: String,
+    required: true
+  },
+  html: String, // email only
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+messageTemplateSchema.index({ key: 1, channel: 1, language: 1 }, { unique: true });
+
+module.exports = mongoose.model('MessageTemplate', messageTemplateSchema);
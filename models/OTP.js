@@ -12,9 +12,16 @@ const otpSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['registration', 'password-reset'],
+    enum: ['registration', 'password-reset', 'donor-login', 'phone-change'],
     required: true
   },
+  // New number waiting to be confirmed (phone-change codes only)
+  phone: String,
+  // Wrong codes entered; the OTP is discarded after too many
+  attempts: {
+    type: Number,
+    default: 0
+  },
   verified: {
     type: Boolean,
     default: false
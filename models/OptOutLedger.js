@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Append-only record of every consent change (opt-in or opt-out) for DND compliance
+const optOutLedgerSchema = new mongoose.Schema({
+  donorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donor',
+    required: true,
+    index: true
+  },
+  // Contact details at the time, so the record survives later edits
+  phone: String,
+  email: String,
+  channel: {
+    type: String,
+    enum: ['sms', 'email', 'whatsapp', 'voice'],
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['opt-out', 'opt-in'],
+    required: true
+  },
+  // Where the change came from
+  source: {
+    type: String,
+    enum: ['sms-keyword', 'unsubscribe-link', 'admin', 'import', 'donor'],
+    required: true
+  },
+  reason: String,
+  actor: {
+    role: String,
+    id: String,
+    name: String
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+optOutLedgerSchema.index({ channel: 1, at: -1 });
+
+module.exports = mongoose.model('OptOutLedger', optOutLedgerSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// One message sent (or attempted) to a donor through an outreach channel
+const outboundMessageSchema = new mongoose.Schema({
+  requestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BloodRequest',
+    index: true
+  },
+  donorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donor',
+    index: true
+  },
+  token: String,
+  channel: {
+    type: String,
+    enum: ['sms', 'email', 'whatsapp', 'voice'],
+    required: true
+  },
+  provider: String,
+  to: String,
+  // What the message was for: request, reminder, fallback, release...
+  purpose: {
+    type: String,
+    default: 'request'
+  },
+  // sent/failed when handed to the provider; delivered/undelivered/failed from delivery receipts
+  status: {
+    type: String,
+    enum: ['queued', 'sent', 'delivered', 'undelivered', 'failed'],
+    required: true
+  },
+  providerMessageId: {
+    type: String,
+    index: true
+  },
+  error: String,
+  errorCode: String,
+  // Language of the copy, and for text messages how it was encoded and how many segments it took
+  language: String,
+  encoding: {
+    type: String,
+    enum: ['GSM-7', 'UCS-2']
+  },
+  segments: Number,
+  deliveredAt: Date,
+  statusUpdatedAt: Date
+}, {
+  timestamps: true
+});
+
+outboundMessageSchema.index({ requestId: 1, donorId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('OutboundMessage', outboundMessageSchema);
@@ -20,13 +20,58 @@ const responseTokenSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Set when the request closes before the donor answers; the link stops working
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: String,
+  batchNumber: Number,
+  // Channel the donor was last contacted on, and its position in their preference order
+  channel: {
+    type: String,
+    enum: ['sms', 'email', 'whatsapp', 'voice']
+  },
+  channelIndex: {
+    type: Number,
+    default: 0
+  },
+  lastContactedAt: {
+    type: Date
+  },
+  // The donor's answer, and how it reached us ('later' may still become a yes or no)
+  response: {
+    type: String,
+    enum: ['accepted', 'declined', 'later']
+  },
+  respondedAt: {
+    type: Date
+  },
+  respondedVia: {
+    type: String,
+    enum: ['link', 'sms', 'web', 'staff']
+  },
+  // Every channel tried came back undelivered; counted as a non-response
+  undeliveredAt: {
+    type: Date
+  },
+  // Set once a reminder has been sent for this token
+  remindedAt: {
+    type: Date
+  },
+  // The link stops working at this time (the request's requiredBy, see services/responseTokenService.js)
+  // and the document is removed by the TTL index
+  expiresAt: {
+    type: Date,
+    required: true
+  },
   createdAt: {
     type: Date,
-    default: Date.now,
-    expires: 86400 // 24 hours expiry
+    default: Date.now
   }
 }, {
   timestamps: true
 });
 
+responseTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
 module.exports = mongoose.model('ResponseToken', responseTokenSchema);
@@ -14,6 +14,23 @@ const settingsSchema = new mongoose.Schema({
     type: String,
     default: process.env.TWILIO_PHONE_NUMBER || ''
   },
+  // Which SMS adapter sends messages (see services/smsProviders.js)
+  smsProvider: {
+    type: String,
+    enum: ['twilio', 'http', 'mock'],
+    default: process.env.SMS_PROVIDER || 'twilio'
+  },
+  // HTTP gateway settings, used when smsProvider is 'http'
+  smsGateway: {
+    preset: {
+      type: String,
+      enum: ['msg91', 'textlocal', 'custom'],
+      default: 'custom'
+    },
+    url: { type: String, default: process.env.SMS_GATEWAY_URL || '' },
+    apiKey: { type: String, default: '' },
+    senderId: { type: String, default: '' }
+  },
   
   // SMS Templates
   smsTemplateHighPriority: {
@@ -24,6 +41,15 @@ const settingsSchema = new mongoose.Schema({
     type: String,
     default: 'Blood donation request from {hospital}. Your {bloodType} blood is needed. Can you help? Reply YES to confirm.'
   },
+  // The two templates above in other languages, keyed by language code (hi, gu, mr)
+  smsTemplateTranslations: {
+    type: Map,
+    of: new mongoose.Schema({
+      high: String,
+      normal: String
+    }, { _id: false }),
+    default: {}
+  },
   
   // Email Configuration
   emailApiKey: {
@@ -55,6 +81,36 @@ const settingsSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+
+  // Donor Eligibility Rules
+  eligibilityRules: {
+    deferralDaysMale: { type: Number, default: 90 },
+    deferralDaysFemale: { type: Number, default: 120 },
+    deferralDaysDefault: { type: Number, default: 90 },
+    minAge: { type: Number, default: 18 },
+    maxAge: { type: Number, default: 65 },
+    minWeightKg: { type: Number, default: 45 }
+  },
+  
+  // Contact fatigue (see services/fatigueService.js). Fatigued donors go to the back of the queue.
+  fatigueLimits: {
+    maxContactsPerDay: { type: Number, default: 2 },
+    maxContactsPerWeek: { type: Number, default: 5 },
+    declineCooldownHours: { type: Number, default: 24 },
+    // This many unanswered requests in a row triggers the longer cooldown
+    nonResponseLimit: { type: Number, default: 3 },
+    nonResponseCooldownHours: { type: Number, default: 72 }
+  },
+
+  // Live travel tracking of pledged donors (see services/trackingService.js)
+  liveTracking: {
+    // A donor this close to the hospital has arrived
+    arrivalRadiusMeters: { type: Number, default: 150 },
+    // Used for the straight-line ETA
+    averageSpeedKmh: { type: Number, default: 25 },
+    // How often the donor's page should send a position
+    updateIntervalSeconds: { type: Number, default: 30 }
+  },
   
   // Metadata
   lastUpdated: {
@@ -1,11 +1,21 @@
 const express = require('express');
 const router = express.Router();
 const bloodRequestController = require('../controllers/bloodRequestController');
+const { findManagedRequest } = bloodRequestController;
 const BloodRequest = require('../models/BloodRequest');
 const Hospital = require('../models/Hospital');
 const DonationHistory = require('../models/DonationHistory');
 const Notification = require('../models/Notification');
 const { broadcastNotification } = require('../utils/notificationStream');
+const { TRANSITIONS, actorFromUser } = require('../services/requestLifecycle');
+const { extendRequest } = require('../services/requestExpiry');
+const DonationUnit = require('../models/DonationUnit');
+const Donor = require('../models/Donor');
+const { pledgeUnit, updateUnitStatus, getUnitSummary } = require('../services/unitService');
+const { getDeliveryBreakdown } = require('../services/deliveryTracking');
+const { describeDeferral } = require('../services/quietHours');
+const { getRequestTracking, getTrackingSettings } = require('../services/trackingService');
+const { parseRadiusKm, findDonorsNearHospital } = require('../services/locationService');
 
 // Analytics: Get total requests count
 router.get('/admin/analytics/total-requests', async (req, res) => {
@@ -54,7 +64,7 @@ router.get('/admin/analytics/fulfillment-rate', async (req, res) => {
   try {
     const totalRequests = await BloodRequest.countDocuments({});
     const fulfilledRequests = await BloodRequest.countDocuments({
-      status: { $in: ['fulfilled', 'completed'] }
+      status: 'fulfilled'
     });
     
     const fulfillmentRate = totalRequests > 0 ? Math.round((fulfilledRequests / totalRequests) * 100) : 0;
@@ -68,7 +78,7 @@ router.get('/admin/analytics/fulfillment-rate', async (req, res) => {
 router.get('/admin/analytics/avg-response-time', async (req, res) => {
   try {
     const fulfilledRequests = await BloodRequest.find({
-      status: { $in: ['fulfilled', 'completed'] },
+      status: 'fulfilled',
       updatedAt: { $exists: true }
     }).select('createdAt updatedAt');
     
@@ -101,7 +111,7 @@ router.get('/admin/analytics/stats', async (req, res) => {
     
     // Get fulfilled requests
     const fulfilledRequests = await BloodRequest.countDocuments({
-      status: { $in: ['fulfilled', 'completed'] }
+      status: 'fulfilled'
     });
     
     // Calculate fulfillment rate
@@ -115,7 +125,7 @@ router.get('/admin/analytics/stats', async (req, res) => {
     
     // Calculate average response time
     const responseTimeRequests = await BloodRequest.find({
-      status: { $in: ['fulfilled', 'completed'] },
+      status: 'fulfilled',
       updatedAt: { $exists: true }
     }).select('createdAt updatedAt');
     
@@ -206,21 +216,31 @@ router.get('/hospital', async (req, res) => {
     const hospital = req.user; // From JWT token
     
     // Find the hospital document to get the hospital name
-    const hospitalDoc = await Hospital.findById(hospital.id).select('name');
+    const hospitalDoc = await Hospital.findById(hospital.id).select('name location radius');
     const hospitalName = hospitalDoc ? hospitalDoc.name : 'Unknown Hospital';
     
     const bloodRequests = await BloodRequest.find({ hospitalId: hospital.id })
       .sort({ createdAt: -1 })
-      .select('_id bloodGroup quantity urgency status createdAt requiredBy description');
+      .select('_id bloodGroup matchMode quantity urgency status createdAt requiredBy description searchRadiusKm donorDistances deferredUntil deferredReason');
     
-    // Add hospital name to each blood request
-    const bloodRequestsWithHospital = bloodRequests.map(request => ({
-      ...request.toObject(),
-      hospitalName: hospitalName
-    }));
+    // Add hospital name and nearest queued donor distance to each blood request
+    const bloodRequestsWithHospital = bloodRequests.map(request => {
+      const distances = (request.donorDistances || []).map(d => d.distanceKm);
+      return {
+        ...request.toObject(),
+        hospitalName: hospitalName,
+        nearestDonorKm: distances.length > 0 ? Math.min(...distances) : null,
+        deferralNote: describeDeferral(request)
+      };
+    });
     
     res.json({
       success: true,
+      hospital: {
+        name: hospitalName,
+        location: hospitalDoc ? hospitalDoc.location : null,
+        radius: hospitalDoc ? hospitalDoc.radius : null
+      },
       bloodRequests: bloodRequestsWithHospital
     });
   } catch (error) {
@@ -252,68 +272,271 @@ router.get('/all', async (req, res) => {
   }
 });
 
-// PUT /blood-requests/:id - Update a blood request
-router.put('/:id', async (req, res) => {
+// GET /blood-requests/:id/exclusions - Compatible donors that were not queued, and why
+router.get('/:id/exclusions', async (req, res) => {
   try {
-    const bloodRequest = await BloodRequest.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true });
+    const bloodRequest = await findManagedRequest(req, res);
+    if (!bloodRequest) return;
+    await bloodRequest.populate('excludedDonors.donor', 'name bloodGroup');
+
+    const exclusions = bloodRequest.excludedDonors.map(entry => ({
+      donorId: entry.donor ? entry.donor._id : null,
+      name: entry.donor ? entry.donor.name : 'Deleted donor',
+      bloodGroup: entry.donor ? entry.donor.bloodGroup : null,
+      reasons: entry.reasons
+    }));
+
+    res.json({ success: true, requestId: bloodRequest._id, exclusions, total: exclusions.length });
+  } catch (error) {
+    console.error('Error fetching blood request exclusions:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch excluded donors' });
+  }
+});
+
+// GET /blood-requests/:id/history - Status transitions for a request
+router.get('/:id/history', async (req, res) => {
+  try {
+    const bloodRequest = await BloodRequest.findById(req.params.id).select('status statusHistory hospitalId');
     if (!bloodRequest) {
       return res.status(404).json({ success: false, message: 'Blood request not found' });
     }
-    
-    // Create notification for blood request update
+    if (req.user.role === 'hospital' && bloodRequest.hospitalId.toString() !== req.user.id) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    res.json({
+      success: true,
+      requestId: bloodRequest._id,
+      status: bloodRequest.status,
+      allowedTransitions: TRANSITIONS[bloodRequest.status] || [],
+      history: bloodRequest.statusHistory
+    });
+  } catch (error) {
+    console.error('Error fetching blood request history:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch blood request history' });
+  }
+});
+
+// POST /blood-requests/:id/cancel - Cancel a request, revoke its links and stand down pledged donors
+router.post('/:id/cancel', bloodRequestController.cancelBloodRequest);
+
+// POST /blood-requests/:id/rebroadcast - Restart dispatch to matching donors not contacted yet
+router.post('/:id/rebroadcast', bloodRequestController.rebroadcastBloodRequest);
+
+// GET /blood-requests/:id/delivery - Message delivery stats for a request
+router.get('/:id/delivery', async (req, res) => {
+  try {
+    const bloodRequest = await findManagedRequest(req, res);
+    if (!bloodRequest) return;
+
+    res.json({
+      success: true,
+      confirmedUnits: bloodRequest.confirmedUnits,
+      quantity: bloodRequest.quantity,
+      deliveryStats: bloodRequest.deliveryStats,
+      byChannel: await getDeliveryBreakdown(bloodRequest._id)
+    });
+  } catch (error) {
+    console.error('Error fetching delivery stats:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch delivery stats' });
+  }
+});
+
+// GET /blood-requests/:id/units - Units pledged/collected against a request
+router.get('/:id/units', async (req, res) => {
+  try {
+    const bloodRequest = await findManagedRequest(req, res);
+    if (!bloodRequest) return;
+
+    const units = await DonationUnit.find({ requestId: bloodRequest._id })
+      .populate('donorId', 'name phone bloodGroup')
+      .sort({ pledgedAt: 1 });
+
+    res.json({
+      success: true,
+      requestId: bloodRequest._id,
+      status: bloodRequest.status,
+      quantity: bloodRequest.quantity,
+      confirmedUnits: bloodRequest.confirmedUnits,
+      collectedUnits: bloodRequest.collectedUnits,
+      summary: await getUnitSummary(bloodRequest._id),
+      units
+    });
+  } catch (error) {
+    console.error('Error fetching donation units:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch donation units' });
+  }
+});
+
+// GET /blood-requests/:id/tracking - Pledged donors on their way: last position, distance and ETA.
+// Live updates follow on the notification stream as 'donor-tracking' events.
+router.get('/:id/tracking', async (req, res) => {
+  try {
+    const bloodRequest = await findManagedRequest(req, res);
+    if (!bloodRequest) return;
+
+    const [donors, settings] = await Promise.all([
+      getRequestTracking(bloodRequest),
+      getTrackingSettings()
+    ]);
+
+    res.json({
+      success: true,
+      requestId: bloodRequest._id,
+      status: bloodRequest.status,
+      arrivalRadiusMeters: settings.arrivalRadiusMeters,
+      count: donors.length,
+      donors
+    });
+  } catch (error) {
+    console.error('Error fetching donor tracking:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch donor tracking' });
+  }
+});
+
+// GET /blood-requests/:id/nearby-donors?radiusKm=10 - Donors who shared a location for this
+// request within radiusKm of the requesting hospital, nearest first
+router.get('/:id/nearby-donors', async (req, res) => {
+  try {
+    const radiusKm = parseRadiusKm(req.query.radiusKm);
+    const bloodRequest = await findManagedRequest(req, res);
+    if (!bloodRequest) return;
+
+    const hospital = await Hospital.findById(bloodRequest.hospitalId).select('name location');
+    const donors = await findDonorsNearHospital({ request: bloodRequest, hospital, radiusKm });
+
+    res.json({
+      success: true,
+      requestId: bloodRequest._id,
+      hospital: hospital ? { _id: hospital._id, name: hospital.name, location: hospital.location } : null,
+      radiusKm,
+      count: donors.length,
+      donors
+    });
+  } catch (error) {
+    console.error('Error fetching nearby donors:', error);
+    res.status(error.status || 500).json({ success: false, message: error.status ? error.message : 'Failed to fetch nearby donors' });
+  }
+});
+
+// POST /blood-requests/:id/units - Record a pledge by phone or in person
+router.post('/:id/units', async (req, res) => {
+  try {
+    const bloodRequest = await findManagedRequest(req, res);
+    if (!bloodRequest) return;
+
+    const { donorId, donorName } = req.body;
+    const donor = donorId ? await Donor.findById(donorId) : null;
+    if (donorId && !donor) {
+      return res.status(404).json({ success: false, message: 'Donor not found' });
+    }
+
+    const pledge = await pledgeUnit(bloodRequest._id, {
+      donorId: donor ? donor._id : undefined,
+      donorName: donor ? donor.name : donorName,
+      actor: actorFromUser(req.user),
+      reason: 'Pledge recorded by hospital'
+    });
+    if (!pledge) {
+      return res.status(409).json({ success: false, message: `Blood request is ${bloodRequest.status} and not taking more units` });
+    }
+
+    res.status(pledge.created ? 201 : 200).json({ success: true, unit: pledge.unit, bloodRequest: pledge.request });
+  } catch (error) {
+    console.error('Error recording donation unit:', error);
+    res.status(500).json({ success: false, message: 'Failed to record donation unit' });
+  }
+});
+
+// PATCH /blood-requests/:id/units/:unitId - Move a unit on (arrived, collected, rejected-at-screening, issued)
+router.patch('/:id/units/:unitId', async (req, res) => {
+  try {
+    const bloodRequest = await findManagedRequest(req, res);
+    if (!bloodRequest) return;
+
+    const { status, reason } = req.body;
+    const unit = await DonationUnit.findOne({ _id: req.params.unitId, requestId: bloodRequest._id });
+    if (!unit) {
+      return res.status(404).json({ success: false, message: 'Donation unit not found' });
+    }
+    if (status === 'rejected-at-screening' && !reason) {
+      return res.status(400).json({ success: false, message: 'A reason is required when rejecting a unit' });
+    }
+
+    const result = await updateUnitStatus(unit, status, { actor: actorFromUser(req.user), reason });
+
     try {
+      const rejected = status === 'rejected-at-screening';
       const notif = await Notification.create({
         hospitalId: bloodRequest.hospitalId,
-        type: 'info',
-        title: 'Blood Request Updated',
-        message: `Blood request for ${bloodRequest.bloodGroup} (${bloodRequest.quantity} units) was updated`,
-        read: false,
-        meta: { bloodRequestId: bloodRequest._id }
+        bloodRequestId: bloodRequest._id,
+        type: rejected ? 'warning' : 'info',
+        title: rejected ? 'Unit Rejected at Screening' : 'Donation Unit Updated',
+        message: `${unit.donorName || 'Donor'}'s unit for ${bloodRequest.bloodGroup} is now ${status}${rejected ? ` (${reason}). Contacting more donors.` : ''} ${result.request.collectedUnits}/${result.request.quantity} units collected.`,
+        meta: { bloodRequestId: bloodRequest._id, unitId: unit._id, unitStatus: status }
       });
       broadcastNotification(notif);
-    } catch (e) { console.error('Failed to create blood request update notification:', e.message); }
-    
-    res.json({ success: true, message: 'Blood request updated successfully', bloodRequest });
+    } catch (e) { console.error('Failed to create unit update notification:', e.message); }
+
+    res.json({ success: true, unit: result.unit, bloodRequest: result.request });
   } catch (error) {
-    console.error('Error updating blood request:', error);
-    res.status(500).json({ success: false, message: 'Failed to update blood request' });
+    console.error('Error updating donation unit:', error);
+    res.status(error.status || 500).json({ success: false, message: error.status ? error.message : 'Failed to update donation unit' });
   }
 });
 
-// DELETE /blood-requests/:id - Delete a blood request
-router.delete('/:id', async (req, res) => {
+// POST /blood-requests/:id/extend - Push back the deadline; reopens and resumes an expired request
+router.post('/:id/extend', async (req, res) => {
   try {
-    const bloodRequest = await BloodRequest.findByIdAndDelete(req.params.id);
-    if (!bloodRequest) {
-      return res.status(404).json({ success: false, message: 'Blood request not found' });
+    const { requiredBy, reason } = req.body;
+    if (!requiredBy) {
+      return res.status(400).json({ success: false, message: 'requiredBy is required' });
     }
-    
-    // Create notification for blood request deletion
+
+    const bloodRequest = await findManagedRequest(req, res);
+    if (!bloodRequest) return;
+
+    const { request, resumed } = await extendRequest(bloodRequest, requiredBy, {
+      actor: actorFromUser(req.user),
+      reason
+    });
+
     try {
       const notif = await Notification.create({
-        hospitalId: bloodRequest.hospitalId,
-        type: 'warning',
-        title: 'Blood Request Deleted',
-        message: `Blood request for ${bloodRequest.bloodGroup} (${bloodRequest.quantity} units) was deleted`,
-        read: false,
-        meta: { bloodRequestId: bloodRequest._id }
+        hospitalId: request.hospitalId,
+        bloodRequestId: request._id,
+        type: 'info',
+        title: 'Blood Request Extended',
+        message: `Request for ${request.bloodGroup} (${request.quantity} units) extended to ${new Date(request.requiredBy).toLocaleString()}${resumed ? '. Contacting donors again.' : ''}`,
+        meta: { bloodRequestId: request._id }
       });
       broadcastNotification(notif);
-    } catch (e) { console.error('Failed to create blood request deletion notification:', e.message); }
-    
-    res.json({ success: true, message: 'Blood request deleted successfully' });
+    } catch (e) { console.error('Failed to create blood request extension notification:', e.message); }
+
+    res.json({
+      success: true,
+      message: resumed ? 'Deadline extended and donor outreach resumed' : 'Deadline extended',
+      resumed,
+      bloodRequest: request
+    });
   } catch (error) {
-    console.error('Error deleting blood request:', error);
-    res.status(500).json({ success: false, message: 'Failed to delete blood request' });
+    console.error('Error extending blood request:', error);
+    res.status(error.status || 500).json({ success: false, message: error.status ? error.message : 'Failed to extend blood request' });
   }
 });
 
+// PUT /blood-requests/:id - Update a blood request (re-plans outreach when matching fields change)
+router.put('/:id', bloodRequestController.updateBloodRequest);
+
+// DELETE /blood-requests/:id - Delete a blood request
+router.delete('/:id', bloodRequestController.deleteBloodRequest);
+
 // Analytics: Get fulfillment rate pie chart data
 router.get('/admin/analytics/fulfillment-pie', async (req, res) => {
   try {
     const totalRequests = await BloodRequest.countDocuments({});
     const fulfilledRequests = await BloodRequest.countDocuments({
-      status: { $in: ['fulfilled', 'completed'] }
+      status: 'fulfilled'
     });
     const pendingRequests = await BloodRequest.countDocuments({
       status: 'pending'
@@ -384,7 +607,7 @@ router.get('/admin/analytics/response-time-by-hour', async (req, res) => {
     
     const data = await Promise.all(timeSlots.map(async (slot) => {
       const requests = await BloodRequest.find({
-        status: { $in: ['fulfilled', 'completed'] },
+        status: 'fulfilled',
         updatedAt: { $exists: true }
       }).select('createdAt updatedAt');
       
@@ -442,7 +665,7 @@ router.get('/admin/analytics/fulfillment-breakdown', async (req, res) => {
     console.log('Total requests:', total);
 
     // Ensure we have all statuses represented
-    const allStatuses = ['fulfilled', 'pending', 'cancelled', 'active'];
+    const allStatuses = ['fulfilled', 'partially-fulfilled', 'pending', 'cancelled', 'expired', 'active'];
     const fulfillmentData = allStatuses.map(status => {
       const statusData = statusCounts.find(item => item._id === status);
       const count = statusData ? statusData.count : 0;
@@ -451,9 +674,11 @@ router.get('/admin/analytics/fulfillment-breakdown', async (req, res) => {
       if (status === 'pending') color = '#eab308'; // pending - yellow  
       if (status === 'cancelled') color = '#dc2626'; // cancelled - red
       if (status === 'active') color = '#3b82f6'; // active - blue
+      if (status === 'partially-fulfilled') color = '#10b981'; // partially fulfilled - light green
+      if (status === 'expired') color = '#6b7280'; // expired - grey
 
       return {
-        label: status.charAt(0).toUpperCase() + status.slice(1),
+        label: (status.charAt(0).toUpperCase() + status.slice(1)).replace('-', ' '),
         value: count, // Use actual count for pie chart
         color: color
       };
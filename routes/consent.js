@@ -0,0 +1,144 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Donor = require('../models/Donor');
+const OptOutLedger = require('../models/OptOutLedger');
+const { CONSENT_CHANNELS, CONSENT_STATUSES, setConsent } = require('../services/consentService');
+const { actorFromUser } = require('../services/requestLifecycle');
+const { getContactHistory } = require('../services/fatigueService');
+
+// Only admins may see opt-outs, the consent ledger or a donor's contact history, or change consent on a donor's behalf
+const requireAdmin = (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin') {
+    return res.status(403).json({ success: false, message: 'Access denied. Admin role required.' });
+  }
+  next();
+};
+
+// GET /admin/consent/opted-out - Donors who opted out (optional ?channel=sms)
+router.get('/consent/opted-out', requireAdmin, async (req, res) => {
+  try {
+    const { channel } = req.query;
+    if (channel && !CONSENT_CHANNELS.includes(channel)) {
+      return res.status(400).json({ success: false, message: `Invalid channel. Must be one of: ${CONSENT_CHANNELS.join(', ')}` });
+    }
+
+    const channels = channel ? [channel] : CONSENT_CHANNELS;
+    const donors = await Donor.find(
+      { $or: channels.map(c => ({ [`consent.${c}.status`]: 'revoked' })) },
+      { name: 1, email: 1, phone: 1, bloodGroup: 1, consent: 1, dndRegistered: 1 }
+    ).lean();
+
+    // Latest opt-out per donor and channel, for source and timestamp
+    const ledger = await OptOutLedger.find({
+      donorId: { $in: donors.map(d => d._id) },
+      action: 'opt-out'
+    }).sort({ at: -1 }).lean();
+
+    const data = donors.map(donor => {
+      const optedOut = channels.filter(c => donor.consent && donor.consent[c] && donor.consent[c].status === 'revoked');
+      return {
+        donorId: donor._id,
+        name: donor.name,
+        email: donor.email,
+        phone: donor.phone,
+        bloodGroup: donor.bloodGroup,
+        dndRegistered: donor.dndRegistered,
+        optedOut: optedOut.map(c => {
+          const entry = ledger.find(l => String(l.donorId) === String(donor._id) && l.channel === c);
+          return { channel: c, at: entry ? entry.at : donor.consent[c].updatedAt, source: entry ? entry.source : donor.consent[c].source, reason: entry ? entry.reason : undefined };
+        })
+      };
+    });
+
+    res.json({ success: true, count: data.length, data });
+  } catch (error) {
+    console.error('Error fetching opted-out donors:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch opted-out donors' });
+  }
+});
+
+// GET /admin/consent/ledger - Consent changes, newest first (?donorId=&channel=&source=&limit=)
+router.get('/consent/ledger', requireAdmin, async (req, res) => {
+  try {
+    const { donorId, channel, source } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+
+    const query = {};
+    if (donorId) {
+      if (!mongoose.Types.ObjectId.isValid(donorId)) {
+        return res.status(400).json({ success: false, message: 'Invalid donorId' });
+      }
+      query.donorId = donorId;
+    }
+    if (channel) query.channel = channel;
+    if (source) query.source = source;
+
+    const entries = await OptOutLedger.find(query).sort({ at: -1 }).limit(limit).lean();
+    res.json({ success: true, count: entries.length, data: entries });
+  } catch (error) {
+    console.error('Error fetching consent ledger:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch consent ledger' });
+  }
+});
+
+// PUT /admin/donors/:id/consent - Record consent given or withdrawn outside the app
+// Body: { consent: { sms: 'granted', email: 'revoked' }, dndRegistered, reason }
+router.put('/donors/:id/consent', requireAdmin, async (req, res) => {
+  try {
+    const { consent = {}, dndRegistered, reason } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Donor not found' });
+    }
+
+    const invalid = Object.entries(consent).filter(([c, status]) => !CONSENT_CHANNELS.includes(c) || !CONSENT_STATUSES.includes(status));
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid consent entries: ${invalid.map(([c, s]) => `${c}=${s}`).join(', ')}`
+      });
+    }
+
+    let donor = await Donor.findById(req.params.id);
+    if (!donor) {
+      return res.status(404).json({ success: false, message: 'Donor not found' });
+    }
+
+    const actor = actorFromUser(req.user);
+    for (const [channel, status] of Object.entries(consent)) {
+      donor = await setConsent(donor._id, channel, status, { source: 'admin', reason, actor });
+    }
+    if (typeof dndRegistered === 'boolean') {
+      donor = await Donor.findByIdAndUpdate(donor._id, { $set: { dndRegistered } }, { new: true });
+    }
+
+    res.json({ success: true, message: 'Consent updated', consent: donor.consent, dndRegistered: donor.dndRegistered });
+  } catch (error) {
+    console.error('Error updating donor consent:', error);
+    res.status(error.status || 500).json({ success: false, message: error.status ? error.message : 'Failed to update donor consent' });
+  }
+});
+
+// GET /admin/donors/:id/contact-history - Requests the donor was contacted for, their answers,
+// and whether contact fatigue currently puts them at the back of the queue (?limit=50)
+router.get('/donors/:id/contact-history', requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Donor not found' });
+    }
+    const donor = await Donor.findById(req.params.id, { name: 1, bloodGroup: 1 });
+    if (!donor) {
+      return res.status(404).json({ success: false, message: 'Donor not found' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const { limits, fatigue, history } = await getContactHistory(donor._id, { limit });
+
+    res.json({ success: true, donor, limits, fatigue, history, count: history.length });
+  } catch (error) {
+    console.error('Error fetching donor contact history:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch contact history', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,9 @@ const router = express.Router();
 const mongoose = require('mongoose');
 const DonationHistory = require('../models/DonationHistory');
 const BloodRequest = require('../models/BloodRequest');
+const { actorFromUser } = require('../services/requestLifecycle');
+const { collectUnitForDonor } = require('../services/unitService');
+const { removeDonorLocation } = require('../services/locationService');
 
 // Get all donation history records (for frontend display)
 router.get('/donation-history', async (req, res) => {
@@ -246,46 +249,40 @@ router.post('/mark-donation-completed', async (req, res) => {
 
     // Remove from locations collection after marking as donated
     try {
-      const deleteResult = await mongoose.connection.db.collection('locations').deleteOne({
-        donorId: donorId,
-        requestId: requestId
-      });
-      
-      if (deleteResult.deletedCount > 0) {
+      if (await removeDonorLocation(requestId, { donorId, phone: donorPhone })) {
         console.log(`✅ Removed donor ${donorId} location from locations collection`);
       } else {
-        // Try alternative deletion by phone number if donorId doesn't match
-        const altDeleteResult = await mongoose.connection.db.collection('locations').deleteOne({
-          mobileNumber: donorPhone,
-          requestId: requestId
-        });
-        
-        if (altDeleteResult.deletedCount > 0) {
-          console.log(`✅ Removed donor location by phone ${donorPhone} from locations collection`);
-        } else {
-          console.log(`⚠️ No location found to remove for donor ${donorId} in request ${requestId}`);
-        }
+        console.log(`⚠️ No location found to remove for donor ${donorId} in request ${requestId}`);
       }
     } catch (locationError) {
       console.error('Error removing from locations collection:', locationError);
       // Continue with the flow even if location removal fails
     }
 
-    // Update the blood request status to 'fulfilled'
-    const bloodRequest = await BloodRequest.findById(requestId);
-    if (bloodRequest) {
-      bloodRequest.status = 'fulfilled';
-      await bloodRequest.save();
-      console.log(`Updated blood request ${requestId} status to fulfilled`);
-    } else {
+    // Mark the donor's unit collected; the request is fulfilled once enough units are collected
+    let requestFulfilled = false;
+    if (!mongoose.Types.ObjectId.isValid(requestId) || !(await BloodRequest.exists({ _id: requestId }))) {
       console.log(`Blood request ${requestId} not found`);
+    } else {
+      const collected = await collectUnitForDonor(requestId, {
+        donorId: mongoose.Types.ObjectId.isValid(donorId) ? donorId : undefined,
+        donorName,
+        actor: actorFromUser(req.user),
+        donationHistoryId: donation._id
+      });
+      if (collected) {
+        requestFulfilled = collected.request.status === 'fulfilled';
+        console.log(`Blood request ${requestId} is ${collected.request.status} (${collected.request.collectedUnits}/${collected.request.quantity} units collected)`);
+      } else {
+        console.log(`Blood request ${requestId} is not accepting units`);
+      }
     }
 
     return res.status(201).json({
       success: true,
-      message: 'Donation completed and blood request fulfilled successfully',
+      message: requestFulfilled ? 'Donation completed and blood request fulfilled successfully' : 'Donation completed',
       donation,
-      bloodRequestUpdated: !!bloodRequest
+      bloodRequestUpdated: requestFulfilled
     });
 
   } catch (error) {
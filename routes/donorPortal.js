@@ -0,0 +1,279 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const router = express.Router();
+const Donor = require('../models/Donor');
+const BloodRequest = require('../models/BloodRequest');
+const { getEligibilityRules, evaluateEligibility, refreshDonorEligibility } = require('../services/eligibilityService');
+const { CONSENT_CHANNELS, getConsentStatus, setConsent } = require('../services/consentService');
+const { getDonorChannels } = require('../services/outreachService');
+const { getAvailability, buildAvailabilityUpdate } = require('../services/availabilityService');
+const { actorFromUser } = require('../services/requestLifecycle');
+const {
+  toDonorProfile,
+  buildPreferencesUpdate,
+  buildProfileUpdate,
+  requestPhoneChange,
+  confirmPhoneChange,
+  getDonationHistory,
+  getMatchingRequests
+} = require('../services/donorProfileService');
+const { parseCoordinates } = require('../services/donorResponseService');
+const { recordTrackingUpdate } = require('../services/trackingService');
+
+// Every route here acts on the logged-in donor's own record
+const requireDonor = async (req, res, next) => {
+  if (!req.user || req.user.role !== 'donor') {
+    return res.status(403).json({ success: false, message: 'Access denied. Donor login required.' });
+  }
+  try {
+    req.donor = await Donor.findById(req.user.id);
+    if (!req.donor) {
+      return res.status(404).json({ success: false, message: 'Donor not found' });
+    }
+    next();
+  } catch (error) {
+    console.error('Error loading donor:', error);
+    res.status(500).json({ success: false, message: 'Failed to load donor', error: error.message });
+  }
+};
+
+router.use(requireDonor);
+
+const eligibilitySummary = async (donor) => {
+  const { eligible, status, reasons, nextEligibleDate } = evaluateEligibility(donor, await getEligibilityRules());
+  return { eligible, status, reasons, nextEligibleDate };
+};
+
+const preferencesOf = (donor) => ({
+  channels: donor.contactPreferences.channels,
+  whatsappNumber: donor.contactPreferences.whatsappNumber || null,
+  timezone: donor.timezone,
+  preferredLanguage: donor.preferredLanguage,
+  consent: Object.fromEntries(CONSENT_CHANNELS.map(channel => [channel, getConsentStatus(donor, channel)])),
+  // Channels we can actually use, given the contact details and consent on file
+  reachableChannels: getDonorChannels(donor)
+});
+
+// GET /donor-portal/me - The donor's profile with current eligibility and availability
+router.get('/me', async (req, res) => {
+  try {
+    res.json({ success: true, donor: toDonorProfile(req.donor), eligibility: await eligibilitySummary(req.donor) });
+  } catch (error) {
+    console.error('Error fetching donor profile:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch profile', error: error.message });
+  }
+});
+
+// PUT /donor-portal/me - Edit own details. Body: { name, phone, sex, dateOfBirth, weightKg, homeLocation }
+router.put('/me', async (req, res) => {
+  try {
+    req.donor.set(buildProfileUpdate(req.body));
+    // Age, sex and weight feed into eligibility
+    await refreshDonorEligibility(req.donor);
+
+    console.log(`👤 Donor ${req.donor._id} updated their profile`);
+    res.json({
+      success: true,
+      message: 'Profile updated',
+      donor: toDonorProfile(req.donor),
+      eligibility: await eligibilitySummary(req.donor)
+    });
+  } catch (error) {
+    console.error('Error updating donor profile:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to update profile',
+      error: error.message
+    });
+  }
+});
+
+// POST /donor-portal/me/phone - Body: { phone }. Sends a code to the new number.
+router.post('/me/phone', async (req, res) => {
+  try {
+    const phone = await requestPhoneChange(req.donor, req.body.phone);
+    res.json({ success: true, message: `A confirmation code has been sent to ${phone}`, phone });
+  } catch (error) {
+    console.error('Error requesting phone change:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to send confirmation code',
+      error: error.message
+    });
+  }
+});
+
+// POST /donor-portal/me/phone/verify - Body: { otp }. Switches to the new number.
+router.post('/me/phone/verify', async (req, res) => {
+  try {
+    if (!req.body.otp) {
+      return res.status(400).json({ success: false, message: 'otp is required' });
+    }
+    const donor = await confirmPhoneChange(req.donor, req.body.otp);
+    console.log(`📱 Donor ${donor._id} changed their phone number`);
+    res.json({ success: true, message: 'Phone number updated', donor: toDonorProfile(donor) });
+  } catch (error) {
+    console.error('Error confirming phone change:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to update phone number',
+      error: error.message
+    });
+  }
+});
+
+// PUT /donor-portal/me/password - Body: { currentPassword, newPassword }
+router.put('/me/password', async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ success: false, message: 'Current password and new password are required' });
+    }
+    if (newPassword.length < 6) {
+      return res.status(400).json({ success: false, message: 'New password must be at least 6 characters long' });
+    }
+
+    const isCurrentPasswordValid = await bcrypt.compare(currentPassword, req.donor.password);
+    if (!isCurrentPasswordValid) {
+      return res.status(400).json({ success: false, message: 'Current password is incorrect' });
+    }
+
+    req.donor.password = await bcrypt.hash(newPassword, 10);
+    await req.donor.save();
+    res.json({ success: true, message: 'Password updated successfully' });
+  } catch (error) {
+    console.error('Error updating donor password:', error);
+    res.status(500).json({ success: false, message: 'Failed to update password', error: error.message });
+  }
+});
+
+// PUT /donor-portal/me/availability - Body: { status: available|unavailable|paused, until, reason }
+router.put('/me/availability', async (req, res) => {
+  try {
+    req.donor.set(buildAvailabilityUpdate(req.body, 'donor'));
+    await req.donor.save();
+
+    const availability = getAvailability(req.donor);
+    console.log(`🗓️ Donor ${req.donor._id} set availability to ${availability.status}`);
+    res.json({ success: true, message: 'Availability updated', availability });
+  } catch (error) {
+    console.error('Error updating donor availability:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to update availability',
+      error: error.message
+    });
+  }
+});
+
+// GET /donor-portal/me/donations - Donation history, last donation and next eligible date
+router.get('/me/donations', async (req, res) => {
+  try {
+    const [donations, eligibility] = await Promise.all([
+      getDonationHistory(req.donor),
+      eligibilitySummary(req.donor)
+    ]);
+    res.json({
+      success: true,
+      lastDonationDate: req.donor.lastDonationDate || null,
+      nextEligibleDate: eligibility.nextEligibleDate,
+      eligibility,
+      count: donations.length,
+      donations
+    });
+  } catch (error) {
+    console.error('Error fetching donor donations:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch donation history', error: error.message });
+  }
+});
+
+// GET /donor-portal/me/requests - Open requests the donor's blood group can serve
+router.get('/me/requests', async (req, res) => {
+  try {
+    const requests = await getMatchingRequests(req.donor);
+    res.json({
+      success: true,
+      eligibility: await eligibilitySummary(req.donor),
+      availability: getAvailability(req.donor),
+      count: requests.length,
+      requests
+    });
+  } catch (error) {
+    console.error('Error fetching matching requests:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch requests', error: error.message });
+  }
+});
+
+// GET /donor-portal/me/preferences - Channels, language, timezone and consent per channel
+router.get('/me/preferences', (req, res) => {
+  res.json({ success: true, preferences: preferencesOf(req.donor) });
+});
+
+// PUT /donor-portal/me/preferences
+// Body: { channels, whatsappNumber, timezone, preferredLanguage, consent: { sms: 'granted', voice: 'revoked' } }
+router.put('/me/preferences', async (req, res) => {
+  try {
+    const { consent = {} } = req.body;
+    const invalid = Object.entries(consent).filter(([channel, status]) =>
+      !CONSENT_CHANNELS.includes(channel) || !['granted', 'revoked'].includes(status));
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid consent entries: ${invalid.map(([c]) => c).join(', ')}. Use { channel: 'granted' | 'revoked' }`
+      });
+    }
+
+    const update = buildPreferencesUpdate(req.body, { partial: true });
+    let donor = req.donor;
+    if (Object.keys(update).length > 0) {
+      donor = await Donor.findByIdAndUpdate(donor._id, { $set: update }, { new: true, runValidators: true });
+    }
+
+    // Consent changes go through the ledger, one entry per channel that actually changes
+    for (const status of ['granted', 'revoked']) {
+      const channels = Object.keys(consent).filter(c => consent[c] === status && getConsentStatus(donor, c) !== status);
+      if (channels.length > 0) {
+        donor = await setConsent(donor._id, channels, status, { source: 'donor', actor: actorFromUser(req.user) });
+      }
+    }
+
+    res.json({ success: true, message: 'Preferences updated', preferences: preferencesOf(donor) });
+  } catch (error) {
+    console.error('Error updating donor preferences:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to update preferences',
+      error: error.message
+    });
+  }
+});
+
+// POST /donor-portal/me/requests/:requestId/track - Share position while travelling to donate
+// Body: { latitude, longitude, accuracy }. Send again every nextUpdateInSeconds until arrived.
+router.post('/me/requests/:requestId/track', async (req, res) => {
+  try {
+    const coordinates = parseCoordinates(req.body, { required: true });
+    const request = await BloodRequest.findById(req.params.requestId);
+    const tracking = await recordTrackingUpdate({
+      request,
+      donor: req.donor,
+      coordinates,
+      actor: actorFromUser(req.user)
+    });
+
+    res.json({
+      success: true,
+      message: tracking.arrived ? 'You have arrived. Thank you for coming in!' : 'Location updated',
+      data: tracking
+    });
+  } catch (error) {
+    console.error('Error recording donor tracking:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to update location',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
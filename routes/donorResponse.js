@@ -5,9 +5,17 @@ const mongoose = require('mongoose');
 // Import Donor model
 const Donor = require('../models/Donor');
 const DonorLocationResponse = require('../models/DonorLocationResponse');
+const Location = require('../models/Location');
 
 // Import location filter utility
 const { filterRecentLocations, addExpiryInfo } = require('../utils/locationFilter');
+const { calculateDistance } = require('../utils/geo');
+const Hospital = require('../models/Hospital');
+const { TERMINAL_STATUSES, actorFromUser } = require('../services/requestLifecycle');
+const { parseCoordinates, resolveDonor, recordDonorResponse } = require('../services/donorResponseService');
+
+// Fallback reference point when the requesting hospital has no stored location
+const DEFAULT_HOSPITAL_LOCATION = { lat: 22.6013, lng: 72.8327 };
 
 // ADD THIS TEST ENDPOINT AT THE TOP
 router.get('/test', (req, res) => {
@@ -18,97 +26,65 @@ router.get('/test', (req, res) => {
   });
 });
 
-// Handle direct location sharing from frontend page (not SMS)
+// Handle direct location sharing from frontend page (not SMS), recorded by staff for the donor
 router.post('/donor-location', async (req, res) => {
   try {
-    console.log('=== DIRECT LOCATION SHARING FROM FRONTEND ===');
-    const { requestId, donorId, lat, lng } = req.body;
-
-    console.log('Received data:', { requestId, donorId, lat, lng });
+    const { requestId, donorId, address } = req.body;
 
-    if (!requestId || !donorId || !lat || !lng) {
+    if (!requestId || !donorId) {
       return res.status(400).json({
         error: 'Missing required fields: requestId, donorId, lat, lng'
       });
     }
+    const coordinates = parseCoordinates(req.body, { required: true });
 
-    // Find the blood request to validate
     const BloodRequest = require('../models/BloodRequest');
-    const bloodRequest = await BloodRequest.findById(requestId);
-
+    const [bloodRequest, donorInfo] = await Promise.all([
+      mongoose.Types.ObjectId.isValid(requestId) ? BloodRequest.findById(requestId) : null,
+      resolveDonor({ donorId })
+    ]);
     if (!bloodRequest) {
       return res.status(404).json({ error: 'Blood request not found' });
     }
-
-    // Check if request is already fulfilled
-    if (bloodRequest.status === 'fulfilled' || bloodRequest.status === 'cancelled' || bloodRequest.status === 'completed') {
-      console.log(`❌ Location rejected: Request ${requestId} is ${bloodRequest.status}`);
-      return res.status(400).json({
-        success: false,
-        error: 'Request already fulfilled',
-        message: 'Thank you for your willingness to help, but this blood request has already been fulfilled.'
-      });
+    if (!donorInfo) {
+      return res.status(404).json({ error: `Donor "${donorId}" not found` });
     }
 
-    console.log('Found blood request:', {
-      id: bloodRequest._id,
-      bloodGroup: bloodRequest.bloodGroup,
-      status: bloodRequest.status
+    const { response, location, pledge } = await recordDonorResponse({
+      request: bloodRequest,
+      donor: donorInfo,
+      answer: 'accepted',
+      coordinates,
+      address,
+      via: 'staff',
+      actor: actorFromUser(req.user),
+      reason: 'Location shared by staff for donor'
     });
 
-    // Try to find donor information
-    let donorInfo = null;
-    try {
-      const Donor = require('../models/Donor');
-      donorInfo = await Donor.findById(donorId);
-      if (!donorInfo) {
-        donorInfo = await Donor.findOne({ uniqueId: donorId });
-      }
-    } catch (error) {
-      console.log('Could not find donor in database, proceeding with location only');
-    }
-
-    // Create location data with proper requestId
-    const locationData = {
-      address: donorInfo ? `${donorInfo.name} - Current Location` : 'Direct location share',
-      latitude: parseFloat(lat),
-      longitude: parseFloat(lng),
-      accuracy: 0,
-      userName: donorInfo ? donorInfo.name : `Donor ${donorId}`,
-      rollNumber: donorInfo ? donorInfo.rollNumber || '' : '',
-      mobileNumber: donorInfo ? donorInfo.phone : '',
-      timestamp: new Date(),
-      // IMPORTANT: Store the requestId from the frontend
-      requestId: requestId,
-      donorId: donorId,
-      token: `DIRECT_${requestId}_${donorId}`, // Generate a unique token
-      isAvailable: true,
-      responseTime: new Date()
-    };
-
-    console.log('Saving location with requestId:', locationData.requestId);
-
-    // Save to locations collection
-    const mongoose = require('mongoose');
-    const result = await mongoose.connection.db.collection('locations').insertOne(locationData);
-
-    console.log('✅ Location saved successfully with requestId:', requestId);
-
     res.json({
       success: true,
       message: 'Location shared successfully',
       data: {
-        locationId: result.insertedId,
-        requestId: requestId,
-        donorId: donorId,
-        coordinates: { lat, lng }
+        locationId: location._id,
+        responseId: response._id,
+        unitId: pledge.unit._id,
+        requestId: bloodRequest._id,
+        donorId: donorInfo._id,
+        coordinates: { lat: coordinates.latitude, lng: coordinates.longitude }
       }
     });
 
   } catch (error) {
-    console.error('Error in direct location sharing:', error);
-    res.status(500).json({
-      error: 'Failed to save location',
+    if (error.code === 'REQUEST_CLOSED') {
+      return res.status(400).json({
+        success: false,
+        error: 'Request already fulfilled',
+        message: 'Thank you for your willingness to help, but this blood request is no longer taking donors.'
+      });
+    }
+    console.error('Error in direct location sharing:', error.message);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to save location',
       details: error.message
     });
   }
@@ -119,12 +95,18 @@ router.get('/available-donors', async (req, res) => {
   try {
     console.log('=== FETCHING AVAILABLE DONORS ===');
 
+    // Measure distances from the requesting hospital when it has a stored location
+    const hospitalDoc = req.user && req.user.role === 'hospital' ? await Hospital.findById(req.user.id).select('location') : null;
+    const origin = hospitalDoc && hospitalDoc.location && hospitalDoc.location.lat !== undefined
+      ? hospitalDoc.location
+      : DEFAULT_HOSPITAL_LOCATION;
+
     // Get all donors from the donors collection
     const donors = await Donor.find({}).sort({ createdAt: -1 });
     console.log('Donors found:', donors.length);
 
     // Get recent location data to match with donors
-    const allLocations = await mongoose.connection.db.collection('locations').find({}).toArray();
+    const allLocations = await Location.find({}).lean();
     console.log('Locations found:', allLocations.length);
 
     // ⏰ FILTER: Only include locations from the last 1 hour
@@ -152,9 +134,7 @@ router.get('/available-donors', async (req, res) => {
       let detailedStatus = 'not_contacted'; // Default status
 
       if (location && location.latitude && location.longitude) {
-        const hospitalLat = 22.6013;
-        const hospitalLng = 72.8327;
-        distance = calculateDistance(hospitalLat, hospitalLng, location.latitude, location.longitude);
+        distance = calculateDistance(origin.lat, origin.lng, location.latitude, location.longitude);
         detailedStatus = 'location_shared';
       }
 
@@ -217,31 +197,6 @@ router.get('/available-donors', async (req, res) => {
   }
 });
 
-// Helper function to calculate distance
-function calculateDistance(lat1, lng1, lat2, lng2) {
-  const R = 6371; // Radius of the Earth in kilometers
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLng = (lng2 - lng1) * Math.PI / 180;
-  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-    Math.sin(dLng / 2) * Math.sin(dLng / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c; // Distance in kilometers
-}
-
-// Create a model for the locations collection
-const LocationSchema = new mongoose.Schema({
-  address: String,
-  latitude: Number,
-  longitude: Number,
-  userName: String,
-  rollNumber: String,
-  mobileNumber: String,
-  timestamp: Date
-}, { collection: 'locations' });
-
-const Location = mongoose.model('Location', LocationSchema);
-
 // Get all locations (user positions) for the live map
 router.get('/locations', async (req, res) => {
   try {
@@ -252,7 +207,7 @@ router.get('/locations', async (req, res) => {
     console.log('Found donors for matching:', donors.length);
 
     // Get all locations from the locations collection (simplified approach)
-    const allLocations = await mongoose.connection.db.collection('locations').find({}).toArray();
+    const allLocations = await Location.find({}).lean();
     console.log('Total locations found:', allLocations.length);
 
     // ⏰ FILTER: Only include locations from the last 1 hour
@@ -407,6 +362,8 @@ router.get('/responses/:requestId', async (req, res) => {
       newResponseQuery.createdAt = responseTimeFilter;
     }
 
+    // SMS replies carry no position and cannot go on the map
+    newResponseQuery.latitude = { $ne: null };
     const newLocationResponses = await DonorLocationResponse.find(newResponseQuery)
       .populate('donorId')
       .populate('requestId')
@@ -432,9 +389,7 @@ router.get('/responses/:requestId', async (req, res) => {
     }
 
     console.log('Looking for locations with specific requestId:', locationFilter);
-    const locationsWithRequestId = await mongoose.connection.db.collection('locations')
-      .find(locationFilter)
-      .toArray();
+    const locationsWithRequestId = await Location.find(locationFilter).lean();
 
     console.log(`Locations found with requestId ${requestId}:`, locationsWithRequestId.length);
 
@@ -458,18 +413,18 @@ router.get('/responses/:requestId', async (req, res) => {
     }
 
     console.log('Looking for locations without requestId (fallback):', fallbackFilter);
-    const locationsWithoutRequestId = await mongoose.connection.db.collection('locations')
-      .find(fallbackFilter)
-      .toArray();
+    const locationsWithoutRequestId = await Location.find(fallbackFilter).lean();
 
     console.log(`Locations found without requestId (created after request):`, locationsWithoutRequestId.length);
 
-    // Combine both sets of locations
-    const locations = [...locationsWithRequestId, ...locationsWithoutRequestId];
+    // Combine both sets of locations, leaving out donors already listed from their recorded response
+    const respondedDonorIds = new Set(newLocationResponses.map(r => String(r.donorId?._id || r.donorId)));
+    const locations = [...locationsWithRequestId, ...locationsWithoutRequestId]
+      .filter(location => !respondedDonorIds.has(String(location.donorId)));
     console.log(`✅ Total locations (within 1 hour): ${locations.length}`);
 
     // CHECK: If request is already fulfilled, return empty responses to clear the map
-    if (bloodRequest.status === 'fulfilled' || bloodRequest.status === 'cancelled' || (bloodRequest.confirmedUnits >= bloodRequest.quantity)) {
+    if (TERMINAL_STATUSES.includes(bloodRequest.status) || (bloodRequest.confirmedUnits >= bloodRequest.quantity)) {
       console.log(`🚫 Request ${requestId} is already ${bloodRequest.status}. Returning empty response list to clear map.`);
       return res.json({
         success: true,
@@ -502,6 +457,10 @@ router.get('/responses/:requestId', async (req, res) => {
           lng: response.longitude
         },
         status: response.isAvailable ? 'responded' : 'unavailable',
+        response: response.response,
+        eta: response.eta || null,
+        declineReason: response.declineReason || null,
+        availableAt: response.availableAt || null,
         responseTime: responseTime,
         timeSinceRequest: timeSinceRequest, // Minutes after request was created
         address: response.address,
@@ -3,6 +3,8 @@ express = require('express');
 const Donor = require('../models/Donor');
 const Notification = require('../models/Notification');
 const { broadcastNotification } = require('../utils/notificationStream');
+const { getDonorChannels } = require('../services/outreachService');
+const { buildPreferencesUpdate } = require('../services/donorProfileService');
 const router = express.Router();
 
 // GET /donors - Fetch all donors
@@ -109,6 +111,30 @@ router.put('/:id', async (req, res) => {
   }
 });
 
+// PUT /donors/:id/contact-preferences - Set the donor's outreach channels (first is preferred)
+router.put('/:id/contact-preferences', async (req, res) => {
+  try {
+    const update = buildPreferencesUpdate(req.body);
+    const donor = await Donor.findByIdAndUpdate(req.params.id, { $set: update }, { new: true, runValidators: true });
+    if (!donor) {
+      return res.status(404).json({ success: false, message: 'Donor not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Contact preferences updated',
+      contactPreferences: donor.contactPreferences,
+      timezone: donor.timezone,
+      preferredLanguage: donor.preferredLanguage,
+      // Channels we can actually use, given the contact details on file
+      reachableChannels: getDonorChannels(donor)
+    });
+  } catch (error) {
+    console.error('Error updating contact preferences:', error.message);
+    res.status(error.status || 500).json({ success: false, message: error.status ? error.message : 'Failed to update contact preferences' });
+  }
+});
+
 // DELETE /donors/:id - Delete a donor
 router.delete('/:id', async (req, res) => {
   try {
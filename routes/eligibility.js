@@ -0,0 +1,186 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Donor = require('../models/Donor');
+const Notification = require('../models/Notification');
+const { broadcastNotification } = require('../utils/notificationStream');
+const { getEligibilityRules, evaluateEligibility, refreshDonorEligibility } = require('../services/eligibilityService');
+
+// Only admins may view or change donors' eligibility
+const requireAdmin = (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin') {
+    return res.status(403).json({ success: false, message: 'Access denied. Admin role required.' });
+  }
+  next();
+};
+
+const findDonor = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return Donor.findById(id, { password: 0 });
+};
+
+const formatEligibility = (donor, result) => ({
+  donorId: donor._id,
+  name: donor.name,
+  bloodGroup: donor.bloodGroup,
+  eligible: result.eligible,
+  status: result.status,
+  reasons: result.reasons,
+  nextEligibleDate: result.nextEligibleDate,
+  overridden: result.overridden,
+  override: donor.eligibility && donor.eligibility.override && donor.eligibility.override.status
+    ? donor.eligibility.override
+    : null,
+  deferrals: donor.deferrals
+});
+
+// GET /admin/eligibility - Eligibility of every donor (optional ?status= filter)
+router.get('/eligibility', requireAdmin, async (req, res) => {
+  try {
+    const { status } = req.query;
+    const rules = await getEligibilityRules();
+    const donors = await Donor.find({}, { password: 0 }).sort({ name: 1 });
+
+    const results = donors
+      .map(donor => formatEligibility(donor, evaluateEligibility(donor, rules)))
+      .filter(item => !status || item.status === status);
+
+    res.json({ success: true, rules, donors: results, count: results.length });
+  } catch (error) {
+    console.error('Error fetching donor eligibility:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch donor eligibility', error: error.message });
+  }
+});
+
+// GET /admin/donors/:id/eligibility - Evaluate one donor's eligibility without saving it
+router.get('/donors/:id/eligibility', requireAdmin, async (req, res) => {
+  try {
+    const donor = await findDonor(req.params.id);
+    if (!donor) {
+      return res.status(404).json({ success: false, message: 'Donor not found' });
+    }
+
+    const result = evaluateEligibility(donor, await getEligibilityRules());
+    res.json({ success: true, eligibility: formatEligibility(donor, result) });
+  } catch (error) {
+    console.error('Error fetching donor eligibility:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch donor eligibility', error: error.message });
+  }
+});
+
+// PUT /admin/donors/:id/eligibility/override - Force a donor eligible or ineligible
+router.put('/donors/:id/eligibility/override', requireAdmin, async (req, res) => {
+  try {
+    const { status, reason, expiresAt } = req.body;
+    if (!['eligible', 'ineligible'].includes(status)) {
+      return res.status(400).json({ success: false, message: 'Override status must be eligible or ineligible' });
+    }
+    if (!reason) {
+      return res.status(400).json({ success: false, message: 'A reason is required for an eligibility override' });
+    }
+
+    const donor = await findDonor(req.params.id);
+    if (!donor) {
+      return res.status(404).json({ success: false, message: 'Donor not found' });
+    }
+
+    donor.set('eligibility.override', {
+      status,
+      reason,
+      by: req.user.id,
+      at: new Date(),
+      expiresAt: expiresAt ? new Date(expiresAt) : undefined
+    });
+    const result = await refreshDonorEligibility(donor);
+
+    try {
+      const notif = await Notification.create({
+        type: 'warning',
+        title: 'Donor Eligibility Overridden',
+        message: `${donor.name} marked ${status} by ${req.user.name || req.user.email}: ${reason}`,
+        read: false,
+        donorId: donor._id
+      });
+      broadcastNotification(notif);
+    } catch (e) { console.error('Failed to create eligibility override notification:', e.message); }
+
+    res.json({ success: true, message: 'Eligibility override saved', eligibility: formatEligibility(donor, result) });
+  } catch (error) {
+    console.error('Error overriding donor eligibility:', error);
+    res.status(500).json({ success: false, message: 'Failed to override donor eligibility', error: error.message });
+  }
+});
+
+// DELETE /admin/donors/:id/eligibility/override - Return to rule-based eligibility
+router.delete('/donors/:id/eligibility/override', requireAdmin, async (req, res) => {
+  try {
+    const donor = await findDonor(req.params.id);
+    if (!donor) {
+      return res.status(404).json({ success: false, message: 'Donor not found' });
+    }
+
+    donor.set('eligibility.override', undefined);
+    const result = await refreshDonorEligibility(donor);
+
+    res.json({ success: true, message: 'Eligibility override removed', eligibility: formatEligibility(donor, result) });
+  } catch (error) {
+    console.error('Error removing eligibility override:', error);
+    res.status(500).json({ success: false, message: 'Failed to remove eligibility override', error: error.message });
+  }
+});
+
+// POST /admin/donors/:id/deferrals - Record a temporary or permanent deferral
+router.post('/donors/:id/deferrals', requireAdmin, async (req, res) => {
+  try {
+    const { kind, reason, notes, startDate, endDate } = req.body;
+    if (kind === 'temporary' && !endDate) {
+      return res.status(400).json({ success: false, message: 'Temporary deferrals need an endDate' });
+    }
+
+    const donor = await findDonor(req.params.id);
+    if (!donor) {
+      return res.status(404).json({ success: false, message: 'Donor not found' });
+    }
+
+    donor.deferrals.push({
+      kind,
+      reason,
+      notes,
+      startDate: startDate ? new Date(startDate) : new Date(),
+      endDate: kind === 'temporary' ? new Date(endDate) : undefined,
+      createdBy: req.user.id
+    });
+    const result = await refreshDonorEligibility(donor);
+
+    res.status(201).json({ success: true, message: 'Deferral recorded', eligibility: formatEligibility(donor, result) });
+  } catch (error) {
+    console.error('Error recording deferral:', error);
+    const status = error.name === 'ValidationError' ? 400 : 500;
+    res.status(status).json({ success: false, message: 'Failed to record deferral', error: error.message });
+  }
+});
+
+// DELETE /admin/donors/:id/deferrals/:deferralId - Lift a deferral
+router.delete('/donors/:id/deferrals/:deferralId', requireAdmin, async (req, res) => {
+  try {
+    const donor = await findDonor(req.params.id);
+    if (!donor) {
+      return res.status(404).json({ success: false, message: 'Donor not found' });
+    }
+
+    const deferral = donor.deferrals.id(req.params.deferralId);
+    if (!deferral) {
+      return res.status(404).json({ success: false, message: 'Deferral not found' });
+    }
+
+    deferral.deleteOne();
+    const result = await refreshDonorEligibility(donor);
+
+    res.json({ success: true, message: 'Deferral removed', eligibility: formatEligibility(donor, result) });
+  } catch (error) {
+    console.error('Error removing deferral:', error);
+    res.status(500).json({ success: false, message: 'Failed to remove deferral', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const router = express.Router();
 const Hospital = require('../models/Hospital');
+const { resolveHospitalLocation } = require('../services/geocodingService');
 
 // GET all hospitals
 router.get('/', async (req, res) => {
@@ -76,6 +77,7 @@ router.post('/', async (req, res) => {
       password = Math.random().toString(36).slice(-8); // simple temp password
     }
     const hashedPassword = await bcrypt.hash(password, 10);
+    const location = await resolveHospitalLocation(req.body);
 
     const hospital = new Hospital({
       name: req.body.name,
@@ -85,6 +87,7 @@ router.post('/', async (req, res) => {
       emergencyContact: req.body.emergencyContact,
       address: req.body.address,
       radius: req.body.radius,
+      location,
       status: req.body.status || 'pending'
     });
     const savedHospital = await hospital.save();
@@ -116,7 +119,7 @@ router.post('/', async (req, res) => {
     });
   } catch (error) {
     console.error('Error creating hospital:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: 'Failed to create hospital',
       error: error.message
@@ -132,6 +135,9 @@ router.put('/:id', async (req, res) => {
     if (updateData.password) {
       updateData.password = await bcrypt.hash(updateData.password, 10);
     }
+    delete updateData.location;
+    const location = await resolveHospitalLocation(req.body, await Hospital.findById(req.params.id));
+    if (location) updateData.location = location;
     const hospital = await Hospital.findByIdAndUpdate(
       req.params.id,
       updateData,
@@ -167,7 +173,7 @@ router.put('/:id', async (req, res) => {
     });
   } catch (error) {
     console.error('Error updating hospital:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: 'Failed to update hospital',
       error: error.message
@@ -0,0 +1,96 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const { pauseJob, resumeJob, retryJob, cancelJob } = require('../services/jobQueue');
+
+// Only admins may inspect or control background jobs
+const requireAdmin = (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin') {
+    return res.status(403).json({ success: false, message: 'Access denied. Admin role required.' });
+  }
+  next();
+};
+
+// GET /admin/jobs - List jobs (optional ?status=, ?type=, ?requestId=, ?limit=)
+router.get('/jobs', requireAdmin, async (req, res) => {
+  try {
+    const { status, type, requestId } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (type) filter.type = type;
+    if (requestId) filter['payload.requestId'] = requestId;
+
+    const [jobs, counts] = await Promise.all([
+      Job.find(filter).sort({ runAt: -1 }).limit(limit),
+      Job.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
+
+    const summary = {};
+    counts.forEach(c => { summary[c._id] = c.count; });
+
+    res.json({ success: true, jobs, count: jobs.length, summary });
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch jobs', error: error.message });
+  }
+});
+
+// GET /admin/jobs/:id - Single job
+router.get('/jobs/:id', requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+    res.json({ success: true, job });
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch job', error: error.message });
+  }
+});
+
+// POST /admin/jobs/:id/{pause,resume,retry,cancel}
+const JOB_ACTIONS = {
+  pause: { run: pauseJob, from: 'queued', done: 'Job paused' },
+  resume: { run: resumeJob, from: 'paused', done: 'Job resumed' },
+  retry: { run: retryJob, from: 'failed or cancelled', done: 'Job queued for retry' },
+  cancel: { run: cancelJob, from: 'queued, paused or failed', done: 'Job cancelled' }
+};
+
+router.post('/jobs/:id/:action', requireAdmin, async (req, res) => {
+  try {
+    const action = JOB_ACTIONS[req.params.action];
+    if (!action) {
+      return res.status(404).json({ success: false, message: `Unknown job action: ${req.params.action}` });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+
+    const job = await action.run(req.params.id);
+    if (!job) {
+      const existing = await Job.findById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ success: false, message: 'Job not found' });
+      }
+      return res.status(409).json({
+        success: false,
+        message: `Cannot ${req.params.action} a ${existing.status} job (must be ${action.from})`
+      });
+    }
+
+    console.log(`🛠️ Job ${job._id} (${job.type}) ${req.params.action} by ${req.user.email || req.user.id}`);
+    res.json({ success: true, message: action.done, job });
+  } catch (error) {
+    console.error(`Error running job action ${req.params.action}:`, error);
+    res.status(500).json({ success: false, message: 'Failed to update job', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,35 +1,20 @@
 const express = require('express');
 const DonorResponse = require('../models/DonorLocationResponse');
 const BloodRequest = require('../models/BloodRequest');
-const Donor = require('../models/Donor');
 const DonationHistory = require('../models/DonationHistory');
+const Location = require('../models/Location');
+const { getCompatibleRecipientGroups } = require('../utils/bloodCompatibility');
+const { refreshDonorEligibility } = require('../services/eligibilityService');
+const { ACCEPTING_STATUSES, actorFromUser } = require('../services/requestLifecycle');
+const { collectUnitForDonor } = require('../services/unitService');
+const { expireIfOverdue } = require('../services/requestExpiry');
+const { resolveDonor } = require('../services/donorResponseService');
 const mongoose = require('mongoose');
 const router = express.Router();
 
 // In-memory lock to prevent concurrent processing
 const processingLock = new Set();
 
-// Create Location model
-let Location;
-try {
-  Location = mongoose.model('Location');
-} catch (error) {
-  const LocationSchema = new mongoose.Schema({
-    address: String,
-    latitude: Number,
-    longitude: Number,
-    userName: String,
-    rollNumber: String,
-    mobileNumber: String,
-    donorId: String,
-    requestId: String,
-    token: String,
-    accuracy: Number,
-    timestamp: Date
-  }, { collection: 'locations' });
-  Location = mongoose.model('Location', LocationSchema);
-}
-
 // Mark donation
 router.post('/mark-donation', async (req, res) => {
   try {
@@ -40,6 +25,9 @@ router.post('/mark-donation', async (req, res) => {
     if (!donorId) {
       return res.status(400).json({ success: false, error: 'Donor ID required' });
     }
+    if (requestId && !mongoose.Types.ObjectId.isValid(requestId)) {
+      return res.status(400).json({ success: false, error: 'Invalid request ID' });
+    }
 
     // IMMEDIATE lock check - prevent concurrent processing
     if (processingLock.has(donorId)) {
@@ -64,22 +52,17 @@ router.post('/mark-donation', async (req, res) => {
       return res.status(400).json({ success: false, error: 'Already donated' });
     }
 
-    // FIRST: Check if donor exists in the locations collection (live map users)
+    // FIRST: The QR code carries the donor's _id or uniqueId; find them on the live map
     console.log('Searching for donor in locations:', donorId);
 
-    let locationRecord = await Location.findOne({ donorId: donorId });
-    console.log('Mongoose Location.findOne result:', locationRecord);
-
-    // Fallback: Try direct MongoDB query
-    if (!locationRecord) {
-      console.log('Trying direct MongoDB query...');
-      locationRecord = await mongoose.connection.db.collection('locations').findOne({ donorId: donorId });
-      console.log('Direct MongoDB query result:', locationRecord);
-    }
+    const donorRecord = await resolveDonor({ donorId });
+    const locationRecord = donorRecord
+      ? await Location.findOne({ donorId: donorRecord._id, ...(requestId ? { requestId } : {}) }).sort({ timestamp: -1 })
+      : null;
 
     if (!locationRecord) {
       processingLock.delete(donorId);
-      console.log('❌ Donor not found in live locations (both queries failed)');
+      console.log('❌ Donor not found in live locations');
       return res.status(404).json({
         success: false,
         error: `Donor with ID "${donorId}" not found on live map. Please ensure the donor has shared their location.`
@@ -91,30 +74,7 @@ router.post('/mark-donation', async (req, res) => {
       mobileNumber: locationRecord.mobileNumber,
       address: locationRecord.address
     });
-
-    // THEN: Try to find donor in registered donors for additional info (including blood group)
-    let donorRecord = await Donor.findOne({ uniqueId: donorId });
-
-    // If not found by uniqueId, try matching by phone or name
-    if (!donorRecord && locationRecord.mobileNumber) {
-      donorRecord = await Donor.findOne({
-        $or: [
-          { phone: locationRecord.mobileNumber },
-          { phone: locationRecord.mobileNumber.replace(/\s+/g, '') }
-        ]
-      });
-      console.log('Donor found by phone:', donorRecord ? 'YES' : 'NO');
-    }
-
-    // If still not found, try by name
-    if (!donorRecord && locationRecord.userName) {
-      donorRecord = await Donor.findOne({
-        name: { $regex: new RegExp('^' + locationRecord.userName.trim() + '$', 'i') }
-      });
-      console.log('Donor found by name:', donorRecord ? 'YES' : 'NO');
-    }
-
-    console.log('Donor record found:', donorRecord ? `${donorRecord.name} (${donorRecord.bloodGroup})` : 'NO (using location data)');
+    console.log('Donor record found:', `${donorRecord.name} (${donorRecord.bloodGroup})`);
 
     // Get the actual requestId from the location record if available
     const actualRequestId = requestId || locationRecord.requestId;
@@ -126,11 +86,11 @@ router.post('/mark-donation', async (req, res) => {
       console.log('Request found:', bloodRequest ? `YES (${bloodRequest.bloodGroup}, status: ${bloodRequest.status})` : 'NO');
     }
 
-    // If no specific request found, try to find a matching pending request
-    if (!bloodRequest && donorRecord?.bloodGroup) {
+    // If no specific request found, try to find a pending request this donor can give to
+    if (!bloodRequest) {
       bloodRequest = await BloodRequest.findOne({
-        bloodGroup: donorRecord.bloodGroup,
-        status: 'active'
+        bloodGroup: { $in: getCompatibleRecipientGroups(donorRecord.bloodGroup) },
+        status: { $in: ACCEPTING_STATUSES }
       }).sort({ createdAt: -1 }); // Get the most recent one
 
       if (bloodRequest) {
@@ -142,28 +102,29 @@ router.post('/mark-donation', async (req, res) => {
     if (!bloodRequest) {
       bloodRequest = await BloodRequest.create({
         hospitalId: new mongoose.Types.ObjectId(),
-        bloodGroup: donorRecord?.bloodGroup || 'O+',
+        bloodGroup: donorRecord.bloodGroup,
         quantity: 1,
         urgency: 'medium',
         status: 'active',
-        requiredBy: new Date(Date.now() + 24 * 60 * 60 * 1000)
+        requiredBy: new Date(Date.now() + 24 * 60 * 60 * 1000),
+        statusHistory: [{ from: null, to: 'active', actor: actorFromUser(req.user), reason: 'Created for a manually marked donation' }]
       });
       console.log('Created new request:', bloodRequest._id);
     }
 
-    // Create donation history using location data primarily
+    // Create donation history from the donor record and their shared location
     const donation = await DonationHistory.create({
-      donorId: donorRecord ? donorRecord._id.toString() : donorId,
+      donorId: donorRecord._id.toString(),
       bloodRequestId: bloodRequest._id,
       hospitalId: bloodRequest.hospitalId,
-      donorName: donorRecord ? donorRecord.name : (locationRecord.userName || donorName || 'Unknown Donor'),
-      donorPhone: donorRecord ? donorRecord.phone : (locationRecord.mobileNumber || '0000000000'),
-      donorBloodGroup: donorRecord ? donorRecord.bloodGroup : 'Unknown',
+      donorName: donorRecord.name,
+      donorPhone: donorRecord.phone,
+      donorBloodGroup: donorRecord.bloodGroup,
       status: 'completed',
       completedAt: new Date(),
       location: {
-        lat: locationRecord.latitude || 0,
-        lng: locationRecord.longitude || 0
+        lat: locationRecord.latitude,
+        lng: locationRecord.longitude
       },
       address: locationRecord.address || 'Location Shared',
       notes: `Manual Entry: ${donorId}`
@@ -172,50 +133,31 @@ router.post('/mark-donation', async (req, res) => {
     console.log('✅ Donation saved:', donation._id);
 
     // Update donor's last donation date
-    if (donorRecord) {
-      donorRecord.lastDonationDate = new Date();
-      await donorRecord.save();
-      console.log(`✅ Updated donor ${donorRecord.name} last donation date to ${donorRecord.lastDonationDate}`);
-    } else {
-      // Try to find donor one more time by using the donorId from the request if it matches a uniqueId
-      try {
-        const d = await Donor.findOne({ uniqueId: donorId });
-        if (d) {
-          d.lastDonationDate = new Date();
-          await d.save();
-          console.log(`✅ Updated donor ${d.name} last donation date to ${d.lastDonationDate}`);
-        }
-      } catch (err) {
-        console.log('Could not update donor last donation date:', err.message);
-      }
-    }
+    donorRecord.lastDonationDate = new Date();
+    await refreshDonorEligibility(donorRecord);
+    console.log(`✅ Updated donor ${donorRecord.name} last donation date to ${donorRecord.lastDonationDate}`);
 
     // Update blood request - ATOMIC increment and fulfillment (Requirement 3 & 4)
     try {
       // 1. Expiry Check (Requirement 5)
-      if (bloodRequest.status === 'active' && bloodRequest.requiredBy && new Date() > bloodRequest.requiredBy) {
-        bloodRequest.status = 'expired';
-        bloodRequest.activeTokens = [];
-        await bloodRequest.save();
+      const current = await expireIfOverdue(bloodRequest);
+      if (current && current.status === 'expired') {
         processingLock.delete(donorId);
         return res.status(400).json({ success: false, error: 'Blood request has expired.' });
       }
 
-      // 2. Atomic Update (Requirement 3)
+      // 2. Atomic Update (Requirement 3) - the donor's pledged unit (or a new walk-in unit) is collected
       const token = locationRecord.token;
-      const updatedRequest = await BloodRequest.findOneAndUpdate(
-        {
-          _id: bloodRequest._id,
-          status: 'active',
-          $expr: { $lt: ["$confirmedUnits", "$quantity"] },
-          // If token-based, check token. If direct share, skip token check.
-          ...(token && !token.startsWith('DIRECT_') ? { activeTokens: token } : {})
-        },
-        { $inc: { confirmedUnits: 1 } },
-        { new: true }
-      );
-
-      if (!updatedRequest) {
+      const collected = await collectUnitForDonor(bloodRequest._id, {
+        donorId: donorRecord._id,
+        donorName: donation.donorName,
+        // If token-based, match on token. If direct share, skip it.
+        token: token && !token.startsWith('DIRECT_') ? token : undefined,
+        actor: actorFromUser(req.user),
+        donationHistoryId: donation._id
+      });
+
+      if (!collected) {
         console.log('❌ Atomic update failed - Request fulfilled, expired, or invalid token');
         processingLock.delete(donorId);
         return res.status(400).json({
@@ -225,16 +167,12 @@ router.post('/mark-donation', async (req, res) => {
         });
       }
 
-      // 3. Lock Request (Requirement 4)
-      if (updatedRequest.confirmedUnits >= updatedRequest.quantity) {
-        updatedRequest.status = 'fulfilled';
-        updatedRequest.fulfilledAt = new Date();
-        updatedRequest.activeTokens = []; // Clear activeTokens instantly (Requirement 4)
-        updatedRequest.batchInProgress = false; // Stop batches
-        await updatedRequest.save();
+      // 3. Lock Request (Requirement 4) - fulfilling clears activeTokens and stops batches
+      const updatedRequest = collected.request;
+      if (updatedRequest.status === 'fulfilled') {
         console.log('✅ Request fulfilled and locked:', updatedRequest._id);
       } else {
-        console.log(`✅ request confirmedUnits updated: ${updatedRequest.confirmedUnits}/${updatedRequest.quantity}`);
+        console.log(`✅ request collectedUnits updated: ${updatedRequest.collectedUnits}/${updatedRequest.quantity}`);
       }
     } catch (err) {
       console.log('⚠️ Request update failed:', err.message);
@@ -244,11 +182,8 @@ router.post('/mark-donation', async (req, res) => {
 
     // Remove from live map
     try {
-      const locationRecord = await Location.findOne({ donorId: donorId });
-      if (locationRecord) {
-        await Location.deleteOne({ _id: locationRecord._id });
-        console.log('✅ Removed from map');
-      }
+      await Location.deleteOne({ _id: locationRecord._id });
+      console.log('✅ Removed from map');
     } catch (err) {
       console.log('⚠️ Map removal failed (non-critical):', err.message);
     }
@@ -304,42 +239,26 @@ router.get('/verify-location/:donorId', async (req, res) => {
     console.log('Donor ID length:', donorId.length);
     console.log('========================================\n');
 
-    // List all locations to debug
-    const allLocations = await mongoose.connection.db.collection('locations').find({}).toArray();
-    console.log('Total locations in collection:', allLocations.length);
-    console.log('All donor IDs in collection:', allLocations.map(l => l.donorId));
-
-    // Try direct MongoDB query first with exact match
-    const directQuery = await mongoose.connection.db.collection('locations').findOne({ donorId: donorId });
-    console.log('Direct MongoDB query result:', directQuery ? 'FOUND' : 'NOT FOUND');
-    if (directQuery) {
-      console.log('Found location:', JSON.stringify(directQuery, null, 2));
-    }
-
-    // Check if donor exists in locations (live map) using Mongoose
-    const locationRecord = await Location.findOne({ donorId: donorId });
-    console.log('Mongoose query result:', locationRecord ? 'FOUND' : 'NOT FOUND');
+    // The QR code carries the donor's _id or uniqueId
+    const donorRecord = await resolveDonor({ donorId });
+    const location = donorRecord
+      ? await Location.findOne({ donorId: donorRecord._id }).sort({ timestamp: -1 })
+      : null;
 
-    if (!locationRecord && !directQuery) {
-      console.log('❌ Not found in either query');
-      console.log('Searched for donorId:', donorId);
+    if (!location) {
+      console.log('❌ Not found on live map:', donorId);
       return res.status(404).json({
         success: false,
         message: `Donor with ID "${donorId}" not found on live map. Please ensure the donor has shared their location.`
       });
     }
 
-    const location = locationRecord || directQuery;
     console.log('✅ Using location data:', {
       donorId: location.donorId,
       userName: location.userName,
       mobileNumber: location.mobileNumber
     });
 
-    // Also try to get donor details from registered donors
-    const donorRecord = await Donor.findOne({ uniqueId: donorId }, { password: 0 });
-    console.log('Donor record found:', donorRecord ? 'YES' : 'NO');
-
     res.json({
       success: true,
       location: {
@@ -350,15 +269,17 @@ router.get('/verify-location/:donorId', async (req, res) => {
         address: location.address,
         latitude: location.latitude,
         longitude: location.longitude,
+        accuracy: location.accuracy,
+        source: location.source,
         timestamp: location.timestamp
       },
-      donor: donorRecord ? {
+      donor: {
         name: donorRecord.name,
         email: donorRecord.email,
         phone: donorRecord.phone,
         bloodGroup: donorRecord.bloodGroup,
-        rollNumber: donorRecord.rollNumber
-      } : null
+        rollNumber: donorRecord.rollNo
+      }
     });
   } catch (error) {
     console.error('❌ Error verifying donor location:', error);
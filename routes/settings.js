@@ -1,6 +1,35 @@
 const express = require('express');
 const router = express.Router();
 const Settings = require('../models/Settings');
+const { PROVIDER_NAMES, HTTP_PRESETS } = require('../services/smsProviders');
+const { getOutbox, clearOutbox } = require('../services/channelProviders');
+const { refreshTwilioClient } = require('../services/smsService');
+const { parseTimeOfDay } = require('../utils/timeWindow');
+const { DEFAULT_LIMITS } = require('../services/fatigueService');
+const { DEFAULT_TRACKING } = require('../services/trackingService');
+const { SUPPORTED_LANGUAGES, VARIABLE_CATALOG } = require('../services/templateCatalog');
+const { getAlertSmsTemplates, checkTemplate } = require('../services/templateService');
+const { renderTemplate } = require('../utils/templateEngine');
+const { getSmsInfo } = require('../utils/smsSegments');
+
+// Where outgoing SMS (donor OTPs included) are sent; only admins may change these
+const SMS_PROVIDER_FIELDS = ['smsProvider', 'smsGateway', 'smsAccountSid', 'smsApiKey', 'smsPhoneNumber'];
+
+// Only admins may change SMS delivery or read the mock outbox
+const requireAdmin = (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin') {
+    return res.status(403).json({ success: false, message: 'Access denied. Admin role required.' });
+  }
+  next();
+};
+
+// Gateway settings with the API key masked
+const safeGateway = (gateway = {}) => ({
+  preset: gateway.preset,
+  url: gateway.url,
+  senderId: gateway.senderId,
+  apiKey: gateway.apiKey ? '••••••••' + gateway.apiKey.slice(-4) : ''
+});
 
 // Get system settings
 router.get('/settings', async (req, res) => {
@@ -15,9 +44,11 @@ router.get('/settings', async (req, res) => {
       smsApiKey: settings.smsApiKey ? '••••••••' + settings.smsApiKey.slice(-4) : '',
       emailApiKey: settings.emailApiKey ? '••••••••' + settings.emailApiKey.slice(-4) : '',
       smsAccountSid: settings.smsAccountSid ? settings.smsAccountSid.slice(0, 8) + '••••••••' : '',
+      smsGateway: safeGateway(settings.smsGateway),
       // Include full values for templates and preferences
       smsTemplateHighPriority: settings.smsTemplateHighPriority,
       smsTemplateNormalPriority: settings.smsTemplateNormalPriority,
+      smsTemplateTranslations: Object.fromEntries(settings.smsTemplateTranslations || []),
       brightness: settings.brightness,
       notifications: settings.notifications,
       notificationStartTime: settings.notificationStartTime,
@@ -38,6 +69,14 @@ router.put('/settings', async (req, res) => {
   try {
     const updateData = req.body;
     const adminId = req.user?.id || null; // Assuming auth middleware sets req.user
+
+    const providerFields = SMS_PROVIDER_FIELDS.filter(field => updateData[field] !== undefined);
+    if (providerFields.length > 0 && req.user?.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Admin role required to change ${providerFields.join(', ')}.`
+      });
+    }
     
     // Validate required fields
     if (updateData.brightness && !['low', 'medium', 'high'].includes(updateData.brightness)) {
@@ -47,15 +86,83 @@ router.put('/settings', async (req, res) => {
       });
     }
     
+    // Quiet hours are enforced from these, so reject anything the scheduler cannot read
+    for (const field of ['notificationStartTime', 'notificationEndTime']) {
+      if (updateData[field] !== undefined && parseTimeOfDay(updateData[field]) === null) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${field}. Use 24-hour HH:MM, e.g. 07:00.`
+        });
+      }
+    }
+
+    if (updateData.fatigueLimits) {
+      const invalid = Object.entries(updateData.fatigueLimits)
+        .filter(([key, value]) => !(key in DEFAULT_LIMITS) || typeof value !== 'number' || value < 0);
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid fatigue limits: ${invalid.map(([key]) => key).join(', ')}. Use numbers >= 0 for ${Object.keys(DEFAULT_LIMITS).join(', ')}.`
+        });
+      }
+      // Merge so one limit can be changed on its own
+      const current = (await Settings.getSettings()).fatigueLimits;
+      updateData.fatigueLimits = { ...(current ? current.toObject() : {}), ...updateData.fatigueLimits };
+    }
+
+    if (updateData.liveTracking) {
+      const invalid = Object.entries(updateData.liveTracking)
+        .filter(([key, value]) => !(key in DEFAULT_TRACKING) || typeof value !== 'number' || value <= 0);
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid live tracking settings: ${invalid.map(([key]) => key).join(', ')}. Use numbers > 0 for ${Object.keys(DEFAULT_TRACKING).join(', ')}.`
+        });
+      }
+      const current = (await Settings.getSettings()).liveTracking;
+      updateData.liveTracking = { ...(current ? current.toObject() : {}), ...updateData.liveTracking };
+    }
+
+    if (updateData.smsProvider && !PROVIDER_NAMES.includes(updateData.smsProvider)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid smsProvider. Must be one of: ${PROVIDER_NAMES.join(', ')}`
+      });
+    }
+    if (updateData.smsGateway) {
+      if (updateData.smsGateway.preset && !HTTP_PRESETS[updateData.smsGateway.preset]) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid SMS gateway preset. Must be one of: ${Object.keys(HTTP_PRESETS).join(', ')}`
+        });
+      }
+      // Merge into the stored gateway; a masked key sent back unchanged keeps the stored one
+      const current = (await Settings.getSettings()).smsGateway || {};
+      const gateway = { ...(current.toObject ? current.toObject() : current), ...updateData.smsGateway };
+      if (!updateData.smsGateway.apiKey || updateData.smsGateway.apiKey.startsWith('••••')) {
+        gateway.apiKey = current.apiKey;
+      }
+      updateData.smsGateway = gateway;
+    }
+
     // Update settings
     const settings = await Settings.updateSettings(updateData, adminId);
+
+    // Pick up new SMS provider / credentials on the next send
+    try {
+      await refreshTwilioClient();
+    } catch (e) {
+      console.error('⚠️ SMS provider could not be rebuilt from new settings:', e.message);
+    }
     
     // Return safe version without full API keys
     const safeSettings = {
       ...settings.toObject(),
       smsApiKey: settings.smsApiKey ? '••••••••' + settings.smsApiKey.slice(-4) : '',
       emailApiKey: settings.emailApiKey ? '••••••••' + settings.emailApiKey.slice(-4) : '',
-      smsAccountSid: settings.smsAccountSid ? settings.smsAccountSid.slice(0, 8) + '••••••••' : ''
+      smsAccountSid: settings.smsAccountSid ? settings.smsAccountSid.slice(0, 8) + '••••••••' : '',
+      smsGateway: safeGateway(settings.smsGateway),
+      smsTemplateTranslations: Object.fromEntries(settings.smsTemplateTranslations || [])
     };
     
     res.json({ 
@@ -98,6 +205,7 @@ router.get('/settings/debug', async (req, res) => {
     res.json({ 
       success: true, 
       data: {
+        smsProvider: settings.smsProvider,
         hasAccountSid: !!settings.smsAccountSid,
         hasAuthToken: !!settings.smsApiKey,
         hasPhoneNumber: !!settings.smsPhoneNumber,
@@ -147,21 +255,8 @@ router.post('/settings/test-sms', async (req, res) => {
       phoneNumber: settings.smsPhoneNumber
     });
     
-    // Use environment variables as fallback
-    const accountSid = settings.smsAccountSid || process.env.TWILIO_ACCOUNT_SID;
-    const authToken = settings.smsApiKey || process.env.TWILIO_AUTH_TOKEN;
-    const fromPhone = settings.smsPhoneNumber || process.env.TWILIO_PHONE_NUMBER;
-    
-    // Check if all required settings are present
-    if (!accountSid || !authToken || !fromPhone) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'SMS configuration incomplete. Please configure Account SID, Auth Token, and Phone Number in settings, or check environment variables.' 
-      });
-    }
-    
     // Import SMS service
-    const { sendSMSWithConfig, getSMSTemplate, formatSMSMessage } = require('../services/smsService');
+    const { sendSMS, sendSMSWithConfig, formatSMSMessage } = require('../services/smsService');
     
     // Get the appropriate template
     const template = templateType === 'high' ? settings.smsTemplateHighPriority : settings.smsTemplateNormalPriority;
@@ -179,6 +274,38 @@ router.post('/settings/test-sms', async (req, res) => {
     const testMessage = formatSMSMessage(template, testVariables);
     console.log('📝 Test message content:', testMessage);
     
+    // HTTP gateway and mock providers are tested through the active provider
+    if (settings.smsProvider && settings.smsProvider !== 'twilio') {
+      const result = await sendSMS(phoneNumber, testMessage);
+      console.log('📤 SMS Test Result:', result);
+      if (!result.success) {
+        return res.status(400).json({ success: false, message: result.error, provider: result.provider || settings.smsProvider });
+      }
+      return res.json({
+        success: true,
+        message: settings.smsProvider === 'mock'
+          ? 'Test SMS recorded by the mock provider (nothing was sent).'
+          : 'Test SMS sent successfully! Check your phone for the message.',
+        sid: result.sid,
+        provider: result.provider,
+        templateUsed: templateType,
+        messagePreview: testMessage.substring(0, 100) + (testMessage.length > 100 ? '...' : '')
+      });
+    }
+
+    // Use environment variables as fallback
+    const accountSid = settings.smsAccountSid || process.env.TWILIO_ACCOUNT_SID;
+    const authToken = settings.smsApiKey || process.env.TWILIO_AUTH_TOKEN;
+    const fromPhone = settings.smsPhoneNumber || process.env.TWILIO_PHONE_NUMBER;
+    
+    // Check if all required settings are present
+    if (!accountSid || !authToken || !fromPhone) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'SMS configuration incomplete. Please configure Account SID, Auth Token, and Phone Number in settings, or check environment variables.' 
+      });
+    }
+    
     const result = await sendSMSWithConfig(phoneNumber, testMessage, {
       accountSid: accountSid,
       authToken: authToken,
@@ -216,4 +343,116 @@ router.post('/settings/test-sms', async (req, res) => {
   }
 });
 
+// Alert SMS copy in one language, with how long it renders with sample data
+const describeAlertTemplates = async (language) => {
+  const templates = await getAlertSmsTemplates(language);
+  const samples = Object.fromEntries(Object.entries(VARIABLE_CATALOG).map(([name, { sample }]) => [name, sample]));
+  const sms = (template) => getSmsInfo(renderTemplate(template, samples).output);
+  return {
+    language,
+    label: SUPPORTED_LANGUAGES[language],
+    high: templates.high,
+    normal: templates.normal,
+    source: templates.source,
+    sms: { high: sms(templates.high), normal: sms(templates.normal) }
+  };
+};
+
+// GET /admin/settings/sms-templates - High/normal priority alert SMS in every supported language
+router.get('/settings/sms-templates', async (req, res) => {
+  try {
+    const data = await Promise.all(Object.keys(SUPPORTED_LANGUAGES).map(describeAlertTemplates));
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error fetching SMS template translations:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch SMS templates' });
+  }
+});
+
+// PUT /admin/settings/sms-templates/:language - Save the alert SMS for a language. Body: { high, normal }
+router.put('/settings/sms-templates/:language', async (req, res) => {
+  try {
+    const { language } = req.params;
+    if (!SUPPORTED_LANGUAGES[language]) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported language. Must be one of: ${Object.keys(SUPPORTED_LANGUAGES).join(', ')}`
+      });
+    }
+
+    const update = {};
+    const warnings = [];
+    for (const priority of ['high', 'normal']) {
+      const template = req.body[priority];
+      if (template === undefined) continue;
+      const { errors } = checkTemplate('request-alert', 'sms', { body: template });
+      if (!template || errors.length > 0) {
+        return res.status(400).json({ success: false, message: `Invalid ${priority} template: ${errors.join('; ') || 'empty'}` });
+      }
+      update[priority] = template;
+    }
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({ success: false, message: 'Provide a high and/or normal template' });
+    }
+
+    const settings = await Settings.getSettings();
+    if (language === 'en') {
+      if (update.high) settings.smsTemplateHighPriority = update.high;
+      if (update.normal) settings.smsTemplateNormalPriority = update.normal;
+    } else {
+      const current = settings.smsTemplateTranslations.get(language);
+      settings.smsTemplateTranslations.set(language, { ...(current ? current.toObject() : {}), ...update });
+    }
+    settings.lastUpdated = new Date();
+    settings.updatedBy = req.user?.id || null;
+    await settings.save();
+
+    const data = await describeAlertTemplates(language);
+    ['high', 'normal'].forEach(priority => {
+      if (update[priority] && data.sms[priority].segments > 1) {
+        warnings.push(`${priority}: ${data.sms[priority].length} characters (${data.sms[priority].encoding}) will be sent as ${data.sms[priority].segments} SMS segments`);
+      }
+    });
+
+    res.json({ success: true, message: `${SUPPORTED_LANGUAGES[language]} SMS templates saved`, data, warnings });
+  } catch (error) {
+    console.error('Error saving SMS template translation:', error);
+    res.status(500).json({ success: false, message: 'Failed to save SMS templates' });
+  }
+});
+
+// DELETE /admin/settings/sms-templates/:language - Go back to the built-in translation
+router.delete('/settings/sms-templates/:language', async (req, res) => {
+  try {
+    const { language } = req.params;
+    if (!SUPPORTED_LANGUAGES[language] || language === 'en') {
+      return res.status(400).json({ success: false, message: 'Only translated templates can be reset' });
+    }
+    const settings = await Settings.getSettings();
+    settings.smsTemplateTranslations.delete(language);
+    await settings.save();
+    res.json({ success: true, message: `${SUPPORTED_LANGUAGES[language]} SMS templates reset`, data: await describeAlertTemplates(language) });
+  } catch (error) {
+    console.error('Error resetting SMS template translation:', error);
+    res.status(500).json({ success: false, message: 'Failed to reset SMS templates' });
+  }
+});
+
+// SMS recorded by the mock SMS provider and the stub channel provider (dev/CI)
+router.get('/settings/sms-outbox', requireAdmin, async (req, res) => {
+  try {
+    const settings = await Settings.getSettings();
+    const messages = getOutbox('sms');
+    res.json({ success: true, provider: settings.smsProvider, count: messages.length, data: messages });
+  } catch (error) {
+    console.error('Error fetching mock SMS outbox:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch SMS outbox' });
+  }
+});
+
+router.delete('/settings/sms-outbox', requireAdmin, (req, res) => {
+  clearOutbox('sms');
+  res.json({ success: true, message: 'Mock SMS outbox cleared' });
+});
+
 module.exports = router;
\ No newline at end of file
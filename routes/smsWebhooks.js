@@ -0,0 +1,143 @@
+const express = require('express');
+const router = express.Router();
+const twilio = require('twilio');
+const { normalizeDeliveryStatus, recordDeliveryStatus } = require('../services/deliveryTracking');
+const { handleInboundSms } = require('../services/inboundSmsService');
+const { sendSMS, getTwilioAuthToken } = require('../services/smsService');
+const { normalizePhone } = require('../utils/phone');
+
+// Webhooks are accepted with a valid Twilio signature (checked against the auth token the
+// SMS provider actually uses) or the shared SMS_WEBHOOK_SECRET. Anything else is rejected,
+// so with neither configured no webhook gets through.
+const isAuthorized = async (req, provider) => {
+  const secret = process.env.SMS_WEBHOOK_SECRET;
+  if (secret && (req.query.secret === secret || req.get('x-webhook-secret') === secret)) return true;
+
+  const signature = req.get('x-twilio-signature');
+  if (provider === 'twilio' && signature && process.env.PUBLIC_BASE_URL) {
+    const authToken = await getTwilioAuthToken();
+    if (!authToken) return false;
+    const url = `${process.env.PUBLIC_BASE_URL.replace(/\/$/, '')}${req.originalUrl}`;
+    return twilio.validateRequest(authToken, signature, url, req.body || {});
+  }
+
+  return false;
+};
+
+if (!process.env.SMS_WEBHOOK_SECRET) {
+  console.log('⚠️ SMS_WEBHOOK_SECRET is not set: only Twilio-signed SMS webhooks will be accepted');
+}
+
+// Pull { id, status, errorCode, errorMessage } receipts out of each provider's callback body
+const extractReceipts = (provider, body = {}) => {
+  if (provider === 'twilio') {
+    return [{
+      id: body.MessageSid || body.SmsSid,
+      status: body.MessageStatus || body.SmsStatus,
+      errorCode: body.ErrorCode,
+      errorMessage: body.ErrorMessage
+    }];
+  }
+
+  if (provider === 'msg91') {
+    const data = typeof body.data === 'string' ? JSON.parse(body.data) : (body.data || body);
+    const items = Array.isArray(data) ? data : [data];
+    return items.flatMap(item => (item.report || [item]).map(report => ({
+      id: item.requestId || report.requestId,
+      status: report.status,
+      errorCode: report.desc
+    })));
+  }
+
+  // textlocal, custom gateways and the mock provider
+  const items = Array.isArray(body) ? body : [body];
+  return items.map(item => ({
+    id: item.id || item.messageId || item.customID || item.batch_id,
+    status: item.status,
+    errorCode: item.errorCode,
+    errorMessage: item.error
+  }));
+};
+
+// POST /webhooks/sms/status/:provider - Delivery receipts from SMS providers
+router.post('/sms/status/:provider', express.urlencoded({ extended: false }), async (req, res) => {
+  try {
+    const { provider } = req.params;
+    if (!(await isAuthorized(req, provider))) {
+      console.log(`🚫 Rejected ${provider} delivery receipt with bad signature/secret`);
+      return res.status(403).json({ success: false, message: 'Invalid webhook signature' });
+    }
+
+    let receipts;
+    try {
+      receipts = extractReceipts(provider, req.body);
+    } catch (e) {
+      return res.status(400).json({ success: false, message: 'Malformed delivery receipt', error: e.message });
+    }
+
+    let updated = 0;
+    for (const receipt of receipts) {
+      const status = normalizeDeliveryStatus(provider, receipt.status);
+      if (!receipt.id || !status) continue;
+
+      const message = await recordDeliveryStatus({
+        providerMessageId: String(receipt.id),
+        status,
+        errorCode: receipt.errorCode,
+        errorMessage: receipt.errorMessage
+      });
+      if (message) updated++;
+    }
+
+    res.json({ success: true, received: receipts.length, updated });
+  } catch (error) {
+    console.error('Error processing delivery receipt:', error);
+    res.status(500).json({ success: false, message: 'Failed to process delivery receipt', error: error.message });
+  }
+});
+
+// Pull { from, body } out of each provider's inbound SMS callback
+const extractInbound = (provider, body = {}) => {
+  if (provider === 'twilio') return { from: body.From, body: body.Body };
+  return {
+    from: body.from || body.sender || body.mobile || body.msisdn,
+    body: body.body || body.message || body.content || body.text
+  };
+};
+
+// POST /webhooks/sms/inbound/:provider - Donor replies (YES/NO/STOP/HELP)
+router.post('/sms/inbound/:provider', express.urlencoded({ extended: false }), async (req, res) => {
+  try {
+    const { provider } = req.params;
+    if (!(await isAuthorized(req, provider))) {
+      console.log(`🚫 Rejected ${provider} inbound SMS with bad signature/secret`);
+      return res.status(403).json({ success: false, message: 'Invalid webhook signature' });
+    }
+
+    const { from, body } = extractInbound(provider, req.body);
+    if (!from) {
+      return res.status(400).json({ success: false, message: 'Sender number is required' });
+    }
+
+    const result = await handleInboundSms({ from, body });
+
+    // Twilio sends the reply itself from TwiML; other gateways get it as a new SMS.
+    // Unknown senders get no reply at all.
+    if (provider === 'twilio') {
+      const twiml = new twilio.twiml.MessagingResponse();
+      if (result.reply) twiml.message(result.reply);
+      return res.type('text/xml').send(twiml.toString());
+    }
+
+    if (result.reply && !result.unknownSender) {
+      const sent = await sendSMS(normalizePhone(from), result.reply);
+      if (!sent.success) console.error(`Failed to send SMS reply to ${from}:`, sent.error);
+    }
+    res.json({ success: true, intent: result.intent, reply: result.reply });
+  } catch (error) {
+    console.error('Error processing inbound SMS:', error);
+    res.status(500).json({ success: false, message: 'Failed to process inbound SMS', error: error.message });
+  }
+});
+
+module.exports = router;
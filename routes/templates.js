@@ -0,0 +1,87 @@
+const express = require('express');
+const router = express.Router();
+const MessageTemplate = require('../models/MessageTemplate');
+const { TEMPLATE_CHANNELS, VARIABLE_CATALOG, TEMPLATES } = require('../services/templateCatalog');
+const { DEFAULT_LANGUAGE, listTemplates, previewTemplate, saveTemplate } = require('../services/templateService');
+
+// Only admins may change message copy
+const requireAdmin = (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin') {
+    return res.status(403).json({ success: false, message: 'Access denied. Admin role required.' });
+  }
+  next();
+};
+
+// GET /admin/templates - Every outbound message with the copy in use on each channel
+router.get('/templates', async (req, res) => {
+  try {
+    const templates = await listTemplates();
+    res.json({ success: true, channels: TEMPLATE_CHANNELS, templates });
+  } catch (error) {
+    console.error('Error listing message templates:', error);
+    res.status(500).json({ success: false, message: 'Failed to list message templates', error: error.message });
+  }
+});
+
+// GET /admin/templates/variables - Variables templates can use, with descriptions and sample values
+router.get('/templates/variables', (req, res) => {
+  const usedBy = (name) => Object.keys(TEMPLATES).filter(key => TEMPLATES[key].variables.includes(name));
+  const variables = Object.entries(VARIABLE_CATALOG).map(([name, info]) => ({ name, ...info, usedBy: usedBy(name) }));
+  res.json({
+    success: true,
+    syntax: {
+      variable: '{name}',
+      conditional: '{#if name}shown when name is set{else}shown otherwise{/if}'
+    },
+    variables
+  });
+});
+
+// POST /admin/templates/preview - Render a saved or draft template with sample data
+// Body: { key, channel, language, subject?, body?, html?, variables? }
+router.post('/templates/preview', async (req, res) => {
+  try {
+    const preview = await previewTemplate(req.body || {});
+    res.json({ success: true, preview });
+  } catch (error) {
+    console.error('Error previewing message template:', error.message);
+    res.status(error.status || 500).json({ success: false, message: error.status ? error.message : 'Failed to preview template' });
+  }
+});
+
+// PUT /admin/templates/:key/:channel - Save custom copy. Body: { language, subject, body, html }
+router.put('/templates/:key/:channel', requireAdmin, async (req, res) => {
+  try {
+    const { key, channel } = req.params;
+    const { language, subject, body, html } = req.body;
+    const { template, preview } = await saveTemplate({ key, channel, language, subject, body, html }, req.user.id);
+
+    console.log(`📝 Template ${key}/${channel} (${template.language}) updated by ${req.user.email || req.user.id}`);
+    res.json({ success: true, message: 'Template saved', template, preview });
+  } catch (error) {
+    console.error('Error saving message template:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to save template',
+      details: error.details
+    });
+  }
+});
+
+// DELETE /admin/templates/:key/:channel?language=en - Go back to the built-in copy
+router.delete('/templates/:key/:channel', requireAdmin, async (req, res) => {
+  try {
+    const { key, channel } = req.params;
+    const language = (req.query.language || DEFAULT_LANGUAGE).toLowerCase();
+    const result = await MessageTemplate.deleteOne({ key, channel, language });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ success: false, message: 'No custom template saved for this message' });
+    }
+    res.json({ success: true, message: 'Template reset to default' });
+  } catch (error) {
+    console.error('Error resetting message template:', error);
+    res.status(500).json({ success: false, message: 'Failed to reset template', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,36 +1,87 @@
 const express = require('express');
 const router = express.Router();
-const mongoose = require('mongoose');
 const ResponseToken = require('../models/ResponseToken');
 const BloodRequest = require('../models/BloodRequest');
 const Donor = require('../models/Donor');
-const DonorLocationResponse = require('../models/DonorLocationResponse');
+const { TERMINAL_STATUSES, ACCEPTING_STATUSES } = require('../services/requestLifecycle');
+const { getAvailability, buildAvailabilityUpdate } = require('../services/availabilityService');
+const { verifyResponseToken, matchesTokenDoc } = require('../services/responseTokenService');
+const { RESPONSE_ANSWERS, DECLINE_REASONS, parseCoordinates, recordDonorResponse } = require('../services/donorResponseService');
+const { recordTrackingUpdate } = require('../services/trackingService');
+const { createFailureLimiter } = require('../utils/rateLimiter');
+
+// Clients that keep presenting forged or unknown tokens are refused for a while
+const tokenLimiter = createFailureLimiter({
+  windowMs: 15 * 60 * 1000,
+  maxFailures: 10,
+  message: 'Too many invalid response links. Please try again later.'
+});
+router.use('/r/:token', tokenLimiter.middleware);
+
+// Check the token's signature and expiry before touching the database, then load its record.
+// Returns { responseToken } or { expired: true }; responseToken is null for unknown tokens,
+// which count against the client's limit.
+const findVerifiedToken = async (req) => {
+  const verified = verifyResponseToken(req.params.token);
+  if (!verified.valid) {
+    if (verified.reason === 'expired') return { responseToken: null, expired: true };
+    tokenLimiter.recordFailure(req);
+    return { responseToken: null };
+  }
+
+  const responseToken = await ResponseToken.findOne({ token: req.params.token });
+  if (!matchesTokenDoc(verified, responseToken)) {
+    tokenLimiter.recordFailure(req);
+    return { responseToken: null };
+  }
+  return { responseToken };
+};
+
+const RESPONSE_MESSAGES = {
+  accepted: 'Thank you! The hospital has been told you are coming.',
+  declined: 'Thank you for letting us know. We will ask another donor.',
+  later: 'Thank you! We will check with you again at the time you gave.'
+};
+
+const expiredResponse = (res) => res.status(410).json({
+  success: false,
+  message: 'This response link has expired. Thank you for your support!',
+  reason: 'expired'
+});
 
 // GET route for token-based donor response
 router.get('/r/:token', async (req, res) => {
   try {
-    const { token } = req.params;
-
-    // Find the token first without population
-    const responseToken = await ResponseToken.findOne({ token, isUsed: false });
+    const { responseToken, expired } = await findVerifiedToken(req);
+    if (expired) return expiredResponse(res);
 
-    if (!responseToken) {
+    // A donor who said "later" can come back to the same link to give their final answer
+    if (!responseToken || (responseToken.isUsed && responseToken.response !== 'later')) {
       return res.status(404).json({
         success: false,
         message: 'Invalid or expired response link'
       });
     }
 
+    // Links are revoked when the request closes before the donor answers
+    if (responseToken.revokedAt) {
+      return res.status(410).json({
+        success: false,
+        message: 'This response link is no longer active. Thank you for your support!',
+        reason: responseToken.revokedReason
+      });
+    }
+
     // Get request and donor details separately
     const request = await BloodRequest.findById(responseToken.requestId);
-    const donor = await Donor.findById(responseToken.donorId);
+    const donor = await Donor.findById(responseToken.donorId).select('-password');
 
     if (!request) {
       return res.status(404).json({ success: false, message: 'Blood request no longer exists' });
     }
 
     // Check if fulfills logic
-    const isFulfilled = request.status === 'fulfilled' || request.status === 'cancelled' || (request.confirmedUnits >= request.quantity);
+    const isFulfilled = TERMINAL_STATUSES.includes(request.status) || (request.confirmedUnits >= request.quantity);
 
     // Return token details for frontend
     res.json({
@@ -39,6 +90,11 @@ router.get('/r/:token', async (req, res) => {
         token: responseToken.token,
         request: request,
         donor: donor,
+        availability: donor ? getAvailability(donor) : null,
+        response: responseToken.response || null,
+        // Choices for the response form
+        responseOptions: RESPONSE_ANSWERS,
+        declineReasons: DECLINE_REASONS,
         isFulfilled: isFulfilled, // Explicit flag for frontend
         statusMessage: isFulfilled ? 'This blood request has already been fulfilled. Thank you for your support!' : null
       }
@@ -56,11 +112,13 @@ router.get('/r/:token', async (req, res) => {
 // POST route to submit donor location response
 router.post('/r/:token/respond', async (req, res) => {
   try {
-    const { token } = req.params;
-    const { latitude, longitude, isAvailable, address } = req.body;
+    // Body: { response: accepted|declined|later, etaMinutes, declineReason, declineNote, availableAt,
+    //         latitude, longitude, accuracy, address }. Older pages send isAvailable instead of response.
+    const { isAvailable, address } = req.body;
+    const answer = req.body.response || (isAvailable === false ? 'declined' : 'accepted');
 
-    // Find and validate token without population
-    const responseToken = await ResponseToken.findOne({ token, isUsed: false });
+    const { responseToken, expired } = await findVerifiedToken(req);
+    if (expired) return expiredResponse(res);
 
     if (!responseToken) {
       return res.status(404).json({
@@ -69,85 +127,166 @@ router.post('/r/:token/respond', async (req, res) => {
       });
     }
 
-    // Check request status
-    const request = await BloodRequest.findById(responseToken.requestId);
-    if (!request) {
-      return res.status(404).json({ success: false, message: 'Blood request not found' });
+    // Links are revoked when the request closes before the donor answers
+    if (responseToken.revokedAt) {
+      return res.status(410).json({
+        success: false,
+        message: 'This response link is no longer active. Thank you for your support!',
+        reason: responseToken.revokedReason
+      });
     }
 
-    if (request.status === 'fulfilled' || request.status === 'cancelled') {
+    // A donor who can come must say where they are; other answers may come without a location
+    const coordinates = parseCoordinates(req.body, { required: answer === 'accepted' });
+
+    const [request, donor] = await Promise.all([
+      BloodRequest.findById(responseToken.requestId),
+      Donor.findById(responseToken.donorId)
+    ]);
+
+    // Answering the same way twice is safe; it only refreshes the location
+    const { response, location, duplicate } = await recordDonorResponse({
+      request,
+      donor,
+      token: responseToken,
+      answer,
+      details: req.body,
+      coordinates,
+      address,
+      via: 'link',
+      reason: answer === 'accepted' ? 'Donor accepted from response link' : undefined
+    });
+
+    res.json({
+      success: true,
+      message: duplicate ? 'Response already recorded, details updated' : RESPONSE_MESSAGES[response.response],
+      data: {
+        donorId: responseToken.donorId,
+        requestId: responseToken.requestId,
+        latitude: coordinates ? coordinates.latitude : null,
+        longitude: coordinates ? coordinates.longitude : null,
+        response: response.response,
+        isAvailable: response.isAvailable,
+        etaMinutes: response.etaMinutes,
+        eta: response.eta,
+        declineReason: response.declineReason,
+        availableAt: response.availableAt,
+        address: response.address,
+        responseTime: response.responseTime,
+        responseId: response._id,
+        locationId: location ? location._id : null
+      }
+    });
+
+  } catch (error) {
+    if (error.code === 'REQUEST_CLOSED') {
       return res.status(400).json({
         success: false,
         error: 'Request already fulfilled',
-        message: 'Thank you for your willingness to help, but this blood request has already been fulfilled.'
+        message: 'Thank you for your willingness to help, but this blood request is no longer taking donors.'
+      });
+    }
+    console.error('Error recording response:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to record response',
+      error: error.message
+    });
+  }
+});
+
+// POST route for a donor to set their availability from the link
+// Body: { status: available|unavailable|paused, until, reason }
+router.post('/r/:token/availability', async (req, res) => {
+  try {
+    // Any link we sent the donor identifies them, answered or not
+    const { responseToken, expired } = await findVerifiedToken(req);
+    if (expired) return expiredResponse(res);
+
+    if (!responseToken) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invalid or expired response link'
       });
     }
 
-    // Get donor information
     const donor = await Donor.findById(responseToken.donorId);
     if (!donor) {
+      return res.status(404).json({ success: false, message: 'Donor not found' });
+    }
+
+    donor.set(buildAvailabilityUpdate(req.body, 'link'));
+    await donor.save();
+    const availability = getAvailability(donor);
+
+    // Going unavailable answers this request too: treat it as a decline and bring in the next donor
+    let declined = false;
+    if (availability.status !== 'available' && !responseToken.isUsed && !responseToken.revokedAt) {
+      const request = await BloodRequest.findById(responseToken.requestId);
+      if (request && ACCEPTING_STATUSES.includes(request.status)) {
+        await recordDonorResponse({
+          request,
+          donor,
+          token: responseToken,
+          answer: 'declined',
+          details: { declineReason: 'unavailable', declineNote: availability.reason },
+          via: 'link'
+        });
+        declined = true;
+      }
+    }
+
+    console.log(`🗓️ Donor ${donor._id} set availability to ${availability.status} from link${declined ? ' (declined open request)' : ''}`);
+    res.json({
+      success: true,
+      message: availability.status === 'available'
+        ? 'Thank you! You will receive blood requests again.'
+        : 'Thank you for letting us know. We will not send you requests while you are unavailable.',
+      data: { availability, declined }
+    });
+  } catch (error) {
+    console.error('Error updating availability:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to update availability',
+      error: error.message
+    });
+  }
+});
+
+// POST route for a pledged donor to share their position on the way to the hospital
+// Body: { latitude, longitude, accuracy }. Send again every nextUpdateInSeconds until arrived.
+router.post('/r/:token/track', async (req, res) => {
+  try {
+    const { responseToken, expired } = await findVerifiedToken(req);
+    if (expired) return expiredResponse(res);
+
+    if (!responseToken) {
       return res.status(404).json({
         success: false,
-        message: 'Donor not found'
+        message: 'Invalid or expired response link'
       });
     }
 
-    // Save to locations collection instead of donorresponses
-    const locationData = {
-      address: address || `${donor.name} - Response Location`,
-      latitude: parseFloat(latitude),
-      longitude: parseFloat(longitude),
-      accuracy: 0, // Default accuracy
-      userName: donor.name,
-      rollNumber: donor.rollNumber || '',
-      mobileNumber: donor.phone,
-      timestamp: new Date(),
-      // Additional fields for blood request tracking
-      requestId: responseToken.requestId,
-      donorId: responseToken.donorId,
-      token: token,
-      isAvailable: isAvailable !== false,
-      responseTime: new Date()
-    };
-
-    console.log('Attempting to save to locations collection:', locationData);
-
-    // Save directly to locations collection
-    const result = await mongoose.connection.db.collection('locations').insertOne(locationData);
-    console.log('✅ Location response saved successfully to locations collection');
-
-    // Mark token as used
-    responseToken.isUsed = true;
-    await responseToken.save();
-
-    console.log(`✅ Location response saved for donor ${donor.name} at ${latitude}, ${longitude}`);
+    const coordinates = parseCoordinates(req.body, { required: true });
+    const [request, donor] = await Promise.all([
+      BloodRequest.findById(responseToken.requestId),
+      Donor.findById(responseToken.donorId)
+    ]);
+
+    const tracking = await recordTrackingUpdate({ request, donor, coordinates });
 
     res.json({
       success: true,
-      message: 'Response recorded successfully',
-      data: {
-        donorId: responseToken.donorId,
-        requestId: responseToken.requestId,
-        latitude,
-        longitude,
-        isAvailable,
-        address,
-        responseTime: locationData.responseTime,
-        locationId: result.insertedId
-      }
+      message: tracking.arrived ? 'You have arrived. Thank you for coming in!' : 'Location updated',
+      data: tracking
     });
-
   } catch (error) {
-    console.error('Error recording response:', error);
-    console.error('Error details:', error.message);
-    console.error('Stack trace:', error.stack);
-
-    // Return specific error details for debugging
-    res.status(500).json({
+    console.error('Error recording donor tracking:', error.message);
+    res.status(error.status || 500).json({
       success: false,
-      message: 'Failed to record response',
-      error: error.message,
-      details: error.errors ? Object.keys(error.errors).join(', ') : 'Unknown error'
+      message: error.status ? error.message : 'Failed to update location',
+      error: error.message
     });
   }
 });
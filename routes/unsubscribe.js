@@ -0,0 +1,54 @@
+const express = require('express');
+const router = express.Router();
+const { CONSENT_CHANNELS, verifyUnsubscribeToken, setConsent } = require('../services/consentService');
+
+const page = (title, body) => `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${title}</title></head>
+<body style="font-family: Arial, sans-serif; max-width: 480px; margin: 40px auto; padding: 0 16px; color: #333;">
+  <h2 style="color: #DC2626;">🩸 RaktMap</h2>
+  ${body}
+</body>
+</html>`;
+
+const channelLabel = (channel) => (channel === 'all' ? 'any blood request messages' : `blood request messages by ${channel}`);
+
+// GET /unsubscribe/:token - Confirmation page (a link prefetch must not unsubscribe anyone)
+router.get('/unsubscribe/:token', (req, res) => {
+  const target = verifyUnsubscribeToken(req.params.token);
+  if (!target) {
+    return res.status(400).send(page('Invalid link', '<p>This unsubscribe link is invalid or has expired.</p>'));
+  }
+
+  res.send(page('Unsubscribe', `
+    <p>Stop receiving ${channelLabel(target.channel)} from RaktMap?</p>
+    <form method="POST">
+      <button type="submit" style="background: #DC2626; color: white; border: 0; padding: 10px 20px; border-radius: 6px;">Unsubscribe</button>
+    </form>`));
+});
+
+// POST /unsubscribe/:token - Opt out (also used by one-click List-Unsubscribe)
+router.post('/unsubscribe/:token', express.urlencoded({ extended: false }), async (req, res) => {
+  try {
+    const target = verifyUnsubscribeToken(req.params.token);
+    if (!target) {
+      return res.status(400).send(page('Invalid link', '<p>This unsubscribe link is invalid or has expired.</p>'));
+    }
+
+    const channels = target.channel === 'all' ? CONSENT_CHANNELS : [target.channel];
+    const donor = await setConsent(target.donorId, channels, 'revoked', {
+      source: 'unsubscribe-link',
+      actor: { role: 'donor', id: target.donorId }
+    });
+    if (!donor) {
+      return res.status(404).send(page('Not found', '<p>We could not find your donor record.</p>'));
+    }
+
+    res.send(page('Unsubscribed', `<p>You will no longer receive ${channelLabel(target.channel)}. Thank you for being a donor.</p>`));
+  } catch (error) {
+    console.error('Error processing unsubscribe:', error);
+    res.status(500).send(page('Error', '<p>Something went wrong. Please try again later.</p>'));
+  }
+});
+
+module.exports = router;
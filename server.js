@@ -1,6 +1,8 @@
 require('dotenv').config();
 const Hospital = require('./models/Hospital');
 const Admin = require('./models/Admin');
+const Donor = require('./models/Donor');
+const ResponseToken = require('./models/ResponseToken');
 const OTP = require('./models/OTP');
 const express = require('express');
 const cors = require('cors');
@@ -16,9 +18,29 @@ const tokenResponseRouter = require('./routes/tokenResponse');
 const donationHistoryRouter = require('./routes/donationHistory');
 const settingsRouter = require('./routes/settings');
 const markDonationRouter = require('./routes/markDonation');
+const eligibilityRouter = require('./routes/eligibility');
+const jobsRouter = require('./routes/jobs');
+const smsWebhooksRouter = require('./routes/smsWebhooks');
+const consentRouter = require('./routes/consent');
+const templatesRouter = require('./routes/templates');
+const unsubscribeRouter = require('./routes/unsubscribe');
+const donorPortalRouter = require('./routes/donorPortal');
 const Notification = require('./models/Notification');
 const { addClient: addNotificationClient, broadcastNotification } = require('./utils/notificationStream');
-const { generateOTP, sendRegistrationOTP, sendPasswordResetOTP } = require('./services/emailService');
+const { generateOTP, sendRegistrationOTP, sendPasswordResetOTP, OTP_VALID_MINUTES } = require('./services/emailService');
+const { sendSMS } = require('./services/smsService');
+const { renderMessage } = require('./services/templateService');
+const { phoneVariants, normalizePhone } = require('./utils/phone');
+const { createFailureLimiter } = require('./utils/rateLimiter');
+const { SUPPORTED_LANGUAGES } = require('./services/templateCatalog');
+const { resolveHospitalLocation } = require('./services/geocodingService');
+const { ACCEPTING_STATUSES, OPEN_STATUSES, TERMINAL_STATUSES, actorFromUser } = require('./services/requestLifecycle');
+const { DECLINE_REASONS, parseCoordinates, resolveDonor, recordDonorResponse } = require('./services/donorResponseService');
+const { expireIfOverdue } = require('./services/requestExpiry');
+const { saveDonorLocation } = require('./services/locationService');
+const OptOutLedger = require('./models/OptOutLedger');
+const { CONSENT_CHANNELS } = require('./services/consentService');
+const { verifyResponseToken, matchesTokenDoc } = require('./services/responseTokenService');
 
 // Helper function to create admin notifications
 const createAdminNotification = async (title, message, type = 'info', relatedData = {}) => {
@@ -42,6 +64,16 @@ const createAdminNotification = async (title, message, type = 'info', relatedDat
 };
 
 const app = express();
+
+// Client IPs (rate limits on response links and login codes) come from X-Forwarded-For set by the
+// proxy in front of us. TRUST_PROXY is the number of proxy hops, true/false, or a list of proxy
+// addresses; the deployment sits behind one proxy.
+const parseTrustProxy = (value) => {
+  if (value === undefined || value === '') return 1;
+  if (value === 'true' || value === 'false') return value === 'true';
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
 const allowedOrigins = [
   'http://localhost:5173',
   'http://localhost:5174',
@@ -134,30 +166,65 @@ db.on('reconnected', () => {
 db.once('open', async () => {
   console.log('✅ MongoDB connected successfully!');
 
-  // ⏰ Create TTL index for automatic location cleanup after 1 hour
+  // 📍 Bring older live-map locations onto the Location model, then build its indexes
+  // (2dsphere for nearby queries, TTL to clear locations an hour after their last update)
   try {
-    const locationsCollection = mongoose.connection.db.collection('locations');
+    const Location = require('./models/Location');
+    const { migrateLegacyLocations } = require('./services/locationService');
 
-    // Check if TTL index already exists
-    const indexes = await locationsCollection.indexes();
-    const hasTTLIndex = indexes.some(index =>
-      index.key.timestamp && index.expireAfterSeconds
-    );
+    const migrated = await migrateLegacyLocations();
+    if (migrated.donorIdsConverted || migrated.pointsAdded || migrated.duplicatesRemoved) {
+      console.log(`✅ Migrated locations: ${migrated.donorIdsConverted} donor references, ${migrated.pointsAdded} GeoJSON points, ${migrated.duplicatesRemoved} duplicates removed (${migrated.unresolved} unresolved)`);
+    }
+    // The unique index replaces the plain one on the same keys
+    const locationIndexes = await Location.collection.indexes();
+    if (locationIndexes.some(index => index.name === 'requestId_1_donorId_1')) {
+      await Location.collection.dropIndex('requestId_1_donorId_1');
+    }
+    await Location.createIndexes();
+    console.log('✅ Location indexes ready - locations auto-expire after 1 hour');
+  } catch (error) {
+    console.error('⚠️  Failed to prepare location indexes (non-critical):', error.message);
+  }
 
-    if (!hasTTLIndex) {
-      await locationsCollection.createIndex(
-        { timestamp: 1 },
-        {
-          expireAfterSeconds: 3600, // 3600 seconds = 1 hour
-          name: 'location_ttl_index'
-        }
-      );
-      console.log('✅ TTL index created on locations collection - locations will auto-expire after 1 hour');
-    } else {
-      console.log('✅ TTL index already exists on locations collection');
+  // 🩸 One live unit per donor per request: flag older units, then build the unique indexes
+  try {
+    const DonationUnit = require('./models/DonationUnit');
+    const { backfillLiveFlags } = require('./services/unitService');
+
+    await backfillLiveFlags();
+    // The unique index replaces the plain one on the same keys
+    const unitIndexes = await DonationUnit.collection.indexes();
+    if (unitIndexes.some(index => index.name === 'requestId_1_donorId_1')) {
+      await DonationUnit.collection.dropIndex('requestId_1_donorId_1');
     }
+    await DonationUnit.createIndexes();
+    console.log('✅ Donation unit indexes ready');
   } catch (error) {
-    console.error('⚠️  Failed to create TTL index (non-critical):', error.message);
+    console.error('⚠️  Failed to prepare donation unit indexes (non-critical):', error.message);
+  }
+
+  // 🔑 Response tokens now expire at their own expiresAt; drop the old fixed 24-hour TTL index
+  try {
+    const tokensCollection = mongoose.connection.db.collection('responsetokens');
+    const indexes = await tokensCollection.indexes();
+    const legacyTTL = indexes.find(index => index.key.createdAt && index.expireAfterSeconds);
+    if (legacyTTL) {
+      await tokensCollection.dropIndex(legacyTTL.name);
+      console.log('✅ Dropped legacy 24-hour TTL index on response tokens');
+    }
+
+    // Tokens from before expiresAt keep the 24 hours the old index gave them, so the new TTL index removes them
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const backfilled = await tokensCollection.updateMany(
+      { expiresAt: { $exists: false } },
+      [{ $set: { expiresAt: { $add: [{ $ifNull: ['$createdAt', '$$NOW'] }, DAY_MS] } } }]
+    );
+    if (backfilled.modifiedCount > 0) {
+      console.log(`✅ Set expiresAt on ${backfilled.modifiedCount} older response token(s)`);
+    }
+  } catch (error) {
+    console.error('⚠️  Failed to check response token indexes (non-critical):', error.message);
   }
 
   // 🔍 Start MongoDB Change Stream watcher for real-time notifications
@@ -168,95 +235,44 @@ db.once('open', async () => {
     console.error('⚠️  Failed to start location watcher:', error.message);
   }
 
-  // 🔄 Start Batch SMS Scheduler (every 1 minute)
+  // 🔄 Start the job worker (batch dispatch, reminders, expiry)
   try {
-    const { sendNextBatch } = require('./controllers/bloodRequestController');
-    const BloodRequest = require('./models/BloodRequest');
-
-    const checkPendingBatches = async () => {
-      try {
-        if (mongoose.connection.readyState !== 1) return; // DB not ready
-
-        // Find active requests that are "in progress"
-        const pendingRequests = await BloodRequest.find({
-          status: 'active',
-          batchInProgress: true,
-          $expr: { $lt: ['$confirmedUnits', '$quantity'] }
-        });
-
-        if (pendingRequests.length > 0) {
-          // console.log(`\n⏰ [Scheduler] Checking ${pendingRequests.length} in-progress requests...`);
-        }
-
-        const now = Date.now();
-
-        for (const request of pendingRequests) {
-          if (!request.batchSentAt) continue;
-
-          const windowMinutes = request.responseWindow || 2;
-          const sentTime = new Date(request.batchSentAt).getTime();
-          const elapsedMinutes = (now - sentTime) / (1000 * 60);
-
-          if (elapsedMinutes >= windowMinutes) {
-            console.log(`[Scheduler] Response window closed (${elapsedMinutes.toFixed(1)}/${windowMinutes} mins) for request ${request._id}. Next batch...`);
-
-            request.batchInProgress = false;
-            await request.save();
-
-            await sendNextBatch(request._id);
-          }
-        }
-
-      } catch (err) {
-        console.error('[Scheduler] Error checking pending batches:', err.message);
-      }
-    };
-
-    // Run every minute
-    setInterval(checkPendingBatches, 60 * 1000);
-    console.log('✅ Batch SMS Scheduler started (1 min interval)');
-
-    // Run once after short delay to catch up on missed batches
-    setTimeout(checkPendingBatches, 10000);
+    const { registerJobHandlers } = require('./services/jobHandlers');
+    const { startWorker, scheduleRecurring } = require('./services/jobQueue');
 
+    registerJobHandlers();
+    scheduleRecurring('expire-requests', 60 * 1000);
+    scheduleRecurring('recover-batches', 5 * 60 * 1000);
+    startWorker();
   } catch (error) {
-    console.error('⚠️  Failed to start Batch Scheduler:', error.message);
+    console.error('⚠️  Failed to start job worker:', error.message);
   }
 });
 
 // Helper to check and handle blood request expiry
 const checkRequestExpiry = async (requestIdOrToken) => {
   const BloodRequest = require('./models/BloodRequest');
-  const ResponseToken = require('./models/ResponseToken');
   const mongoose = require('mongoose');
 
   let requestId = requestIdOrToken;
   let token = null;
 
-  // If it's a short token or not a valid ObjectId
+  // Not an ObjectId: a response token, which must carry a valid signature
   if (!mongoose.Types.ObjectId.isValid(requestIdOrToken)) {
+    const verified = verifyResponseToken(requestIdOrToken);
+    if (!verified.valid) return null;
+
     const t = await ResponseToken.findOne({ token: requestIdOrToken });
-    if (t) {
-      requestId = t.requestId;
-      token = t.token;
-    } else {
-      return null;
-    }
+    if (!matchesTokenDoc(verified, t)) return null;
+    requestId = t.requestId;
+    token = t.token;
   }
 
-  const request = await BloodRequest.findById(requestId);
+  const request = await expireIfOverdue(await BloodRequest.findById(requestId));
   if (!request) return null;
 
   // Add token back to request object for validation in other routes
   if (token) request._token = token;
-
-  if (request.status === 'active' && request.requiredBy && new Date() > request.requiredBy) {
-    console.log(`[Expiry] Request ${requestId} expired`);
-    request.status = 'expired';
-    request.activeTokens = [];
-    await request.save();
-    return request;
-  }
   return request;
 };
 
@@ -275,7 +291,7 @@ app.get('/api/bloodrequest/:id', async (req, res) => {
       });
     }
 
-    const isFulfilled = request.status === 'fulfilled' || request.status === 'cancelled' || request.status === 'expired' || (request.confirmedUnits >= request.quantity);
+    const isFulfilled = TERMINAL_STATUSES.includes(request.status) || (request.confirmedUnits >= request.quantity);
 
     if (isFulfilled) {
       return res.json({
@@ -312,50 +328,19 @@ app.get('/api/bloodrequest/:id', async (req, res) => {
 // Public route for direct location sharing from frontend
 app.post('/api/save-location', async (req, res) => {
   try {
-    console.log('=== DIRECT LOCATION SHARING FROM FRONTEND ===');
-    const { requestId, donorId, lat, lng, latitude, longitude, token, mobileNumber } = req.body;
-
+    const { requestId, donorId, token, mobileNumber, address } = req.body;
     // Use flexible field names to support different frontend versions
-    const finalLat = lat || latitude;
-    const finalLng = lng || longitude;
     const finalDonorId = donorId || mobileNumber;
 
-    console.log('Received data:', { requestId, finalDonorId, finalLat, finalLng, token });
-
-    if (!requestId || !finalDonorId || finalLat === undefined || finalLng === undefined) {
+    if (!requestId || !finalDonorId) {
       return res.status(400).json({
         error: 'Missing required fields: requestId, donorId (or mobileNumber), lat (or latitude), lng (or longitude)'
       });
     }
+    const coordinates = parseCoordinates(req.body, { required: true });
 
-    // Use normalized variables for the rest of the route
-    const currentLat = finalLat;
-    const currentLng = finalLng;
-    const currentDonorId = finalDonorId;
-
-    // Verify donor existence in Donor collection (Mandatory)
-    const Donor = require('./models/Donor');
-    const cleanPhone = mobileNumber ? mobileNumber.replace(/^\+91|^0/, '') : '';
-
-    let donorInfo = await Donor.findOne({
-      $or: [
-        { phone: mobileNumber },
-        { phone: cleanPhone },
-        { phone: '+91' + cleanPhone },
-        { phone: '0' + cleanPhone }
-      ]
-    });
-
-    if (!donorInfo && currentDonorId) {
-      // Try by ID if phone lookup failed but donorId was provided (unlikely but possible)
-      const mongoose = require('mongoose');
-      if (mongoose.Types.ObjectId.isValid(currentDonorId)) {
-        donorInfo = await Donor.findById(currentDonorId);
-      } else {
-        donorInfo = await Donor.findOne({ uniqueId: currentDonorId });
-      }
-    }
-
+    // Only registered donors can respond
+    const donorInfo = await resolveDonor({ donorId, phone: mobileNumber });
     if (!donorInfo) {
       console.log(`❌ Rejecting unauthorized number: ${mobileNumber}`);
       return res.status(403).json({
@@ -364,128 +349,78 @@ app.post('/api/save-location', async (req, res) => {
       });
     }
 
-    console.log(`✅ Authorized donor found: ${donorInfo.name} (${donorInfo.bloodGroup})`);
-
-    // 1. Check expiry and get request
+    // requestId may be the request's id or a response token
     const bloodRequest = await checkRequestExpiry(requestId);
-
     if (!bloodRequest) {
       return res.status(404).json({ error: 'Blood request not found' });
     }
 
-    // 2. Strict validation (Requirement 6)
-    const isExpired = new Date() > bloodRequest.requiredBy;
-    const isFulfilled = bloodRequest.status === 'fulfilled' || bloodRequest.status === 'cancelled' || bloodRequest.status === 'completed' || bloodRequest.status === 'expired';
-    const hasEnoughUnits = bloodRequest.confirmedUnits >= bloodRequest.quantity;
-    const isTokenValid = !token || (bloodRequest.activeTokens && bloodRequest.activeTokens.includes(token));
-
-    if (bloodRequest.status !== 'active' || isExpired || isFulfilled || hasEnoughUnits || !isTokenValid) {
-      console.log(`❌ Location rejected: Request ${requestId} is restricted. Status: ${bloodRequest.status}, Fulfilled: ${isFulfilled}, Units: ${bloodRequest.confirmedUnits}/${bloodRequest.quantity}, Token Valid: ${isTokenValid}`);
-
-      // If just expired now
-      if (isExpired && bloodRequest.status === 'active') {
-        bloodRequest.status = 'expired';
-        bloodRequest.activeTokens = [];
-        await bloodRequest.save();
+    const tokenValue = token || bloodRequest._token;
+    let responseToken = null;
+    if (tokenValue) {
+      const verified = verifyResponseToken(tokenValue);
+      responseToken = verified.valid ? await ResponseToken.findOne({ token: tokenValue }) : null;
+      if (!matchesTokenDoc(verified, responseToken) || responseToken.revokedAt ||
+          String(responseToken.requestId) !== String(bloodRequest._id)) {
+        return res.status(400).json({
+          success: false,
+          status: 'closed',
+          message: 'This response link is no longer active. Thank you for your time.'
+        });
       }
-
-      return res.status(400).json({
-        success: false,
-        status: 'closed',
-        message: isExpired ? 'Blood request has expired.' : 'Blood request fulfilled. Thank you for your time.'
-      });
     }
 
-    console.log('Found blood request:', {
-      id: bloodRequest._id,
-      bloodGroup: bloodRequest.bloodGroup,
-      status: bloodRequest.status
-    });
-
-    // 4. Handle confirmation logic
-    const actualRequestId = bloodRequest._id.toString();
-    const finalTokenValue = token || `DIRECT_${actualRequestId}_${donorInfo._id}`;
-
-    // If a token exists, we MUST try to confirm the unit atomically
-    if (token) {
-      const existingLocation = await mongoose.connection.db.collection('locations').findOne({
-        requestId: actualRequestId,
-        token: token
+    if (responseToken) {
+      // The link identifies the donor; it is what lets a location share pledge a unit
+      const linkDonor = String(responseToken.donorId) === String(donorInfo._id)
+        ? donorInfo
+        : await Donor.findById(responseToken.donorId);
+      const { pledge } = await recordDonorResponse({
+        request: bloodRequest,
+        donor: linkDonor,
+        token: responseToken,
+        answer: 'accepted',
+        details: { etaMinutes: req.body.etaMinutes },
+        coordinates,
+        address,
+        via: 'link',
+        reason: 'Donor shared location'
       });
-
-      if (!existingLocation) {
-        console.log(`[Confirmation] Attempting atomic confirmation for token ${token}`);
-
-        // Atomic Update (Requirement 3)
-        const updatedRequest = await require('./models/BloodRequest').findOneAndUpdate(
-          {
-            _id: bloodRequest._id,
-            status: 'active',
-            $expr: { $lt: ["$confirmedUnits", "$quantity"] },
-            activeTokens: token
-          },
-          { $inc: { confirmedUnits: 1 } },
-          { new: true }
-        );
-
-        if (!updatedRequest) {
-          console.log('❌ Atomic update failed - Request likely just fulfilled by someone else');
-          return res.status(400).json({
-            success: false,
-            status: 'closed',
-            message: 'Blood request already fulfilled or expired. Thank you for your willingness!'
-          });
-        }
-
-        // Lock Request if newly fulfilled (Requirement 4)
-        if (updatedRequest.confirmedUnits >= updatedRequest.quantity) {
-          updatedRequest.status = 'fulfilled';
-          updatedRequest.activeTokens = [];
-          await updatedRequest.save();
-          console.log('✅ Request fulfilled and locked via atomic update');
-        }
+      console.log(`✅ Location saved for request ${bloodRequest._id} (${pledge.request.confirmedUnits}/${pledge.request.quantity} units pledged)`);
+    } else {
+      // Without a verified link anyone who knows a donor's number could pledge for them: show the location only
+      if (TERMINAL_STATUSES.includes(bloodRequest.status)) {
+        return res.status(400).json({ success: false, status: 'closed', message: 'Blood request already fulfilled or closed. Thank you for your willingness!' });
       }
+      await saveDonorLocation({
+        request: bloodRequest,
+        donor: donorInfo,
+        coordinates,
+        source: 'web',
+        fields: { address: address || `${donorInfo.name} - Current Location`, responseTime: new Date() }
+      });
+      console.log(`📍 Location shared without a response link for request ${bloodRequest._id}; no unit pledged`);
     }
 
-    // Create location data using verified donor information
-
-    // Create location data with proper requestId (ALWAYS use MongoDB ID)
-    const locationData = {
-      address: `${donorInfo.name} - Current Location`,
-      latitude: parseFloat(currentLat),
-      longitude: parseFloat(currentLng),
-      accuracy: 0,
-      userName: donorInfo.name,
-      rollNumber: donorInfo.rollNo || '',
-      mobileNumber: donorInfo.phone,
-      timestamp: new Date(),
-      requestId: actualRequestId, // Use MongoDB ID
-      donorId: donorInfo._id.toString(),
-      token: finalTokenValue,
-      isAvailable: true,
-      responseTime: new Date()
-    };
-
-    // Save to locations collection (Upsert by token to allow updates)
-    await mongoose.connection.db.collection('locations').updateOne(
-      { requestId: actualRequestId, token: locationData.token },
-      { $set: locationData },
-      { upsert: true }
-    );
-
-    console.log('✅ Location saved successfully for Request:', actualRequestId);
-
     res.json({
       success: true,
       message: 'Location shared successfully',
-      donorId: currentDonorId,
+      // Only a response link confirms the donor is coming
+      pledged: !!responseToken,
+      donorId: finalDonorId,
       qrData: {
-        requestId: actualRequestId, // ALWAYS send the full MongoDB ID
-        token: token
+        requestId: bloodRequest._id.toString(), // ALWAYS send the full MongoDB ID
+        token: tokenValue
       }
     });
 
   } catch (error) {
+    if (error.code === 'REQUEST_CLOSED') {
+      return res.status(400).json({ success: false, status: 'closed', message: error.message });
+    }
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message, message: error.message });
+    }
     console.error('Error in location sharing:', error);
     res.status(500).json({
       error: 'Failed to save location',
@@ -508,23 +443,40 @@ function authenticateToken(req, res, next) {
   if (!token) return res.sendStatus(401);
 
   jwt.verify(token, SECRET, (err, user) => {
-    if (err) return res.sendStatus(403);
+    // Only login tokens; anything signed for another purpose is not a session
+    if (err || user.purpose) return res.sendStatus(403);
     req.user = user;
     next();
   });
 }
 
+// Staff routes are for admins and hospitals only; donor logins only reach the donor portal
+const STAFF_ROLES = ['admin', 'hospital'];
+function requireStaff(req, res, next) {
+  if (!req.user || !STAFF_ROLES.includes(req.user.role)) {
+    return res.status(403).json({ success: false, message: 'Access denied. Donors can only use the donor portal.' });
+  }
+  next();
+}
+
 /* ============================
    4. Routes
 ============================ */
-app.use('/blood-requests', authenticateToken, bloodRequestsRouter);
-app.use('/donor-response', authenticateToken, donorResponseRouter);
-app.use('/donors', authenticateToken, donorsRouter);
-app.use('/hospitals', authenticateToken, hospitalsRouter);
-app.use('/donation-history', authenticateToken, donationHistoryRouter);
-app.use('/admin', authenticateToken, settingsRouter);
-app.use('/api', authenticateToken, markDonationRouter);
+app.use('/blood-requests', authenticateToken, requireStaff, bloodRequestsRouter);
+app.use('/donor-response', authenticateToken, requireStaff, donorResponseRouter);
+app.use('/donors', authenticateToken, requireStaff, donorsRouter);
+app.use('/hospitals', authenticateToken, requireStaff, hospitalsRouter);
+app.use('/donation-history', authenticateToken, requireStaff, donationHistoryRouter);
+app.use('/admin', authenticateToken, requireStaff, settingsRouter);
+app.use('/admin', authenticateToken, requireStaff, eligibilityRouter);
+app.use('/admin', authenticateToken, requireStaff, jobsRouter);
+app.use('/admin', authenticateToken, requireStaff, consentRouter);
+app.use('/admin', authenticateToken, requireStaff, templatesRouter);
+app.use('/api', authenticateToken, requireStaff, markDonationRouter);
+app.use('/donor-portal', authenticateToken, donorPortalRouter); // Logged-in donors: own profile, history, preferences
 app.use('/', tokenResponseRouter); // Public route for SMS responses
+app.use('/webhooks', smsWebhooksRouter); // Public: provider delivery receipts and donor replies
+app.use('/', unsubscribeRouter); // Public: unsubscribe links in donor messages
 
 // Add token validation test route
 app.get('/validate-token', authenticateToken, (req, res) => {
@@ -1038,6 +990,53 @@ app.get('/admin/analytics/response-times-by-hour', async (req, res) => {
   }
 });
 
+// Why donors say no: decline reasons, plus how answers split between accepted, declined and later.
+// Query: days (look back this many days; default all time)
+app.get('/admin/analytics/decline-reasons', async (req, res) => {
+  try {
+    const DonorResponse = require('./models/DonorLocationResponse');
+    const days = parseInt(req.query.days);
+    const match = days > 0 ? { createdAt: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) } } : {};
+
+    const [answers, reasons] = await Promise.all([
+      DonorResponse.aggregate([
+        { $match: match },
+        { $group: { _id: { $ifNull: ['$response', { $cond: ['$isAvailable', 'accepted', 'declined'] }] }, count: { $sum: 1 } } }
+      ]),
+      DonorResponse.aggregate([
+        { $match: { ...match, response: 'declined' } },
+        { $group: { _id: '$declineReason', count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+      ])
+    ]);
+
+    const totals = { accepted: 0, declined: 0, later: 0 };
+    answers.forEach(item => { totals[item._id] = item.count; });
+    const total = totals.accepted + totals.declined + totals.later;
+
+    const reasonData = reasons.map(item => ({
+      reason: item._id || 'not-given',
+      label: item._id ? DECLINE_REASONS[item._id] || item._id : 'No reason given',
+      count: item.count,
+      value: totals.declined > 0 ? Math.round((item.count / totals.declined) * 100) : 0
+    }));
+
+    res.json({
+      success: true,
+      data: reasonData,
+      totals: { ...totals, total },
+      declineRate: total > 0 ? Math.round((totals.declined / total) * 100) : 0
+    });
+  } catch (error) {
+    console.error('Error fetching decline reasons:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch decline reasons',
+      error: error.message
+    });
+  }
+});
+
 // Admin notification routes
 app.get('/admin/notifications', async (req, res) => {
   try {
@@ -1264,6 +1263,8 @@ app.post('/admin/hospitals', async (req, res) => {
     if (hospitalData.password) {
       hospitalData.password = await bcrypt.hash(hospitalData.password, 10);
     }
+    const location = await resolveHospitalLocation(req.body);
+    if (location) hospitalData.location = location;
 
     const hospital = new Hospital(hospitalData);
     await hospital.save();
@@ -1283,7 +1284,7 @@ app.post('/admin/hospitals', async (req, res) => {
     });
   } catch (error) {
     console.error('Error creating hospital:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: 'Failed to create hospital',
       error: error.message
@@ -1301,6 +1302,9 @@ app.put('/admin/hospitals/:id', async (req, res) => {
     if (updateData.password) {
       updateData.password = await bcrypt.hash(updateData.password, 10);
     }
+    delete updateData.location;
+    const location = await resolveHospitalLocation(req.body, await Hospital.findById(req.params.id));
+    if (location) updateData.location = location;
 
     const hospital = await Hospital.findByIdAndUpdate(
       req.params.id,
@@ -1322,7 +1326,7 @@ app.put('/admin/hospitals/:id', async (req, res) => {
     });
   } catch (error) {
     console.error('Error updating hospital:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: 'Failed to update hospital',
       error: error.message
@@ -1473,7 +1477,25 @@ app.post('/admin/donors/import', async (req, res) => {
       email: ['email', 'mail', 'emailid', 'e'],
       phone: ['phone', 'phoneno', 'mobileno', 'mobile', 'contact', 'contactno', 'number', 'phoneNumber'.toLowerCase()],
       bloodGroup: ['bloodgroup', 'bloodgrp', 'blood', 'bgroup', 'bloodtype', 'bloodgrpup'],
-      rollNo: ['rollno', 'rollnumber', 'roll', 'enrollment', 'enrollmentno', 'enroll', 'studentid', 'id', 'studentnumber']
+      rollNo: ['rollno', 'rollnumber', 'roll', 'enrollment', 'enrollmentno', 'enroll', 'studentid', 'id', 'studentnumber'],
+      consent: ['consent', 'smsconsent', 'contactconsent', 'optin', 'consentgiven'],
+      dnd: ['dnd', 'dndregistered', 'ncpr'],
+      language: ['language', 'preferredlanguage', 'lang', 'messagelanguage']
+    };
+
+    // Consent/DND columns: yes/true/1 or no/false/0; anything else means no record
+    const parseYesNo = (value) => {
+      const v = String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+      if (['yes', 'y', 'true', '1'].includes(v)) return true;
+      if (['no', 'n', 'false', '0'].includes(v)) return false;
+      return null;
+    };
+
+    // Language column: a code (hi) or name (Hindi); anything else means English
+    const parseLanguage = (value) => {
+      const v = String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+      const match = Object.entries(SUPPORTED_LANGUAGES).find(([code, label]) => v === code || v === label.toLowerCase());
+      return match ? match[0] : 'en';
     };
 
     // Build reverse lookup: normalized variant -> canonical
@@ -1552,16 +1574,35 @@ app.post('/admin/donors/import', async (req, res) => {
       if (phoneKey) batchPhones.add(phoneKey); if (rollKey) batchRolls.add(rollKey);
       const tempPassword = Math.random().toString(36).slice(-8);
       const hashed = await bcrypt.hash(tempPassword, 10);
+      // Imported donors carry whatever consent the sheet records; with no record they stay 'unknown'
+      const consentGiven = parseYesNo(mapped.consent);
+      const consentStatus = consentGiven === null ? 'unknown' : (consentGiven ? 'granted' : 'revoked');
+      const consentEntry = { status: consentStatus, source: 'import', updatedAt: new Date() };
       const donorDoc = new Donor({
         name: String(nameRaw).trim(),
         email,
         phone: String(phoneRaw).trim(),
         bloodGroup,
         rollNo: rollNoRaw ? String(rollNoRaw).trim() : undefined,
+        consent: { sms: consentEntry, email: consentEntry, whatsapp: consentEntry, voice: consentEntry },
+        dndRegistered: parseYesNo(mapped.dnd) === true,
+        preferredLanguage: parseLanguage(mapped.language),
         password: hashed
       });
       try {
         await donorDoc.save();
+        if (consentStatus !== 'unknown') {
+          await OptOutLedger.insertMany(CONSENT_CHANNELS.map(channel => ({
+            donorId: donorDoc._id,
+            phone: donorDoc.phone,
+            email: donorDoc.email,
+            channel,
+            action: consentGiven ? 'opt-in' : 'opt-out',
+            source: 'import',
+            reason: 'Recorded in donor import sheet',
+            actor: actorFromUser(req.user)
+          })));
+        }
         inserted++;
         credentials.push({ email, tempPassword });
         results.push({ ...lineInfo, status: 'inserted' });
@@ -1840,7 +1881,7 @@ app.post('/login', async (req, res) => {
       });
     }
 
-    // Check both Admin and Hospital collections to determine role automatically
+    // Check Admin, Hospital and Donor collections to determine role automatically
     let user = await Admin.findOne({ email }).maxTimeMS(10000);
     let role = 'admin';
 
@@ -1849,6 +1890,11 @@ app.post('/login', async (req, res) => {
       role = 'hospital';
     }
 
+    if (!user) {
+      user = await Donor.findOne({ email }).maxTimeMS(10000);
+      role = 'donor';
+    }
+
     if (!user) {
       return res.status(401).json({ message: 'Invalid credentials' });
     }
@@ -1877,6 +1923,122 @@ app.post('/login', async (req, res) => {
   }
 });
 
+/* ============================
+   6.0.1 Donor Phone Login - Send OTP
+============================ */
+// Wait this long before sending another code to the same number
+const DONOR_OTP_RESEND_SECONDS = 60;
+// Wrong codes allowed before the OTP is discarded
+const DONOR_OTP_MAX_ATTEMPTS = 5;
+
+const findDonorByPhone = (phone) => Donor.findOne({ phone: { $in: phoneVariants(phone) } });
+
+// Code requests are limited per number and per client whether or not the number is registered,
+// so the limits say nothing about which numbers belong to donors
+const otpNumberLimiter = createFailureLimiter({
+  windowMs: DONOR_OTP_RESEND_SECONDS * 1000,
+  maxFailures: 1,
+  message: `Please wait ${DONOR_OTP_RESEND_SECONDS} seconds before requesting another code.`,
+  keyFor: (req) => `phone:${normalizePhone(req.body.phone) || String(req.body.phone)}`
+});
+const otpClientLimiter = createFailureLimiter({
+  windowMs: 15 * 60 * 1000,
+  maxFailures: 10,
+  message: 'Too many login code requests. Please try again later.'
+});
+
+app.post('/login/otp', otpClientLimiter.middleware, async (req, res) => {
+  try {
+    const { phone } = req.body;
+    if (!phone) {
+      return res.status(400).json({ message: 'Phone number is required' });
+    }
+    if (otpNumberLimiter.isBlocked(req)) {
+      return res.status(429).json({ message: `Please wait ${DONOR_OTP_RESEND_SECONDS} seconds before requesting another code.` });
+    }
+    otpNumberLimiter.recordFailure(req);
+    otpClientLimiter.recordFailure(req);
+
+    // Same answer whether or not the number is registered
+    const donor = await findDonorByPhone(phone);
+    if (!donor) {
+      return res.status(200).json({
+        success: true,
+        message: 'If this number is registered, you will receive a login code by SMS.'
+      });
+    }
+
+    // Codes are kept against the donor's email, which is unique
+    const otp = generateOTP();
+    await OTP.deleteMany({ email: donor.email, type: 'donor-login' });
+    await OTP.create({ email: donor.email, otp, type: 'donor-login' });
+
+    const message = await renderMessage(
+      'otp-donor-login',
+      'sms',
+      { name: donor.name, otp, validMinutes: OTP_VALID_MINUTES },
+      { language: donor.preferredLanguage }
+    );
+    const result = await sendSMS(donor.phone, message.text);
+    if (!result.success) {
+      console.error('❌ Failed to send donor login OTP:', result.error);
+      await OTP.deleteMany({ email: donor.email, type: 'donor-login' });
+      return res.status(500).json({ message: 'Failed to send login code. Please try again.' });
+    }
+
+    console.log('✅ Donor login OTP sent to donor:', donor._id);
+    res.status(200).json({
+      success: true,
+      message: 'If this number is registered, you will receive a login code by SMS.'
+    });
+  } catch (err) {
+    console.error("Donor OTP error:", err);
+    res.status(500).json({ message: "Failed to send login code. Please try again." });
+  }
+});
+
+/* ============================
+   6.0.2 Donor Phone Login - Verify OTP
+============================ */
+app.post('/login/otp/verify', async (req, res) => {
+  try {
+    const { phone, otp } = req.body;
+    if (!phone || !otp) {
+      return res.status(400).json({ message: 'Phone number and OTP are required' });
+    }
+
+    const donor = await findDonorByPhone(phone);
+    const otpRecord = donor && await OTP.findOne({ email: donor.email, type: 'donor-login' });
+    if (!otpRecord) {
+      return res.status(400).json({ message: 'OTP expired or invalid. Please request a new one.' });
+    }
+
+    if (otpRecord.otp !== String(otp).trim()) {
+      otpRecord.attempts += 1;
+      if (otpRecord.attempts >= DONOR_OTP_MAX_ATTEMPTS) {
+        await OTP.deleteMany({ email: donor.email, type: 'donor-login' });
+        return res.status(429).json({ message: 'Too many wrong codes. Please request a new one.' });
+      }
+      await otpRecord.save();
+      return res.status(400).json({ message: 'Invalid OTP. Please check and try again.' });
+    }
+
+    await OTP.deleteMany({ email: donor.email, type: 'donor-login' });
+
+    const token = jwt.sign(
+      { id: donor._id, email: donor.email, role: 'donor', name: donor.name },
+      SECRET,
+      { expiresIn: '1h' }
+    );
+
+    console.log('✅ Donor logged in with OTP:', donor._id);
+    res.json({ token, role: 'donor', name: donor.name });
+  } catch (err) {
+    console.error("Donor OTP verify error:", err);
+    res.status(500).json({ message: "Login failed. Please try again." });
+  }
+});
+
 /* ============================
    6.1 Forgot Password - Send OTP
 ============================ */
@@ -2084,10 +2246,15 @@ app.put('/hospital/profile', authenticateToken, async (req, res) => {
     }
 
     const { name, email, phone, address, emergencyContact, radius } = req.body;
+    const updateData = { name, email, phone, address, emergencyContact, radius };
+
+    // Store explicit coordinates, or geocode the address when it changes
+    const location = await resolveHospitalLocation(req.body, await Hospital.findById(req.user.id));
+    if (location) updateData.location = location;
 
     const hospital = await Hospital.findByIdAndUpdate(
       req.user.id,
-      { name, email, phone, address, emergencyContact, radius },
+      updateData,
       { new: true, select: '-password' }
     );
 
@@ -2102,7 +2269,7 @@ app.put('/hospital/profile', authenticateToken, async (req, res) => {
     });
   } catch (error) {
     console.error('Error updating hospital profile:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: 'Failed to update hospital profile',
       error: error.message
@@ -2192,7 +2359,7 @@ app.get('/hospital/dashboard/stats', authenticateToken, async (req, res) => {
     // Get active blood requests for this hospital
     const activeRequests = await BloodRequest.countDocuments({
       requesterId: req.user.id,
-      status: { $in: ['pending', 'processing'] }
+      status: { $in: OPEN_STATUSES }
     });
 
     // Get total donors (you can filter by location later)
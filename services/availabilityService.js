@@ -0,0 +1,64 @@
+const AVAILABILITY_STATUSES = ['available', 'unavailable', 'paused'];
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+// The donor's availability as it stands now: an 'unavailable' period that has ended counts as available
+const getAvailability = (donor, now = new Date()) => {
+  const availability = donor.availability || {};
+  const status = availability.status || 'available';
+  if (status === 'unavailable' && availability.until && new Date(availability.until) <= now) {
+    return { status: 'available', until: null, reason: null, updatedAt: availability.updatedAt || null };
+  }
+  return {
+    status,
+    until: status === 'unavailable' ? availability.until || null : null,
+    reason: availability.reason || null,
+    updatedAt: availability.updatedAt || null
+  };
+};
+
+const isAvailable = (donor, now = new Date()) => getAvailability(donor, now).status === 'available';
+
+// Exclusion reason shown to hospitals, e.g. "Unavailable until 2026-10-25 (exams)"
+const describeUnavailability = (donor, now = new Date()) => {
+  const { status, until, reason } = getAvailability(donor, now);
+  if (status === 'available') return null;
+  const details = reason ? ` (${reason})` : '';
+  if (status === 'paused') return `Paused alerts${details}`;
+  return `Unavailable until ${new Date(until).toISOString().slice(0, 10)}${details}`;
+};
+
+// Validate a requested change and build the $set for it.
+// 'unavailable' needs a future end date; 'paused' has none; 'available' clears both.
+const buildAvailabilityUpdate = ({ status, until, reason } = {}, source, now = new Date()) => {
+  if (!AVAILABILITY_STATUSES.includes(status)) {
+    throw httpError(400, `Invalid availability status. Must be one of: ${AVAILABILITY_STATUSES.join(', ')}`);
+  }
+
+  let untilDate = null;
+  if (status === 'unavailable') {
+    untilDate = until ? new Date(until) : null;
+    if (!untilDate || isNaN(untilDate.getTime())) {
+      throw httpError(400, 'until (a date) is required when unavailable; use paused for no end date');
+    }
+    if (untilDate <= now) throw httpError(400, 'until must be in the future');
+  }
+
+  return {
+    availability: {
+      status,
+      until: untilDate,
+      reason: status === 'available' ? null : (reason ? String(reason).trim().slice(0, 200) : null),
+      source,
+      updatedAt: now
+    }
+  };
+};
+
+module.exports = {
+  AVAILABILITY_STATUSES,
+  getAvailability,
+  isAvailable,
+  describeUnavailability,
+  buildAvailabilityUpdate
+};
@@ -0,0 +1,131 @@
+const BloodRequest = require('../models/BloodRequest');
+
+// Starting batch size and response window (minutes) for each urgency.
+// coverage is the share of the remaining units one batch should be expected to fill.
+const URGENCY_PROFILES = {
+  pregnancy: { batchSize: 10, responseWindow: 5, coverage: 1.5 },
+  high: { batchSize: 8, responseWindow: 10, coverage: 1 },
+  medium: { batchSize: 5, responseWindow: 20, coverage: 0.5 },
+  low: { batchSize: 3, responseWindow: 30, coverage: 0.34 }
+};
+
+const MIN_BATCH_SIZE = 1;
+const MAX_BATCH_SIZE = 30;
+const MIN_RESPONSE_WINDOW = 2;
+const MAX_ESCALATION_LEVEL = 3;
+
+// Assumed share of notified donors who confirm when there is no history yet
+const DEFAULT_RESPONSE_RATE = 0.2;
+// Ignore history for a blood group until this many donors have been notified
+const MIN_HISTORY_SAMPLE = 20;
+const HISTORY_DAYS = 90;
+
+// Share of notified donors who confirmed, across recent requests for a blood group
+const getResponseRate = async (bloodGroup) => {
+  try {
+    const since = new Date(Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1000);
+    const [stats] = await BloodRequest.aggregate([
+      { $match: { bloodGroup, createdAt: { $gte: since } } },
+      {
+        $group: {
+          _id: null,
+          notified: { $sum: { $size: { $ifNull: ['$notifiedDonors', []] } } },
+          confirmed: { $sum: { $ifNull: ['$confirmedUnits', 0] } }
+        }
+      }
+    ]);
+
+    if (!stats || stats.notified < MIN_HISTORY_SAMPLE) return DEFAULT_RESPONSE_RATE;
+    // Keep the rate inside sensible bounds so one odd request cannot swing batches wildly
+    return Math.min(0.9, Math.max(0.02, stats.confirmed / stats.notified));
+  } catch (error) {
+    console.error('Error calculating response rate, using default:', error.message);
+    return DEFAULT_RESPONSE_RATE;
+  }
+};
+
+// Work out batch size and response window for a request's next batch.
+// Pure function so the scheduler and request creation give the same answer.
+const calculateBatchPolicy = ({ urgency, requiredBy, unitsNeeded, responseRate, escalationLevel = 0, now = new Date() }) => {
+  const profile = URGENCY_PROFILES[urgency] || URGENCY_PROFILES.medium;
+  const reasons = [`${urgency || 'medium'} urgency`];
+  let batchSize = profile.batchSize;
+  let responseWindow = profile.responseWindow;
+
+  // Enough donors to cover the remaining units at the historical response rate
+  const units = Math.max(1, unitsNeeded || 1);
+  const rate = responseRate || DEFAULT_RESPONSE_RATE;
+  const neededForUnits = Math.ceil((units * profile.coverage) / rate);
+  if (neededForUnits > batchSize) {
+    batchSize = neededForUnits;
+    reasons.push(`${units} unit(s) needed at ${Math.round(rate * 100)}% response rate`);
+  }
+
+  // Less time left means bigger batches and shorter windows
+  if (requiredBy) {
+    const minutesLeft = (new Date(requiredBy).getTime() - now.getTime()) / (60 * 1000);
+    if (minutesLeft <= 120) {
+      batchSize *= 2;
+      responseWindow = Math.min(responseWindow, 5);
+      reasons.push('required within 2 hours');
+    } else if (minutesLeft <= 6 * 60) {
+      batchSize = Math.ceil(batchSize * 1.5);
+      responseWindow = Math.min(responseWindow, 10);
+      reasons.push('required within 6 hours');
+    }
+    // Leave room for at least a few more rounds before the deadline
+    if (minutesLeft > 0) {
+      responseWindow = Math.min(responseWindow, Math.floor(minutesLeft / 3));
+    }
+  }
+
+  // Each escalation doubles the batch and shortens the window
+  const level = Math.min(Math.max(escalationLevel, 0), MAX_ESCALATION_LEVEL);
+  if (level > 0) {
+    batchSize *= Math.pow(2, level);
+    responseWindow = Math.floor(responseWindow * Math.pow(0.75, level));
+    reasons.push(`escalation level ${level}`);
+  }
+
+  return {
+    batchSize: Math.min(MAX_BATCH_SIZE, Math.max(MIN_BATCH_SIZE, Math.round(batchSize))),
+    responseWindow: Math.max(MIN_RESPONSE_WINDOW, responseWindow),
+    escalationLevel: level,
+    responseRate: rate,
+    reasons
+  };
+};
+
+// Policy for a blood request's next batch, using live history for its blood group
+const getBatchPolicy = async (request, now = new Date()) => {
+  const responseRate = await getResponseRate(request.bloodGroup);
+  return calculateBatchPolicy({
+    urgency: request.urgency,
+    requiredBy: request.requiredBy,
+    unitsNeeded: request.quantity - (request.confirmedUnits || 0),
+    responseRate,
+    escalationLevel: request.escalationLevel || 0,
+    now
+  });
+};
+
+// Called when a response window closes. Escalates when the batch brought in no new confirmations.
+const escalateIfLagging = (request) => {
+  const confirmedSinceBatch = (request.confirmedUnits || 0) - (request.confirmedAtBatchStart || 0);
+  if (confirmedSinceBatch > 0) return false;
+
+  const current = request.escalationLevel || 0;
+  if (current >= MAX_ESCALATION_LEVEL) return false;
+
+  request.escalationLevel = current + 1;
+  return true;
+};
+
+module.exports = {
+  URGENCY_PROFILES,
+  MAX_ESCALATION_LEVEL,
+  getResponseRate,
+  calculateBatchPolicy,
+  getBatchPolicy,
+  escalateIfLagging
+};
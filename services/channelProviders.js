@@ -0,0 +1,121 @@
+const { sendSMS, sendWhatsApp, makeVoiceCall } = require('./smsService');
+const { sendEmail } = require('./emailService');
+
+const CHANNELS = ['sms', 'email', 'whatsapp', 'voice'];
+
+// Every provider implements send({ to, text, subject, variables, unsubscribeUrl }) -> { success, id, error }
+const providers = {
+  sms: {},
+  email: {},
+  whatsapp: {},
+  voice: {}
+};
+
+// Provider used for a channel when nothing is configured
+const DEFAULT_PROVIDERS = {
+  sms: 'sms-service',
+  email: 'smtp',
+  whatsapp: 'twilio',
+  voice: 'twilio'
+};
+
+const registerProvider = (channel, name, provider) => {
+  if (!CHANNELS.includes(channel)) {
+    throw new Error(`Unknown outreach channel: ${channel}`);
+  }
+  providers[channel][name] = provider;
+};
+
+// Pick the provider for a channel: OUTREACH_PROVIDER=stub switches every channel to the
+// local stub, otherwise OUTREACH_<CHANNEL>_PROVIDER (e.g. OUTREACH_EMAIL_PROVIDER) or the default.
+const getProvider = (channel) => {
+  const name = process.env.OUTREACH_PROVIDER || process.env[`OUTREACH_${channel.toUpperCase()}_PROVIDER`] || DEFAULT_PROVIDERS[channel];
+  const provider = providers[channel] && providers[channel][name];
+  if (!provider) {
+    throw new Error(`No ${channel} provider registered as "${name}"`);
+  }
+  return { name, ...provider };
+};
+
+// SMS goes through whichever provider Settings selects (see services/smsService.js)
+registerProvider('sms', 'sms-service', {
+  send: async ({ to, text }) => {
+    const result = await sendSMS(to, text);
+    return { success: result.success, id: result.sid, error: result.error };
+  }
+});
+
+registerProvider('whatsapp', 'twilio', {
+  send: async ({ to, text, variables }) => {
+    const result = await sendWhatsApp(to, text, variables);
+    return { success: result.success, id: result.sid, error: result.error };
+  }
+});
+
+registerProvider('voice', 'twilio', {
+  send: async ({ to, text }) => {
+    const result = await makeVoiceCall(to, text);
+    return { success: result.success, id: result.sid, error: result.error };
+  }
+});
+
+registerProvider('email', 'smtp', {
+  send: async ({ to, subject, text, html, unsubscribeUrl }) => {
+    try {
+      const headers = unsubscribeUrl
+        ? { 'List-Unsubscribe': `<${unsubscribeUrl}>`, 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' }
+        : undefined;
+      const info = await sendEmail({ to, subject, text, html, headers });
+      return { success: true, id: info.messageId };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+});
+
+// Test sends from every entry point land in this one in-memory outbox: the local stub
+// providers below and the mock SMS provider (services/smsProviders.js).
+const OUTBOX_LIMIT = 500;
+const outbox = [];
+
+// message: { id, channel, provider, to, subject, text, ... }
+const recordOutboxMessage = (message) => {
+  outbox.push({ ...message, at: new Date() });
+  if (outbox.length > OUTBOX_LIMIT) outbox.shift();
+};
+
+const getOutbox = (channel) => (channel ? outbox.filter(m => m.channel === channel) : outbox.slice());
+
+const clearOutbox = (channel) => {
+  const kept = channel ? outbox.filter(m => m.channel !== channel) : [];
+  outbox.splice(0, outbox.length, ...kept);
+};
+
+// Local stub: records messages in the outbox instead of sending them. Set STUB_FAIL_CHANNELS=sms,voice
+// to make those channels fail, for exercising fallbacks.
+const stubProvider = (channel) => ({
+  send: async ({ to, subject, text }) => {
+    const failing = (process.env.STUB_FAIL_CHANNELS || '').split(',').map(c => c.trim());
+    if (failing.includes(channel)) {
+      console.log(`📭 [stub:${channel}] Simulated failure sending to ${to}`);
+      return { success: false, error: `Simulated ${channel} failure` };
+    }
+
+    const id = `stub-${channel}-${Date.now()}-${outbox.length}`;
+    recordOutboxMessage({ id, channel, provider: 'stub', to, subject, text });
+
+    console.log(`📭 [stub:${channel}] To ${to}: ${text}`);
+    return { success: true, id };
+  }
+});
+
+CHANNELS.forEach(channel => registerProvider(channel, 'stub', stubProvider(channel)));
+
+module.exports = {
+  CHANNELS,
+  registerProvider,
+  getProvider,
+  recordOutboxMessage,
+  getOutbox,
+  clearOutbox
+};
@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const Donor = require('../models/Donor');
+const OptOutLedger = require('../models/OptOutLedger');
+
+const CONSENT_CHANNELS = ['sms', 'email', 'whatsapp', 'voice'];
+const CONSENT_STATUSES = ['granted', 'revoked', 'unknown'];
+// Channels that go to a phone number and so fall under DND rules
+const PHONE_CHANNELS = ['sms', 'whatsapp', 'voice'];
+
+// Unsubscribe links are HMAC-signed (not JWTs, so they can never pass as a login) and need a real
+// secret: without UNSUBSCRIBE_SECRET no links are sent and none are accepted
+const UNSUBSCRIBE_SECRET = process.env.UNSUBSCRIBE_SECRET;
+const UNSUBSCRIBE_TOKEN_TTL_DAYS = 180;
+
+// Payload: donor id (12 bytes) + channel index (1) + expiry in unix seconds (4)
+const PAYLOAD_BYTES = 17;
+const SIGNATURE_BYTES = 16;
+const TOKEN_CHANNELS = ['all', ...CONSENT_CHANNELS];
+
+const getConsentStatus = (donor, channel) =>
+  (donor.consent && donor.consent[channel] && donor.consent[channel].status) || 'unknown';
+
+// May we message this donor on this channel? Never after an opt-out; DND-registered
+// numbers only with explicit consent.
+const canContact = (donor, channel) => {
+  const status = getConsentStatus(donor, channel);
+  if (status === 'revoked') return false;
+  if (status === 'granted') return true;
+  return !(donor.dndRegistered && PHONE_CHANNELS.includes(channel));
+};
+
+// Record a consent change on one or more channels and write it to the ledger.
+// Returns the updated donor, or null if the donor does not exist.
+const setConsent = async (donorId, channels, status, { source, reason, actor } = {}) => {
+  const list = (Array.isArray(channels) ? channels : [channels]).filter(c => CONSENT_CHANNELS.includes(c));
+  if (list.length === 0 || !CONSENT_STATUSES.includes(status)) {
+    const error = new Error('Invalid consent channel or status');
+    error.status = 400;
+    throw error;
+  }
+
+  const now = new Date();
+  const set = {};
+  list.forEach(channel => {
+    set[`consent.${channel}`] = { status, source, updatedAt: now };
+  });
+
+  const donor = await Donor.findByIdAndUpdate(donorId, { $set: set }, { new: true });
+  if (!donor) return null;
+
+  if (status !== 'unknown') {
+    await OptOutLedger.insertMany(list.map(channel => ({
+      donorId: donor._id,
+      phone: donor.phone,
+      email: donor.email,
+      channel,
+      action: status === 'revoked' ? 'opt-out' : 'opt-in',
+      source,
+      reason,
+      actor,
+      at: now
+    })));
+  }
+
+  console.log(`📝 Consent for donor ${donor._id} on ${list.join(', ')} set to ${status} (${source})`);
+  return donor;
+};
+
+const sign = (payload) => crypto.createHmac('sha256', UNSUBSCRIBE_SECRET)
+  .update('unsubscribe:').update(payload).digest().subarray(0, SIGNATURE_BYTES);
+
+// Signed unsubscribe token for a donor and channel ('all' for every channel): "<payload>.<signature>", base64url
+const createUnsubscribeToken = (donorId, channel = 'all', now = new Date()) => {
+  if (!UNSUBSCRIBE_SECRET) return null;
+  const payload = Buffer.alloc(PAYLOAD_BYTES);
+  Buffer.from(String(donorId), 'hex').copy(payload, 0);
+  payload.writeUInt8(Math.max(TOKEN_CHANNELS.indexOf(channel), 0), 12);
+  payload.writeUInt32BE(Math.floor(now.getTime() / 1000) + UNSUBSCRIBE_TOKEN_TTL_DAYS * 24 * 60 * 60, 13);
+  return `${payload.toString('base64url')}.${sign(payload).toString('base64url')}`;
+};
+
+// Returns { donorId, channel } or null when the token is invalid or expired
+const verifyUnsubscribeToken = (token, now = new Date()) => {
+  if (!UNSUBSCRIBE_SECRET) return null;
+  const parts = typeof token === 'string' && token.length <= 128 ? token.split('.') : [];
+  if (parts.length !== 2) return null;
+
+  const payload = Buffer.from(parts[0], 'base64url');
+  const signature = Buffer.from(parts[1], 'base64url');
+  if (payload.length !== PAYLOAD_BYTES || signature.length !== SIGNATURE_BYTES) return null;
+  if (!crypto.timingSafeEqual(signature, sign(payload))) return null;
+
+  const channel = TOKEN_CHANNELS[payload.readUInt8(12)];
+  if (!channel || payload.readUInt32BE(13) * 1000 <= now.getTime()) return null;
+  return { donorId: payload.subarray(0, 12).toString('hex'), channel };
+};
+
+// Public unsubscribe link (needs PUBLIC_BASE_URL, the server's public address, and UNSUBSCRIBE_SECRET)
+const getUnsubscribeUrl = (donorId, channel = 'all') => {
+  if (!process.env.PUBLIC_BASE_URL || !UNSUBSCRIBE_SECRET) return null;
+  return `${process.env.PUBLIC_BASE_URL.replace(/\/$/, '')}/unsubscribe/${createUnsubscribeToken(donorId, channel)}`;
+};
+
+module.exports = {
+  CONSENT_CHANNELS,
+  CONSENT_STATUSES,
+  PHONE_CHANNELS,
+  getConsentStatus,
+  canContact,
+  setConsent,
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+  getUnsubscribeUrl
+};
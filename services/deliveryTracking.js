@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const BloodRequest = require('../models/BloodRequest');
+const OutboundMessage = require('../models/OutboundMessage');
+const { enqueue } = require('./jobQueue');
+
+// How far along each status is; receipts never move a message backwards
+const STATUS_RANK = {
+  queued: 0,
+  sent: 1,
+  delivered: 2,
+  undelivered: 3,
+  failed: 3
+};
+
+// Provider delivery states mapped onto ours. Unknown or in-flight states map to null (ignored).
+const PROVIDER_STATUSES = {
+  twilio: {
+    accepted: 'queued',
+    queued: 'queued',
+    sending: 'sent',
+    sent: 'sent',
+    delivered: 'delivered',
+    read: 'delivered',
+    undelivered: 'undelivered',
+    failed: 'failed'
+  },
+  msg91: {
+    '1': 'delivered',
+    '2': 'failed',
+    '9': 'undelivered',
+    '16': 'undelivered',
+    '17': 'failed',
+    delivrd: 'delivered',
+    delivered: 'delivered',
+    undeliv: 'undelivered',
+    failed: 'failed',
+    rejectd: 'failed'
+  },
+  textlocal: {
+    d: 'delivered',
+    u: 'undelivered',
+    i: 'failed',
+    e: 'undelivered',
+    '?': 'sent',
+    b: 'failed'
+  }
+};
+
+const normalizeDeliveryStatus = (provider, rawStatus) => {
+  if (rawStatus === undefined || rawStatus === null) return null;
+  const value = String(rawStatus).trim().toLowerCase();
+  const mapped = PROVIDER_STATUSES[provider] && PROVIDER_STATUSES[provider][value];
+  if (mapped) return mapped;
+  return STATUS_RANK[value] !== undefined ? value : null;
+};
+
+// Apply a delivery receipt to the logged message. Returns the updated message, or null when
+// the message is unknown or the receipt is stale.
+const recordDeliveryStatus = async ({ providerMessageId, status, errorCode, errorMessage }) => {
+  if (!providerMessageId || STATUS_RANK[status] === undefined) return null;
+
+  const earlier = Object.keys(STATUS_RANK).filter(s => STATUS_RANK[s] < STATUS_RANK[status]);
+  const now = new Date();
+  const set = { status, statusUpdatedAt: now };
+  if (status === 'delivered') set.deliveredAt = now;
+  if (errorCode) set.errorCode = String(errorCode);
+  if (errorMessage) set.error = errorMessage;
+
+  const message = await OutboundMessage.findOneAndUpdate(
+    { providerMessageId, status: { $in: earlier } },
+    { $set: set },
+    { new: true }
+  );
+  if (!message) return null;
+
+  if (message.requestId && ['delivered', 'undelivered', 'failed'].includes(status)) {
+    await BloodRequest.updateOne({ _id: message.requestId }, { $inc: { [`deliveryStats.${status}`]: 1 } });
+  }
+
+  // A request that never reached the donor is handled like no reply: next channel or next donor
+  if ((status === 'undelivered' || status === 'failed') && message.token && ['request', 'fallback'].includes(message.purpose)) {
+    await enqueue('undelivered-message', { requestId: String(message.requestId), messageId: String(message._id) }, {
+      idempotencyKey: `undelivered-message:${message._id}`
+    });
+  }
+
+  console.log(`📬 Message ${providerMessageId} (${message.channel}) is now ${status}`);
+  return message;
+};
+
+// Count a message the provider accepted or rejected at send time
+const countSendResult = async (requestId, success) => {
+  if (!requestId) return;
+  await BloodRequest.updateOne({ _id: requestId }, { $inc: { [`deliveryStats.${success ? 'sent' : 'failed'}`]: 1 } });
+};
+
+// Delivery breakdown for a request, by channel and status
+const getDeliveryBreakdown = async (requestId) => {
+  const rows = await OutboundMessage.aggregate([
+    { $match: { requestId: new mongoose.Types.ObjectId(String(requestId)) } },
+    { $group: { _id: { channel: '$channel', status: '$status' }, count: { $sum: 1 } } }
+  ]);
+
+  const byChannel = {};
+  rows.forEach(({ _id, count }) => {
+    byChannel[_id.channel] = byChannel[_id.channel] || {};
+    byChannel[_id.channel][_id.status] = count;
+  });
+  return byChannel;
+};
+
+module.exports = {
+  STATUS_RANK,
+  normalizeDeliveryStatus,
+  recordDeliveryStatus,
+  countSendResult,
+  getDeliveryBreakdown
+};
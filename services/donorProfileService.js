@@ -0,0 +1,225 @@
+const BloodRequest = require('../models/BloodRequest');
+const Donor = require('../models/Donor');
+const OTP = require('../models/OTP');
+const ResponseToken = require('../models/ResponseToken');
+const DonationHistory = require('../models/DonationHistory');
+const { CHANNELS } = require('./channelProviders');
+const { SUPPORTED_LANGUAGES } = require('./templateCatalog');
+const { OPEN_STATUSES, ACCEPTING_STATUSES } = require('./requestLifecycle');
+const { getResponseUrl } = require('./outreachService');
+const { getAvailability } = require('./availabilityService');
+const { renderMessage } = require('./templateService');
+const { sendSMS } = require('./smsService');
+const { generateOTP, OTP_VALID_MINUTES } = require('./emailService');
+const { isCompatible, getMatchRank } = require('../utils/bloodCompatibility');
+const { isValidTimezone } = require('../utils/timeWindow');
+const { isValidCoordinates, getDonorDistanceKm } = require('../utils/geo');
+const { normalizePhone, phoneVariants } = require('../utils/phone');
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+// Phone-change codes: wait between sends, wrong codes allowed before the code is discarded
+const PHONE_CHANGE_RESEND_SECONDS = 60;
+const PHONE_CHANGE_MAX_ATTEMPTS = 5;
+
+// Donor as shown to the donor themselves: no password, availability as it stands now
+const toDonorProfile = (donor) => {
+  const profile = typeof donor.toObject === 'function' ? donor.toObject() : { ...donor };
+  delete profile.password;
+  profile.availability = getAvailability(donor);
+  return profile;
+};
+
+// Validate contact preferences and build the $set for them. Only fields present are changed;
+// channels must be given unless partial is set.
+const buildPreferencesUpdate = ({ channels, whatsappNumber, timezone, preferredLanguage } = {}, { partial = false } = {}) => {
+  const update = {};
+
+  if (channels !== undefined || !partial) {
+    if (!Array.isArray(channels) || channels.length === 0) {
+      throw httpError(400, 'channels must be a non-empty array');
+    }
+    const unknown = channels.filter(c => !CHANNELS.includes(c));
+    if (unknown.length > 0) {
+      throw httpError(400, `Unknown channel(s): ${unknown.join(', ')}. Must be one of: ${CHANNELS.join(', ')}`);
+    }
+    update['contactPreferences.channels'] = [...new Set(channels)];
+  }
+
+  if (timezone !== undefined && !isValidTimezone(timezone)) {
+    throw httpError(400, `Unknown timezone: ${timezone}`);
+  }
+  if (preferredLanguage !== undefined && !SUPPORTED_LANGUAGES[preferredLanguage]) {
+    throw httpError(400, `Unsupported language. Must be one of: ${Object.keys(SUPPORTED_LANGUAGES).join(', ')}`);
+  }
+
+  if (whatsappNumber !== undefined) update['contactPreferences.whatsappNumber'] = whatsappNumber;
+  // Quiet hours are applied in the donor's local time
+  if (timezone !== undefined) update.timezone = timezone;
+  if (preferredLanguage !== undefined) update.preferredLanguage = preferredLanguage;
+  return update;
+};
+
+// Profile fields a donor may change themselves. Blood group, email and medical
+// deferrals stay with admins; the phone number changes only through a code sent to
+// the new number (requestPhoneChange / confirmPhoneChange).
+const buildProfileUpdate = ({ name, phone, sex, dateOfBirth, weightKg, homeLocation } = {}) => {
+  const update = {};
+
+  if (name !== undefined) {
+    if (!String(name).trim()) throw httpError(400, 'name cannot be empty');
+    update.name = String(name).trim();
+  }
+  if (phone !== undefined) {
+    throw httpError(400, 'To change your phone number, request a code at POST /donor-portal/me/phone');
+  }
+  if (sex !== undefined) {
+    if (!['male', 'female', 'other'].includes(sex)) throw httpError(400, 'sex must be male, female or other');
+    update.sex = sex;
+  }
+  if (dateOfBirth !== undefined) {
+    const dob = new Date(dateOfBirth);
+    if (isNaN(dob.getTime()) || dob > new Date()) throw httpError(400, 'Invalid dateOfBirth');
+    update.dateOfBirth = dob;
+  }
+  if (weightKg !== undefined) {
+    const weight = Number(weightKg);
+    if (!Number.isFinite(weight) || weight <= 0) throw httpError(400, 'weightKg must be a positive number');
+    update.weightKg = weight;
+  }
+  if (homeLocation !== undefined) {
+    const lat = homeLocation && Number(homeLocation.lat);
+    const lng = homeLocation && Number(homeLocation.lng);
+    if (!isValidCoordinates(lat, lng)) throw httpError(400, 'homeLocation needs valid lat and lng');
+    update.homeLocation = { lat, lng };
+  }
+
+  if (Object.keys(update).length === 0) throw httpError(400, 'Nothing to update');
+  return update;
+};
+
+// The phone number logs donors in and matches their SMS replies, so no two donors may share one
+const ensurePhoneAvailable = async (donor, phone) => {
+  const taken = await Donor.exists({ _id: { $ne: donor._id }, phone: { $in: phoneVariants(phone) } });
+  if (taken) throw httpError(409, 'This phone number is already registered to another donor');
+};
+
+// Send a code to the number the donor wants to switch to. Returns the normalized number.
+const requestPhoneChange = async (donor, phone) => {
+  const normalized = normalizePhone(phone);
+  if (!normalized) throw httpError(400, 'Invalid phone number');
+  if (phoneVariants(normalized).includes(donor.phone)) throw httpError(400, 'This is already your phone number');
+  await ensurePhoneAvailable(donor, normalized);
+
+  const recent = await OTP.findOne({
+    email: donor.email,
+    type: 'phone-change',
+    createdAt: { $gt: new Date(Date.now() - PHONE_CHANGE_RESEND_SECONDS * 1000) }
+  });
+  if (recent) throw httpError(429, `Please wait ${PHONE_CHANGE_RESEND_SECONDS} seconds before requesting another code.`);
+
+  const otp = generateOTP();
+  await OTP.deleteMany({ email: donor.email, type: 'phone-change' });
+  await OTP.create({ email: donor.email, otp, type: 'phone-change', phone: normalized });
+
+  const message = await renderMessage(
+    'otp-phone-change',
+    'sms',
+    { name: donor.name, otp, validMinutes: OTP_VALID_MINUTES },
+    { language: donor.preferredLanguage }
+  );
+  const result = await sendSMS(normalized, message.text);
+  if (!result.success) {
+    await OTP.deleteMany({ email: donor.email, type: 'phone-change' });
+    throw httpError(502, 'Failed to send the confirmation code. Please try again.');
+  }
+  return normalized;
+};
+
+// Switch the donor to the new number once they enter the code sent to it
+const confirmPhoneChange = async (donor, otp) => {
+  const otpRecord = await OTP.findOne({ email: donor.email, type: 'phone-change' });
+  if (!otpRecord || !otpRecord.phone) throw httpError(400, 'Code expired or invalid. Please request a new one.');
+
+  if (otpRecord.otp !== String(otp).trim()) {
+    otpRecord.attempts += 1;
+    if (otpRecord.attempts >= PHONE_CHANGE_MAX_ATTEMPTS) {
+      await OTP.deleteMany({ email: donor.email, type: 'phone-change' });
+      throw httpError(400, 'Too many wrong codes. Please request a new one.');
+    }
+    await otpRecord.save();
+    throw httpError(400, 'Invalid code. Please check and try again.');
+  }
+
+  // Someone may have registered the number while the code was on its way
+  await ensurePhoneAvailable(donor, otpRecord.phone);
+  await OTP.deleteMany({ email: donor.email, type: 'phone-change' });
+  donor.phone = otpRecord.phone;
+  return donor.save();
+};
+
+// Donation records for a donor. Older records store the uniqueId rather than the _id.
+const getDonationHistory = async (donor) => {
+  const ids = [String(donor._id)];
+  if (donor.uniqueId) ids.push(donor.uniqueId);
+  return DonationHistory.find({ donorId: { $in: ids } })
+    .populate('hospitalId', 'name address phone')
+    .sort({ completedAt: -1, createdAt: -1 })
+    .lean();
+};
+
+// Open requests the donor's blood group can serve, best match first, with the
+// donor's own part in each (contacted, answer) and the distance to the hospital
+const getMatchingRequests = async (donor) => {
+  const requests = await BloodRequest.find({ status: { $in: OPEN_STATUSES } })
+    .select('hospitalId bloodGroup matchMode quantity confirmedUnits urgency requiredBy status notifiedDonors createdAt')
+    .populate('hospitalId', 'name address phone location')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const matching = requests.filter(request => isCompatible(donor.bloodGroup, request.bloodGroup, request.matchMode));
+  if (matching.length === 0) return [];
+
+  const tokens = await ResponseToken.find({
+    donorId: donor._id,
+    requestId: { $in: matching.map(r => r._id) }
+  }).select('token requestId response respondedAt revokedAt').lean();
+  const tokenFor = new Map(tokens.map(t => [String(t.requestId), t]));
+
+  return matching
+    .map(request => {
+      const token = tokenFor.get(String(request._id));
+      const hospital = request.hospitalId || {};
+      return {
+        requestId: request._id,
+        hospital: { name: hospital.name, address: hospital.address, phone: hospital.phone },
+        bloodGroup: request.bloodGroup,
+        exactMatch: request.bloodGroup === donor.bloodGroup,
+        quantity: request.quantity,
+        unitsStillNeeded: Math.max(0, (request.quantity || 0) - (request.confirmedUnits || 0)),
+        urgency: request.urgency,
+        requiredBy: request.requiredBy,
+        status: request.status,
+        acceptingResponses: ACCEPTING_STATUSES.includes(request.status),
+        distanceKm: getDonorDistanceKm(hospital, donor),
+        contacted: (request.notifiedDonors || []).some(id => String(id) === String(donor._id)),
+        response: token ? token.response || null : null,
+        respondedAt: token ? token.respondedAt || null : null,
+        // The donor's own link when we contacted them, so answering from the portal can pledge
+        responseUrl: getResponseUrl(request, token && !token.revokedAt ? token.token : null),
+        rank: getMatchRank(donor.bloodGroup, request.bloodGroup)
+      };
+    })
+    .sort((a, b) => a.rank - b.rank)
+    .map(({ rank, ...request }) => request);
+};
+
+module.exports = {
+  toDonorProfile,
+  buildPreferencesUpdate,
+  buildProfileUpdate,
+  requestPhoneChange,
+  confirmPhoneChange,
+  getDonationHistory,
+  getMatchingRequests
+};
@@ -0,0 +1,301 @@
+const mongoose = require('mongoose');
+const Donor = require('../models/Donor');
+const ResponseToken = require('../models/ResponseToken');
+const DonorResponse = require('../models/DonorLocationResponse');
+const BloodRequest = require('../models/BloodRequest');
+const { ACCEPTING_STATUSES, TERMINAL_STATUSES } = require('./requestLifecycle');
+const { pledgeUnit, updateUnitStatus } = require('./unitService');
+const { expireIfOverdue } = require('./requestExpiry');
+const { recordContactOutcome } = require('./fatigueService');
+const { enqueue } = require('./jobQueue');
+const { saveDonorLocation } = require('./locationService');
+const { isValidCoordinates } = require('../utils/geo');
+const { phoneVariants } = require('../utils/phone');
+
+// How an answer reached us: response link, SMS reply, the location page without a link, or staff on the donor's behalf
+const RESPONSE_CHANNELS = ['link', 'sms', 'web', 'staff'];
+
+const responseError = (status, message, code) => Object.assign(new Error(message), { status, code });
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Coordinates sent as lat/lng or latitude/longitude. Returns null when none were sent
+// (unless required); partial or out-of-range coordinates are refused.
+const parseCoordinates = ({ lat, lng, latitude, longitude, accuracy } = {}, { required = false } = {}) => {
+  const rawLat = isBlank(latitude) ? lat : latitude;
+  const rawLng = isBlank(longitude) ? lng : longitude;
+  if (isBlank(rawLat) && isBlank(rawLng)) {
+    if (required) throw responseError(400, 'Location is required: lat and lng (or latitude and longitude)', 'INVALID_LOCATION');
+    return null;
+  }
+
+  const coordinates = { latitude: parseFloat(rawLat), longitude: parseFloat(rawLng) };
+  if (!isValidCoordinates(coordinates.latitude, coordinates.longitude)) {
+    throw responseError(400, 'Invalid coordinates', 'INVALID_LOCATION');
+  }
+  const meters = Number(accuracy);
+  coordinates.accuracy = Number.isFinite(meters) && meters >= 0 ? meters : 0;
+  return coordinates;
+};
+
+// The donor a response is for, by _id, uniqueId or phone number
+const resolveDonor = async ({ donorId, phone } = {}) => {
+  if (!isBlank(donorId)) {
+    const id = String(donorId).trim();
+    const donor = (mongoose.Types.ObjectId.isValid(id) && await Donor.findById(id)) ||
+      await Donor.findOne({ uniqueId: id });
+    if (donor) return donor;
+  }
+  const variants = isBlank(phone) ? [] : phoneVariants(phone);
+  return variants.length > 0 ? Donor.findOne({ phone: { $in: variants } }) : null;
+};
+
+const alreadyRespondedError = (previous) =>
+  responseError(409, `You have already ${previous} this request`, 'ALREADY_RESPONDED');
+
+const closedError = (request) => responseError(400,
+  request.status === 'expired'
+    ? 'Blood request has expired.'
+    : 'Blood request already fulfilled or closed. Thank you for your willingness!',
+  'REQUEST_CLOSED');
+
+// Details asked for with each answer; decline reasons are reported in analytics
+const RESPONSE_ANSWERS = ['accepted', 'declined', 'later'];
+const DECLINE_REASONS = {
+  'not-well': 'Not feeling well',
+  'recently-donated': 'Donated recently',
+  medication: 'On medication',
+  'too-far': 'Too far away',
+  'no-transport': 'No transport',
+  busy: 'Busy at work or home',
+  travelling: 'Travelling',
+  // Set when a donor marks themselves unavailable from an unanswered link
+  unavailable: 'Marked unavailable',
+  other: 'Other'
+};
+// Answers that mean the donor is not coming for this batch
+const NOT_COMING_ANSWERS = ['declined', 'later'];
+const MAX_ETA_MINUTES = 24 * 60;
+
+// Validate what goes with an answer: an optional ETA for a yes, an optional reason for a
+// no, and for "later" the time the donor can come, before the blood is needed by.
+// Returns the fields to store; those that do not apply to the answer are cleared.
+const parseResponseDetails = (answer, { etaMinutes, declineReason, declineNote, availableAt } = {}, request, now = new Date()) => {
+  if (!RESPONSE_ANSWERS.includes(answer)) {
+    throw responseError(400, `response must be one of: ${RESPONSE_ANSWERS.join(', ')}`, 'INVALID_RESPONSE');
+  }
+  const fields = { etaMinutes: null, eta: null, declineReason: null, declineNote: null, availableAt: null };
+
+  if (answer === 'accepted' && !isBlank(etaMinutes)) {
+    const minutes = Number(etaMinutes);
+    if (!Number.isInteger(minutes) || minutes < 0 || minutes > MAX_ETA_MINUTES) {
+      throw responseError(400, `etaMinutes must be a whole number from 0 to ${MAX_ETA_MINUTES}`, 'INVALID_RESPONSE');
+    }
+    fields.etaMinutes = minutes;
+    fields.eta = new Date(now.getTime() + minutes * 60 * 1000);
+  }
+
+  if (answer === 'declined') {
+    if (!isBlank(declineReason) && !DECLINE_REASONS[declineReason]) {
+      throw responseError(400, `declineReason must be one of: ${Object.keys(DECLINE_REASONS).join(', ')}`, 'INVALID_RESPONSE');
+    }
+    fields.declineReason = isBlank(declineReason) ? null : declineReason;
+    fields.declineNote = isBlank(declineNote) ? null : String(declineNote).trim().slice(0, 200);
+  }
+
+  if (answer === 'later') {
+    const at = isBlank(availableAt) ? null : new Date(availableAt);
+    if (!at || isNaN(at.getTime())) {
+      throw responseError(400, 'availableAt (a date and time) is required when answering later', 'INVALID_RESPONSE');
+    }
+    if (at <= now) throw responseError(400, 'availableAt must be in the future', 'INVALID_RESPONSE');
+    if (request.requiredBy && at >= new Date(request.requiredBy)) {
+      throw responseError(400, `availableAt must be before the blood is needed by (${new Date(request.requiredBy).toISOString()})`, 'INVALID_RESPONSE');
+    }
+    fields.availableAt = at;
+  }
+  return fields;
+};
+
+// Every donor in the batch has said no (or could not be reached): close its response
+// window now rather than waiting it out. Returns true when the next batch was queued.
+const closeBatchIfAllDeclined = async (request, batchNumber) => {
+  const current = await BloodRequest.findById(request._id).select('batchNumber batchInProgress');
+  if (!current || !current.batchInProgress || current.batchNumber !== batchNumber) return false;
+
+  const tokens = await ResponseToken.find({ requestId: request._id, batchNumber, revokedAt: null })
+    .select('response undeliveredAt');
+  const notComing = (t) => NOT_COMING_ANSWERS.includes(t.response) || (!t.response && t.undeliveredAt);
+  if (tokens.length === 0 || !tokens.every(notComing)) return false;
+
+  // Same job the window's end would run; whichever comes second finds the batch already moved on
+  await enqueue('dispatch-batch', { requestId: String(request._id), batchNumber: batchNumber + 1 }, {
+    idempotencyKey: `dispatch-batch:${request._id}:${batchNumber + 1}:all-declined`
+  });
+  console.log(`⏩ Every donor in batch ${batchNumber} of request ${request._id} declined; moving to the next batch`);
+  return true;
+};
+
+// Record a donor's answer to a request: accepted (with an ETA), declined (with a reason)
+// or later (can't come now, available at a given time). Every entry point comes through
+// here so the checks, the unit pledge and the records written are the same however the
+// answer arrives. Answering again the same way only refreshes the location; a "later"
+// may be followed by a yes or no, but a yes or no is final.
+// Returns { response, location, pledge, request, duplicate }.
+const recordDonorResponse = async ({
+  request,
+  donor,
+  token = null,
+  answer = 'accepted',
+  details = {},
+  coordinates = null,
+  address,
+  via,
+  actor,
+  reason
+} = {}) => {
+  if (!RESPONSE_CHANNELS.includes(via)) throw new Error(`Unknown response channel: ${via}`);
+  if (!donor) throw responseError(404, 'Donor not found', 'DONOR_NOT_FOUND');
+  request = await expireIfOverdue(request);
+  if (!request) throw responseError(404, 'Blood request not found', 'REQUEST_NOT_FOUND');
+  const now = new Date();
+  const answerFields = parseResponseDetails(answer, details, request, now);
+
+  if (token && (!token.donorId.equals(donor._id) || !token.requestId.equals(request._id))) {
+    throw responseError(403, 'This response link was sent to a different donor', 'TOKEN_MISMATCH');
+  }
+  // Answering without the link still answers the link we sent, if any
+  const responseToken = token || await ResponseToken.findOne({
+    requestId: request._id,
+    donorId: donor._id,
+    revokedAt: null
+  }).sort({ createdAt: -1 });
+
+  const existing = await DonorResponse.findOne({ requestId: request._id, donorId: donor._id });
+  const previous = existing
+    ? existing.response || (existing.isAvailable ? 'accepted' : 'declined')
+    : (responseToken && responseToken.response) || null;
+  if (previous && previous !== answer && previous !== 'later') {
+    throw alreadyRespondedError(previous);
+  }
+  let duplicate = previous === answer;
+
+  // A repeat answer may refresh its location until the request closes; a new one needs a request still taking donors
+  const open = duplicate ? !TERMINAL_STATUSES.includes(request.status) : ACCEPTING_STATUSES.includes(request.status);
+  if (!open) throw closedError(request);
+
+  const donorActor = actor || { role: 'donor', id: String(donor._id), name: donor.name };
+  const accepted = answer === 'accepted';
+
+  // Counts against the request only while units are still needed, and once per donor: the unit
+  // indexes let one of two concurrent accepts (say a link click and an SMS YES) pledge
+  let pledge = null;
+  if (accepted) {
+    pledge = await pledgeUnit(request._id, {
+      donorId: donor._id,
+      donorName: donor.name,
+      token: responseToken ? responseToken.token : undefined,
+      actor: donorActor,
+      reason: reason || `Donor accepted (${via})`
+    });
+    if (!pledge) throw closedError(request);
+  }
+
+  const fields = { response: answer, isAvailable: accepted, respondedVia: via, ...answerFields };
+  if (responseToken) fields.token = responseToken.token;
+  if (pledge) fields.unitId = pledge.unit._id;
+  if (coordinates) Object.assign(fields, coordinates);
+  if (address) fields.address = address;
+
+  // A new answer claims the donor's response record: it only matches the "later" answer it
+  // replaces, or (through the unique index) inserts where there was none. Losing to a
+  // concurrent answer leaves it to that one.
+  let response = null;
+  if (!duplicate) {
+    try {
+      response = await DonorResponse.findOneAndUpdate(
+        { requestId: request._id, donorId: donor._id, response: existing ? 'later' : null },
+        { $set: fields },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      const winner = await DonorResponse.findOne({ requestId: request._id, donorId: donor._id });
+      if (!winner) throw error;
+      if (winner.response !== answer) {
+        // The other answer stands; let go of a pledge made for this one
+        if (pledge && pledge.created) {
+          await updateUnitStatus(pledge.unit, 'released', { actor: donorActor, reason: `Donor already ${winner.response}` });
+        }
+        throw alreadyRespondedError(winner.response);
+      }
+      duplicate = true;
+    }
+  }
+  if (duplicate) {
+    response = await DonorResponse.findOneAndUpdate(
+      { requestId: request._id, donorId: donor._id },
+      { $set: fields },
+      { upsert: true, new: true }
+    );
+  }
+
+  if (!duplicate) {
+    let changed = true;
+    if (responseToken && (!responseToken.isUsed || responseToken.response === 'later')) {
+      const marked = await ResponseToken.updateOne(
+        { _id: responseToken._id, $or: [{ isUsed: false }, { response: 'later' }] },
+        { $set: { isUsed: true, response: answer, respondedAt: now, respondedVia: via } }
+      );
+      changed = marked.modifiedCount > 0;
+    }
+
+    if (changed) {
+      await recordContactOutcome(donor._id, request._id, answer);
+      if (answer === 'declined') {
+        await BloodRequest.updateOne({ _id: request._id }, { $inc: { declinedCount: 1 } });
+      }
+      // Only a first answer from a contacted donor moves the batch on: all of it if everyone
+      // has now said no, otherwise the next queued donor takes this one's place
+      if (!accepted && !previous && responseToken) {
+        const advanced = await closeBatchIfAllDeclined(request, responseToken.batchNumber);
+        if (!advanced) {
+          await enqueue('replace-donor', { requestId: String(request._id) }, { idempotencyKey: `replace-donor:${responseToken.token}` });
+        }
+      }
+    }
+  }
+
+  // Ask a "later" donor again at the time they gave (a changed time replaces the earlier follow-up)
+  if (answer === 'later') {
+    const availableAt = answerFields.availableAt;
+    await enqueue('later-followup', { requestId: String(request._id), donorId: String(donor._id), availableAt }, {
+      runAt: availableAt,
+      idempotencyKey: `later-followup:${request._id}:${donor._id}:${availableAt.getTime()}`
+    });
+  }
+
+  let location = null;
+  if (coordinates) {
+    const fields = {
+      address: address || `${donor.name} - Current Location`,
+      isAvailable: accepted,
+      responseTime: response.responseTime
+    };
+    if (responseToken) fields.token = responseToken.token;
+    location = await saveDonorLocation({ request, donor, coordinates, source: via, fields });
+  }
+
+  console.log(`📝 ${donor.name} ${duplicate ? 'repeated' : 'recorded'} ${answer} for request ${request._id} via ${via}${coordinates ? ' with location' : ''}`);
+  return { response, location, pledge, request: pledge ? pledge.request : request, duplicate };
+};
+
+module.exports = {
+  RESPONSE_CHANNELS,
+  RESPONSE_ANSWERS,
+  DECLINE_REASONS,
+  parseResponseDetails,
+  parseCoordinates,
+  resolveDonor,
+  recordDonorResponse
+};
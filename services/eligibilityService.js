@@ -0,0 +1,157 @@
+const Settings = require('../models/Settings');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Used when settings are missing a value or cannot be loaded
+const DEFAULT_RULES = {
+  deferralDaysMale: 90,
+  deferralDaysFemale: 120,
+  deferralDaysDefault: 90,
+  minAge: 18,
+  maxAge: 65,
+  minWeightKg: 45
+};
+
+// Load the configurable eligibility rules from settings
+const getEligibilityRules = async () => {
+  try {
+    const settings = await Settings.getSettings();
+    const configured = settings.eligibilityRules ? settings.eligibilityRules.toObject() : {};
+    const rules = { ...DEFAULT_RULES };
+    Object.keys(DEFAULT_RULES).forEach(key => {
+      if (typeof configured[key] === 'number') rules[key] = configured[key];
+    });
+    return rules;
+  } catch (error) {
+    console.error('Error loading eligibility rules, using defaults:', error.message);
+    return { ...DEFAULT_RULES };
+  }
+};
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Whole years between date of birth and now
+const getAge = (dateOfBirth, now) => {
+  const dob = new Date(dateOfBirth);
+  let age = now.getFullYear() - dob.getFullYear();
+  const birthdayPassed = now.getMonth() > dob.getMonth() ||
+    (now.getMonth() === dob.getMonth() && now.getDate() >= dob.getDate());
+  if (!birthdayPassed) age--;
+  return age;
+};
+
+// Days a donor must wait between donations, by sex
+const getDeferralDays = (donor, rules) => {
+  if (donor.sex === 'male') return rules.deferralDaysMale;
+  if (donor.sex === 'female') return rules.deferralDaysFemale;
+  return rules.deferralDaysDefault;
+};
+
+// An admin override applies until it expires
+const getActiveOverride = (donor, now) => {
+  const override = donor.eligibility && donor.eligibility.override;
+  if (!override || !override.status) return null;
+  if (override.expiresAt && new Date(override.expiresAt) <= now) return null;
+  return override;
+};
+
+// Evaluate a donor against the rules without saving anything.
+// Missing profile data (no date of birth, weight or sex) never excludes a donor.
+const evaluateEligibility = (donor, rules = DEFAULT_RULES, now = new Date()) => {
+  const reasons = [];
+  let permanent = false;
+  let nextEligibleDate = null;
+  const deferUntil = (date) => {
+    if (!nextEligibleDate || date > nextEligibleDate) nextEligibleDate = date;
+  };
+
+  // Interval since last donation (differs by sex)
+  if (donor.lastDonationDate) {
+    const days = getDeferralDays(donor, rules);
+    const eligibleFrom = new Date(new Date(donor.lastDonationDate).getTime() + days * DAY_MS);
+    if (eligibleFrom > now) {
+      reasons.push(`Donated on ${formatDate(donor.lastDonationDate)}; ${days}-day interval runs until ${formatDate(eligibleFrom)}`);
+      deferUntil(eligibleFrom);
+    }
+  }
+
+  // Age limits
+  if (donor.dateOfBirth) {
+    const age = getAge(donor.dateOfBirth, now);
+    if (age < rules.minAge) {
+      const eligibleFrom = new Date(donor.dateOfBirth);
+      eligibleFrom.setFullYear(eligibleFrom.getFullYear() + rules.minAge);
+      reasons.push(`Age ${age} is below the minimum of ${rules.minAge}`);
+      deferUntil(eligibleFrom);
+    } else if (age > rules.maxAge) {
+      reasons.push(`Age ${age} is above the maximum of ${rules.maxAge}`);
+      permanent = true;
+    }
+  }
+
+  // Weight limit
+  if (typeof donor.weightKg === 'number' && donor.weightKg < rules.minWeightKg) {
+    reasons.push(`Weight ${donor.weightKg} kg is below the minimum of ${rules.minWeightKg} kg`);
+  }
+
+  // Recorded medical deferrals
+  (donor.deferrals || []).forEach(deferral => {
+    const details = deferral.notes ? ` (${deferral.notes})` : '';
+    if (deferral.kind === 'permanent') {
+      reasons.push(`Permanent deferral: ${deferral.reason}${details}`);
+      permanent = true;
+      return;
+    }
+    const started = !deferral.startDate || new Date(deferral.startDate) <= now;
+    const ended = deferral.endDate && new Date(deferral.endDate) <= now;
+    if (started && !ended) {
+      reasons.push(`Temporary deferral: ${deferral.reason}${details}${deferral.endDate ? ` until ${formatDate(deferral.endDate)}` : ''}`);
+      if (deferral.endDate) deferUntil(new Date(deferral.endDate));
+    }
+  });
+
+  let status = 'eligible';
+  if (permanent) status = 'permanently-deferred';
+  else if (reasons.length > 0) status = 'temporarily-deferred';
+
+  let eligible = status === 'eligible';
+  const override = getActiveOverride(donor, now);
+  if (override) {
+    eligible = override.status === 'eligible';
+    reasons.push(`Admin override (${override.status})${override.reason ? `: ${override.reason}` : ''}`);
+  }
+
+  return {
+    eligible,
+    status,
+    reasons,
+    nextEligibleDate: permanent ? null : nextEligibleDate,
+    overridden: !!override
+  };
+};
+
+// Copy an evaluation onto the donor's stored eligibility, leaving any override in place
+const applyEligibility = (donor, result, now = new Date()) => {
+  donor.set('eligibility.status', result.status);
+  donor.set('eligibility.reasons', result.reasons);
+  donor.set('eligibility.nextEligibleDate', result.nextEligibleDate);
+  donor.set('eligibility.evaluatedAt', now);
+  return donor;
+};
+
+// Re-evaluate and save a single donor
+const refreshDonorEligibility = async (donor, rules = null) => {
+  const activeRules = rules || await getEligibilityRules();
+  const result = evaluateEligibility(donor, activeRules);
+  applyEligibility(donor, result);
+  await donor.save();
+  return result;
+};
+
+module.exports = {
+  DEFAULT_RULES,
+  getEligibilityRules,
+  evaluateEligibility,
+  applyEligibility,
+  refreshDonorEligibility
+};
@@ -0,0 +1,176 @@
+const Settings = require('../models/Settings');
+const ContactAttempt = require('../models/ContactAttempt');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Used when settings are missing a value or cannot be loaded
+const DEFAULT_LIMITS = {
+  maxContactsPerDay: 2,
+  maxContactsPerWeek: 5,
+  declineCooldownHours: 24,
+  nonResponseLimit: 3,
+  nonResponseCooldownHours: 72
+};
+
+// A pending attempt this old was never answered, even if its batch window was never closed
+const STALE_PENDING_HOURS = 24;
+
+// Load the configurable fatigue limits from settings
+const getFatigueLimits = async () => {
+  try {
+    const settings = await Settings.getSettings();
+    const configured = settings.fatigueLimits ? settings.fatigueLimits.toObject() : {};
+    const limits = { ...DEFAULT_LIMITS };
+    Object.keys(DEFAULT_LIMITS).forEach(key => {
+      if (typeof configured[key] === 'number') limits[key] = configured[key];
+    });
+    return limits;
+  } catch (error) {
+    console.error('Error loading fatigue limits, using defaults:', error.message);
+    return { ...DEFAULT_LIMITS };
+  }
+};
+
+// How far back evaluateFatigue needs to look
+const getLookbackMs = (limits) => Math.max(
+  7 * DAY_MS,
+  limits.declineCooldownHours * HOUR_MS,
+  limits.nonResponseCooldownHours * HOUR_MS
+);
+
+const isNoResponse = (attempt, now) =>
+  attempt.outcome === 'no-response' ||
+  (attempt.outcome === 'pending' && now - new Date(attempt.contactedAt).getTime() > STALE_PENDING_HOURS * HOUR_MS);
+
+// Work out whether a donor has been contacted too much. attempts are the donor's recent
+// ContactAttempts, newest first. Pure function so queue building and the admin view agree.
+const evaluateFatigue = (attempts, limits, now = new Date()) => {
+  const nowMs = now.getTime();
+  const reasons = [];
+  let until = null;
+  const extend = (date) => { if (!until || date > until) until = date; };
+
+  // Contact caps: fatigued until the oldest contact in the period rolls out of it
+  const caps = [
+    { max: limits.maxContactsPerDay, periodMs: DAY_MS, label: 'in the last 24 hours' },
+    { max: limits.maxContactsPerWeek, periodMs: 7 * DAY_MS, label: 'in the last 7 days' }
+  ];
+  caps.forEach(({ max, periodMs, label }) => {
+    if (!max || max <= 0) return;
+    const inPeriod = attempts.filter(a => nowMs - new Date(a.contactedAt).getTime() < periodMs);
+    if (inPeriod.length >= max) {
+      reasons.push(`contacted ${inPeriod.length} times ${label} (limit ${max})`);
+      extend(new Date(new Date(inPeriod[max - 1].contactedAt).getTime() + periodMs));
+    }
+  });
+
+  // Cooldown after a decline
+  const lastDecline = attempts.find(a => a.outcome === 'declined');
+  if (lastDecline && limits.declineCooldownHours > 0) {
+    const declinedAt = new Date(lastDecline.outcomeAt || lastDecline.contactedAt);
+    const endsAt = new Date(declinedAt.getTime() + limits.declineCooldownHours * HOUR_MS);
+    if (endsAt > now) {
+      reasons.push(`declined a request ${Math.round((nowMs - declinedAt.getTime()) / HOUR_MS)}h ago`);
+      extend(endsAt);
+    }
+  }
+
+  // Longer cooldown after several unanswered requests in a row (undelivered ones do not count either way)
+  const answered = attempts.filter(a => a.outcome !== 'undelivered' && !(a.outcome === 'pending' && !isNoResponse(a, nowMs)));
+  let streak = 0;
+  while (streak < answered.length && isNoResponse(answered[streak], nowMs)) streak++;
+  if (limits.nonResponseLimit > 0 && streak >= limits.nonResponseLimit) {
+    const endsAt = new Date(new Date(answered[0].contactedAt).getTime() + limits.nonResponseCooldownHours * HOUR_MS);
+    if (endsAt > now) {
+      reasons.push(`did not answer the last ${streak} requests`);
+      extend(endsAt);
+    }
+  }
+
+  return { fatigued: reasons.length > 0, reasons, until };
+};
+
+// Fatigue for many donors at once: Map of donorId string -> evaluateFatigue result
+const getFatigueMap = async (donorIds, limits, now = new Date()) => {
+  const activeLimits = limits || await getFatigueLimits();
+  const since = new Date(now.getTime() - getLookbackMs(activeLimits));
+  const attempts = await ContactAttempt.find({ donorId: { $in: donorIds }, contactedAt: { $gte: since } })
+    .sort({ contactedAt: -1 })
+    .lean();
+
+  const byDonor = new Map();
+  attempts.forEach(attempt => {
+    const key = attempt.donorId.toString();
+    if (!byDonor.has(key)) byDonor.set(key, []);
+    byDonor.get(key).push(attempt);
+  });
+
+  const result = new Map();
+  donorIds.forEach(id => {
+    const key = id.toString();
+    result.set(key, evaluateFatigue(byDonor.get(key) || [], activeLimits, now));
+  });
+  return result;
+};
+
+// Record that a donor was contacted for a request. Fallbacks and reminders for the
+// same request are not extra contacts.
+const recordContact = async ({ donorId, requestId, batchNumber, channel }) => {
+  try {
+    await ContactAttempt.updateOne(
+      { donorId, requestId },
+      { $setOnInsert: { batchNumber, channel, contactedAt: new Date(), outcome: 'pending' } },
+      { upsert: true }
+    );
+  } catch (error) {
+    if (error.code !== 11000) console.error('Failed to record contact attempt:', error.message);
+  }
+};
+
+// Record how a donor answered (accepted/declined/later/undelivered). Only pending attempts
+// change, and "later" ones once the donor gives their final answer.
+const recordContactOutcome = async (donorId, requestId, outcome) => {
+  try {
+    await ContactAttempt.updateOne(
+      { donorId, requestId, outcome: { $in: ['pending', 'later'] } },
+      { $set: { outcome, outcomeAt: new Date() } }
+    );
+  } catch (error) {
+    console.error('Failed to record contact outcome:', error.message);
+  }
+};
+
+// A batch window closed: everyone still pending in it did not respond
+const closeBatchAttempts = async (requestId, batchNumber) => {
+  const result = await ContactAttempt.updateMany(
+    { requestId, batchNumber, outcome: 'pending' },
+    { $set: { outcome: 'no-response', outcomeAt: new Date() } }
+  );
+  return result.modifiedCount || 0;
+};
+
+// Admin view: a donor's contacts, newest first, with their current fatigue
+const getContactHistory = async (donorId, { limit = 50 } = {}) => {
+  const limits = await getFatigueLimits();
+  const history = await ContactAttempt.find({ donorId })
+    .sort({ contactedAt: -1 })
+    .limit(limit)
+    .populate('requestId', 'bloodGroup urgency status hospitalId createdAt')
+    .lean();
+
+  const since = Date.now() - getLookbackMs(limits);
+  const recent = history.filter(a => new Date(a.contactedAt).getTime() >= since);
+  return { limits, fatigue: evaluateFatigue(recent, limits), history };
+};
+
+module.exports = {
+  DEFAULT_LIMITS,
+  getFatigueLimits,
+  evaluateFatigue,
+  getFatigueMap,
+  recordContact,
+  recordContactOutcome,
+  closeBatchAttempts,
+  getContactHistory
+};
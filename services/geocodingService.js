@@ -0,0 +1,77 @@
+const { isValidCoordinates } = require('../utils/geo');
+
+// Nominatim-compatible search endpoint (override with a self-hosted or paid geocoder)
+const GEOCODING_URL = process.env.GEOCODING_URL || 'https://nominatim.openstreetmap.org/search';
+
+// Geocode a free-text address to { lat, lng }, or null when it cannot be resolved
+const geocodeAddress = async (address) => {
+  if (!address || !address.trim()) return null;
+
+  try {
+    const url = `${GEOCODING_URL}?format=json&limit=1&q=${encodeURIComponent(address.trim())}`;
+    const response = await fetch(url, {
+      headers: { 'User-Agent': 'RaktMap/1.0 (blood donation tracking)' }
+    });
+
+    if (!response.ok) {
+      throw new Error(`Geocoder responded with ${response.status}`);
+    }
+
+    const results = await response.json();
+    if (!Array.isArray(results) || results.length === 0) {
+      console.log(`⚠️ No geocoding result for address: ${address}`);
+      return null;
+    }
+
+    const lat = parseFloat(results[0].lat);
+    const lng = parseFloat(results[0].lon);
+    if (!isValidCoordinates(lat, lng)) return null;
+
+    console.log(`📍 Geocoded "${address}" -> ${lat}, ${lng}`);
+    return { lat, lng };
+  } catch (error) {
+    console.error('❌ Error geocoding address:', error.message);
+    return null;
+  }
+};
+
+// Work out the location to store for a hospital from an update payload.
+// Explicit coordinates win; otherwise a changed address is geocoded, and an address that
+// cannot be geocoded clears the coordinates (source 'unresolved').
+// Returns undefined when the location should be left untouched.
+const resolveHospitalLocation = async (data, existingHospital = null) => {
+  const source = data.location || data;
+  const lat = source.lat !== undefined ? parseFloat(source.lat) : undefined;
+  const lng = source.lng !== undefined ? parseFloat(source.lng) : undefined;
+
+  if (lat !== undefined || lng !== undefined) {
+    if (!isValidCoordinates(lat, lng)) {
+      const error = new Error('Invalid hospital coordinates');
+      error.status = 400;
+      throw error;
+    }
+    return { lat, lng, source: 'manual', geocodedAt: new Date() };
+  }
+
+  const addressChanged = data.address && (!existingHospital || existingHospital.address !== data.address);
+  const missingLocation = !existingHospital || !existingHospital.location || !isValidCoordinates(existingHospital.location.lat, existingHospital.location.lng);
+
+  if (data.address && (addressChanged || missingLocation)) {
+    const coordinates = await geocodeAddress(data.address);
+    if (coordinates) {
+      return { ...coordinates, source: 'geocoded', geocodedAt: new Date() };
+    }
+    // The old coordinates belong to the old address; drop them rather than keep a stale position
+    if (addressChanged) {
+      console.log(`⚠️ Hospital location unresolved for new address: ${data.address}`);
+      return { source: 'unresolved' };
+    }
+  }
+
+  return undefined;
+};
+
+module.exports = {
+  geocodeAddress,
+  resolveHospitalLocation
+};
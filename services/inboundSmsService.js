@@ -0,0 +1,159 @@
+const Donor = require('../models/Donor');
+const BloodRequest = require('../models/BloodRequest');
+const ResponseToken = require('../models/ResponseToken');
+const Notification = require('../models/Notification');
+const { broadcastNotification } = require('../utils/notificationStream');
+const { phoneVariants } = require('../utils/phone');
+const { parseReplyKeyword, parsePauseDays } = require('../utils/smsKeywords');
+const { formatLocalDateTime } = require('../utils/timeWindow');
+const { ACCEPTING_STATUSES } = require('./requestLifecycle');
+const { recordDonorResponse } = require('./donorResponseService');
+const { setConsent } = require('./consentService');
+const { renderMessage } = require('./templateService');
+const { buildAvailabilityUpdate } = require('./availabilityService');
+const { getDonorTimezone } = require('./quietHours');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Template used for each reply (copy lives in services/templateCatalog.js)
+const REPLIES = {
+  noOpenRequest: 'reply-no-request',
+  pledged: 'reply-pledged',
+  covered: 'reply-covered',
+  declined: 'reply-declined',
+  stopped: 'reply-stopped',
+  started: 'reply-started',
+  paused: 'reply-paused',
+  available: 'reply-available',
+  help: 'reply-help',
+  unknown: 'reply-unknown'
+};
+
+const renderReply = async (name, variables = {}, language) => {
+  const message = await renderMessage(REPLIES[name], 'sms', variables, { language });
+  return message ? message.text : null;
+};
+
+const notifyHospital = async (request, title, message, meta) => {
+  try {
+    const notif = await Notification.create({
+      hospitalId: request.hospitalId._id || request.hospitalId,
+      bloodRequestId: request._id,
+      type: title.includes('Declined') ? 'warning' : 'success',
+      title,
+      message,
+      meta: { bloodRequestId: request._id, ...meta }
+    });
+    broadcastNotification(notif);
+  } catch (e) {
+    console.error('Failed to create SMS reply notification:', e.message);
+  }
+};
+
+// YES/NO answer the donor's most recent open request
+const answerLatestRequest = async (donors, intent) => {
+  const token = await ResponseToken.findOne({
+    donorId: { $in: donors.map(d => d._id) },
+    isUsed: false,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ createdAt: -1 });
+  const language = donors[0].preferredLanguage;
+  if (!token) return { reply: await renderReply('noOpenRequest', {}, language) };
+
+  const donor = donors.find(d => d._id.equals(token.donorId));
+  const request = await BloodRequest.findById(token.requestId).populate('hospitalId', 'name');
+  if (!request || !ACCEPTING_STATUSES.includes(request.status)) {
+    return { reply: await renderReply('covered', {}, language), requestId: token.requestId };
+  }
+  const hospitalName = request.hospitalId ? request.hospitalId.name : 'The hospital';
+
+  const accepted = intent === 'yes';
+  let pledge;
+  try {
+    ({ pledge } = await recordDonorResponse({
+      request,
+      donor,
+      token,
+      answer: accepted ? 'accepted' : 'declined',
+      via: 'sms',
+      reason: `Donor replied ${accepted ? 'YES' : 'NO'} by SMS`
+    }));
+  } catch (error) {
+    // Filled or closed since the link went out, or the donor already answered another way
+    if (error.code === 'REQUEST_CLOSED' || error.code === 'ALREADY_RESPONDED') {
+      return { reply: await renderReply('covered', {}, donor.preferredLanguage), requestId: request._id };
+    }
+    throw error;
+  }
+
+  if (accepted) {
+    await notifyHospital(request, 'Donor Confirmed (SMS)',
+      `${donor.name} (${donor.bloodGroup}) replied YES. ${pledge.request.confirmedUnits}/${pledge.request.quantity} units pledged.`,
+      { donorId: donor._id, unitId: pledge.unit._id });
+
+    return { reply: await renderReply('pledged', { hospital: hospitalName, bloodType: request.bloodGroup }, donor.preferredLanguage), requestId: request._id, pledged: true };
+  }
+
+  // NO: the response service closes the donor's link and brings in the next donor in their place
+  await notifyHospital(request, 'Donor Declined (SMS)',
+    `${donor.name} (${donor.bloodGroup}) replied NO. Contacting the next donor in the queue.`,
+    { donorId: donor._id });
+
+  return { reply: await renderReply('declined', {}, donor.preferredLanguage), requestId: request._id, declined: true };
+};
+
+// Handle an SMS sent to us by a donor. Returns the intent and the reply to send back (null for none).
+const handleInboundSms = async ({ from, body }) => {
+  const { intent, keyword } = parseReplyKeyword(body);
+  const channel = /^whatsapp:/i.test(String(from)) ? 'whatsapp' : 'sms';
+  const donors = await Donor.find({ phone: { $in: phoneVariants(from) } });
+  console.log(`📨 Inbound SMS from ${from}: "${body}" → ${intent || 'unrecognised'} (${donors.length} donor match)`);
+
+  // Never text back a number that is not a donor's: replies would let anyone make us SMS any number
+  if (donors.length === 0) {
+    return { intent, keyword, reply: null, unknownSender: true };
+  }
+  const language = donors[0].preferredLanguage;
+  if (intent === 'help') return { intent, keyword, reply: await renderReply('help', {}, language) };
+
+  // STOP/START apply to the channel the reply came in on
+  if (intent === 'stop' || intent === 'start') {
+    const status = intent === 'stop' ? 'revoked' : 'granted';
+    for (const donor of donors) {
+      await setConsent(donor._id, channel, status, {
+        source: 'sms-keyword',
+        reason: `Replied ${String(body).trim().slice(0, 20)}`,
+        actor: { role: 'donor', id: String(donor._id), name: donor.name }
+      });
+    }
+    return { intent, keyword, reply: await renderReply(intent === 'stop' ? 'stopped' : 'started', {}, language) };
+  }
+
+  // PAUSE (indefinitely), PAUSE 7 (for 7 days) and AVAILABLE set availability on every matching donor
+  if (intent === 'pause' || intent === 'available') {
+    const days = intent === 'pause' ? parsePauseDays(body) : null;
+    let change = { status: 'available' };
+    if (intent === 'pause') change = days ? { status: 'unavailable', until: new Date(Date.now() + days * DAY_MS) } : { status: 'paused' };
+
+    for (const donor of donors) {
+      await Donor.updateOne({ _id: donor._id }, { $set: buildAvailabilityUpdate(change, 'sms-keyword') });
+    }
+    console.log(`🗓️ ${donors.length} donor(s) at ${from} set availability to ${change.status}${days ? ` for ${days} days` : ''} by SMS`);
+
+    if (intent === 'available') return { intent, keyword, reply: await renderReply('available', {}, language) };
+    const until = change.until ? formatLocalDateTime(change.until, getDonorTimezone(donors[0])) : '';
+    return { intent, keyword, reply: await renderReply('paused', { until }, language) };
+  }
+
+  if (intent === 'yes' || intent === 'no') {
+    return { intent, keyword, ...(await answerLatestRequest(donors, intent)) };
+  }
+
+  return { intent, keyword, reply: await renderReply('unknown', {}, language) };
+};
+
+module.exports = {
+  REPLIES,
+  handleInboundSms
+};
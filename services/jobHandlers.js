@@ -0,0 +1,167 @@
+const BloodRequest = require('../models/BloodRequest');
+const ResponseToken = require('../models/ResponseToken');
+const OutboundMessage = require('../models/OutboundMessage');
+const { registerHandler, enqueue } = require('./jobQueue');
+const { escalateIfLagging } = require('./batchPolicy');
+const { getDonorName, getDonorChannels, getRequestVariables, composeRequestMessage, contactDonor, sendOnChannel, sendChannelFallbacks } = require('./outreachService');
+const { renderContent } = require('./templateService');
+const { ACCEPTING_STATUSES } = require('./requestLifecycle');
+const { sweepExpiredRequests } = require('./requestExpiry');
+const { getQuietHoursPolicy, canNotifyNow } = require('./quietHours');
+const { isAvailable } = require('./availabilityService');
+const { closeBatchAttempts, recordContactOutcome } = require('./fatigueService');
+const { sendNextBatch, sendReplacementDonor, followUpLaterDonor } = require('../controllers/bloodRequestController');
+
+// Send batch N of a request. For N > 1 this also closes batch N-1's response window,
+// except on a deferred run (quiet hours) where that window was already closed.
+const dispatchBatch = async ({ requestId, batchNumber, deferred = false }) => {
+  const request = await BloodRequest.findById(requestId);
+  if (!request) return { skipped: 'request not found' };
+
+  // Another dispatch already moved this request on
+  if ((request.batchNumber || 0) !== batchNumber - 1) {
+    return { skipped: `stale (request is on batch ${request.batchNumber || 0})` };
+  }
+
+  if (!ACCEPTING_STATUSES.includes(request.status) || request.confirmedUnits >= request.quantity) {
+    await BloodRequest.updateOne({ _id: request._id }, { $set: { batchInProgress: false } });
+    return { skipped: `request ${request.status}` };
+  }
+
+  if (batchNumber > 1 && !deferred) {
+    const elapsed = ((Date.now() - new Date(request.batchSentAt).getTime()) / 60000).toFixed(1);
+    console.log(`[Jobs] Response window closed (${elapsed}/${request.responseWindow} mins) for request ${request._id}. Next batch...`);
+
+    // No new confirmations from the last batch: widen the next one
+    if (escalateIfLagging(request)) {
+      console.log(`[Jobs] No confirmations from last batch, escalating request ${request._id} to level ${request.escalationLevel}`);
+    }
+    await BloodRequest.updateOne(
+      { _id: request._id, batchNumber: request.batchNumber },
+      { $set: { escalationLevel: request.escalationLevel || 0, batchInProgress: false } }
+    );
+    // Donors who let the window pass count towards contact fatigue
+    await closeBatchAttempts(request._id, batchNumber - 1);
+  }
+
+  return sendNextBatch(request._id);
+};
+
+// Nudge donors from an urgent batch who have not answered yet
+const sendBatchReminder = async ({ requestId, batchNumber }) => {
+  const request = await BloodRequest.findById(requestId).populate('hospitalId');
+  if (!request || request.batchNumber !== batchNumber) return { skipped: 'batch closed' };
+  if (!ACCEPTING_STATUSES.includes(request.status) || request.confirmedUnits >= request.quantity) {
+    return { skipped: `request ${request.status}` };
+  }
+
+  const tokens = await ResponseToken.find({
+    requestId: request._id,
+    isUsed: false,
+    revokedAt: null,
+    remindedAt: null,
+    createdAt: { $gte: request.batchSentAt }
+  }).populate('donorId');
+
+  const quietHours = await getQuietHoursPolicy();
+  let reminded = 0;
+
+  for (const token of tokens) {
+    const donor = token.donorId;
+    // No reminders for donors who have since marked themselves unavailable
+    if (!donor || !isAvailable(donor) || !canNotifyNow(request, donor, quietHours)) continue;
+
+    // Remind on the channel the request reached them on
+    const channel = token.channel || getDonorChannels(donor)[0];
+    if (!channel) continue;
+
+    const content = await renderContent('request-reminder', getRequestVariables(request, request.hospitalId, getDonorName(donor), token.token), {
+      language: donor.preferredLanguage
+    });
+    const result = await sendOnChannel(donor, channel, content, { requestId: request._id, token: token.token, purpose: 'reminder' });
+    if (result.success) {
+      reminded++;
+      await ResponseToken.updateOne({ _id: token._id }, { $set: { remindedAt: new Date() } });
+    }
+  }
+
+  console.log(`🔔 [Jobs] Sent ${reminded}/${tokens.length} reminders for request ${request._id} batch ${batchNumber}`);
+  return { reminded, pending: tokens.length };
+};
+
+// A request message came back undelivered. Try the donor's next channel straight away;
+// with none left, count them as a non-response and contact the next donor in the queue.
+const handleUndeliveredMessage = async ({ messageId }) => {
+  const message = await OutboundMessage.findById(messageId);
+  if (!message || !message.token) return { skipped: 'message not found' };
+
+  const token = await ResponseToken.findOne({ token: message.token }).populate('donorId');
+  if (!token || token.isUsed || token.revokedAt) return { skipped: 'donor already answered or link closed' };
+  // Only the latest channel matters; an older message failing late changes nothing
+  if (token.channel && token.channel !== message.channel) return { skipped: 'donor already on another channel' };
+
+  const request = await BloodRequest.findById(message.requestId).populate('hospitalId');
+  if (!request || !ACCEPTING_STATUSES.includes(request.status) || request.confirmedUnits >= request.quantity) {
+    return { skipped: 'request no longer needs donors' };
+  }
+
+  const donor = token.donorId;
+  const next = (token.channelIndex || 0) + 1;
+  const quietHours = await getQuietHoursPolicy();
+  if (donor && isAvailable(donor) && next < getDonorChannels(donor).length && canNotifyNow(request, donor, quietHours)) {
+    const content = await composeRequestMessage(request, request.hospitalId, getDonorName(donor), donor.preferredLanguage, token.token);
+    const result = await contactDonor(donor, content, { requestId: request._id, token: token.token, purpose: 'fallback', startAt: next });
+
+    await ResponseToken.updateOne({ _id: token._id }, {
+      $set: result.success
+        ? { channel: result.channel, channelIndex: result.channelIndex, lastContactedAt: new Date() }
+        : { channelIndex: result.channelIndex }
+    });
+    if (result.success) return { fallback: result.channel };
+  }
+
+  await ResponseToken.updateOne({ _id: token._id }, { $set: { undeliveredAt: new Date() } });
+  if (donor) await recordContactOutcome(donor._id, request._id, 'undelivered');
+  const replacement = await sendReplacementDonor(request._id);
+  return { nonResponse: true, replacement };
+};
+
+// Re-queue the next batch for in-progress requests with no dispatch job
+// (e.g. requests created before the job queue, or a job cancelled by mistake)
+const recoverBatches = async () => {
+  const inProgress = await BloodRequest.find(
+    { status: { $in: ACCEPTING_STATUSES }, batchInProgress: true, $expr: { $lt: ['$confirmedUnits', '$quantity'] } },
+    { batchNumber: 1, batchSentAt: 1, responseWindow: 1 }
+  );
+
+  let queued = 0;
+  for (const request of inProgress) {
+    if (!request.batchSentAt) continue;
+    const nextBatch = (request.batchNumber || 0) + 1;
+    const windowEnds = new Date(new Date(request.batchSentAt).getTime() + (request.responseWindow || 5) * 60 * 1000);
+    if (windowEnds > new Date()) continue;
+
+    // Idempotent: does nothing when the dispatch job already exists
+    const job = await enqueue('dispatch-batch', { requestId: String(request._id), batchNumber: nextBatch }, {
+      runAt: windowEnds,
+      idempotencyKey: `dispatch-batch:${request._id}:${nextBatch}`
+    });
+    if (job && job.status === 'queued' && job.attempts === 0) queued++;
+  }
+  return { checked: inProgress.length, queued };
+};
+
+const registerJobHandlers = () => {
+  registerHandler('dispatch-batch', dispatchBatch);
+  registerHandler('batch-reminder', sendBatchReminder);
+  registerHandler('channel-fallback', sendChannelFallbacks);
+  registerHandler('undelivered-message', handleUndeliveredMessage);
+  registerHandler('replace-donor', ({ requestId }) => sendReplacementDonor(requestId));
+  registerHandler('later-followup', followUpLaterDonor);
+  registerHandler('expire-requests', sweepExpiredRequests);
+  registerHandler('recover-batches', recoverBatches);
+};
+
+module.exports = {
+  registerJobHandlers
+};
@@ -0,0 +1,195 @@
+const os = require('os');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+
+// Identifies this server instance as a lease owner
+const WORKER_ID = `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+
+const LEASE_MS = 2 * 60 * 1000;
+const POLL_INTERVAL_MS = 5 * 1000;
+const MAX_JOBS_PER_POLL = 20;
+const BASE_BACKOFF_MS = 15 * 1000;
+const MAX_BACKOFF_MS = 30 * 60 * 1000;
+
+const handlers = {};
+const recurring = [];
+let pollTimer = null;
+let polling = false;
+
+// Register the function that runs jobs of a given type
+const registerHandler = (type, handler) => {
+  handlers[type] = handler;
+};
+
+// Add a job. With an idempotency key, a second enqueue returns the job already stored.
+const enqueue = async (type, payload = {}, options = {}) => {
+  const { runAt = new Date(), idempotencyKey, maxAttempts } = options;
+  const fields = { type, payload, runAt, status: 'queued' };
+  if (maxAttempts) fields.maxAttempts = maxAttempts;
+
+  if (!idempotencyKey) {
+    return Job.create(fields);
+  }
+
+  try {
+    return await Job.findOneAndUpdate(
+      { idempotencyKey },
+      { $setOnInsert: { ...fields, idempotencyKey } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    // Two instances upserting the same key at once: the loser reads the winner's job
+    if (error.code === 11000) return Job.findOne({ idempotencyKey });
+    throw error;
+  }
+};
+
+// Claim the next due job, or one whose lease has run out
+const claimNextJob = async () => {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: Object.keys(handlers) },
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'running', leaseExpiresAt: { $lt: now } }
+      ]
+    },
+    {
+      $set: {
+        status: 'running',
+        leaseOwner: WORKER_ID,
+        leaseExpiresAt: new Date(now.getTime() + LEASE_MS),
+        startedAt: now
+      },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+// Exponential backoff: 15s, 30s, 1m, 2m ... capped at 30 minutes
+const getBackoffMs = (attempts) => Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * Math.pow(2, Math.max(attempts - 1, 0)));
+
+const runJob = async (job) => {
+  const handler = handlers[job.type];
+  // Only the current lease holder may finish the job
+  const owned = { _id: job._id, leaseOwner: WORKER_ID, status: 'running' };
+
+  try {
+    const result = await handler(job.payload || {}, job);
+    await Job.updateOne(owned, {
+      $set: { status: 'completed', completedAt: new Date(), result: result || null, lastError: null },
+      $unset: { leaseOwner: '', leaseExpiresAt: '' }
+    });
+  } catch (error) {
+    const exhausted = job.attempts >= job.maxAttempts;
+    console.error(`❌ [Jobs] ${job.type} job ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}):`, error.message);
+
+    await Job.updateOne(owned, {
+      $set: exhausted
+        ? { status: 'failed', lastError: error.message, completedAt: new Date() }
+        : { status: 'queued', lastError: error.message, runAt: new Date(Date.now() + getBackoffMs(job.attempts)) },
+      $unset: { leaseOwner: '', leaseExpiresAt: '' }
+    });
+  }
+};
+
+// Drain due jobs; skips a tick if the previous one is still running
+const poll = async () => {
+  if (polling || mongoose.connection.readyState !== 1) return;
+  polling = true;
+  try {
+    for (let i = 0; i < MAX_JOBS_PER_POLL; i++) {
+      const job = await claimNextJob();
+      if (!job) break;
+      await runJob(job);
+    }
+  } catch (error) {
+    console.error('[Jobs] Error polling job queue:', error.message);
+  } finally {
+    polling = false;
+  }
+};
+
+// Enqueue a job every intervalMs. The time bucket in the key means several
+// instances scheduling at once still produce a single job per interval; finished
+// runs are pruned by the TTL index on completedAt.
+const scheduleRecurring = (type, intervalMs, payload = {}) => {
+  const schedule = async () => {
+    if (mongoose.connection.readyState !== 1) return;
+    try {
+      const bucket = Math.floor(Date.now() / intervalMs);
+      await enqueue(type, payload, {
+        idempotencyKey: `${type}:${bucket}`,
+        runAt: new Date(bucket * intervalMs)
+      });
+    } catch (error) {
+      console.error(`[Jobs] Failed to schedule ${type}:`, error.message);
+    }
+  };
+  recurring.push(setInterval(schedule, intervalMs));
+  schedule();
+};
+
+const startWorker = () => {
+  if (pollTimer) return;
+  pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+  console.log(`✅ Job worker started (${WORKER_ID})`);
+};
+
+const stopWorker = () => {
+  if (pollTimer) clearInterval(pollTimer);
+  recurring.forEach(timer => clearInterval(timer));
+  recurring.length = 0;
+  pollTimer = null;
+};
+
+// Admin controls. Each only applies from the listed states so running jobs are never touched.
+const pauseJob = (id) => Job.findOneAndUpdate(
+  { _id: id, status: 'queued' },
+  { $set: { status: 'paused' } },
+  { new: true }
+);
+
+const resumeJob = (id) => Job.findOneAndUpdate(
+  { _id: id, status: 'paused' },
+  { $set: { status: 'queued' } },
+  { new: true }
+);
+
+const retryJob = (id) => Job.findOneAndUpdate(
+  { _id: id, status: { $in: ['failed', 'cancelled'] } },
+  { $set: { status: 'queued', attempts: 0, runAt: new Date(), lastError: null, completedAt: null } },
+  { new: true }
+);
+
+const cancelJob = (id) => Job.findOneAndUpdate(
+  { _id: id, status: { $in: ['queued', 'paused', 'failed'] } },
+  { $set: { status: 'cancelled', completedAt: new Date() } },
+  { new: true }
+);
+
+// Cancel every pending job for a blood request (e.g. once it is closed)
+const cancelJobsForRequest = async (requestId) => {
+  const result = await Job.updateMany(
+    { 'payload.requestId': String(requestId), status: { $in: ['queued', 'paused'] } },
+    { $set: { status: 'cancelled', completedAt: new Date() } }
+  );
+  return result.modifiedCount || 0;
+};
+
+module.exports = {
+  WORKER_ID,
+  registerHandler,
+  enqueue,
+  scheduleRecurring,
+  startWorker,
+  stopWorker,
+  pauseJob,
+  resumeJob,
+  retryJob,
+  cancelJob,
+  cancelJobsForRequest
+};
@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+const Location = require('../models/Location');
+const Donor = require('../models/Donor');
+const { isValidCoordinates } = require('../utils/geo');
+const { phoneVariants } = require('../utils/phone');
+
+// Radius limits for nearby-donor queries
+const DEFAULT_RADIUS_KM = 10;
+const MAX_RADIUS_KM = 500;
+const MAX_NEARBY_RESULTS = 200;
+
+const locationError = (status, message) => Object.assign(new Error(message), { status });
+
+// Save a donor's position for a request: one live location per donor per request, so a
+// repeat share moves the existing point. The first share is an insert, which the location
+// watcher announces. Also remembers the donor's last-known position for distance ranking.
+// coordinates: { latitude, longitude, accuracy } as parsed by parseCoordinates.
+const saveDonorLocation = async ({ request, donor, coordinates, source, fields = {}, insertFields = {} }) => {
+  const now = new Date();
+  const upsert = () => Location.findOneAndUpdate(
+    { requestId: request._id, donorId: donor._id },
+    {
+      $set: {
+        ...coordinates,
+        source,
+        userName: donor.name,
+        rollNumber: donor.rollNo || '',
+        mobileNumber: donor.phone,
+        timestamp: now,
+        ...fields
+      },
+      $setOnInsert: insertFields
+    },
+    { upsert: true, new: true, runValidators: true }
+  );
+
+  let location;
+  try {
+    location = await upsert();
+  } catch (error) {
+    // A concurrent share inserted first (unique index); update that point instead
+    if (error.code !== 11000) throw error;
+    location = await upsert();
+  }
+
+  await Donor.updateOne(
+    { _id: donor._id },
+    { $set: { lastKnownLocation: { lat: coordinates.latitude, lng: coordinates.longitude, updatedAt: now } } }
+  );
+  return location;
+};
+
+// Take a donor off the live map for a request, by donor or (for older callers) by phone
+const removeDonorLocation = async (requestId, { donorId, phone } = {}) => {
+  if (donorId && mongoose.Types.ObjectId.isValid(String(donorId))) {
+    const result = await Location.deleteOne({ requestId, donorId });
+    if (result.deletedCount > 0) return true;
+  }
+  const variants = phone ? phoneVariants(phone) : [];
+  if (variants.length === 0) return false;
+  const result = await Location.deleteOne({ requestId, mobileNumber: { $in: variants } });
+  return result.deletedCount > 0;
+};
+
+// Read ?radiusKm= for nearby queries
+const parseRadiusKm = (value) => {
+  if (value === undefined || value === '') return DEFAULT_RADIUS_KM;
+  const radiusKm = Number(value);
+  if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+    throw locationError(400, `radiusKm must be a number greater than 0 and at most ${MAX_RADIUS_KM}`);
+  }
+  return radiusKm;
+};
+
+// Donors who shared a location for a request and are within radiusKm of the hospital, nearest first
+const findDonorsNearHospital = async ({ request, hospital, radiusKm = DEFAULT_RADIUS_KM, limit = MAX_NEARBY_RESULTS }) => {
+  const origin = hospital && hospital.location;
+  if (!origin || !isValidCoordinates(origin.lat, origin.lng)) {
+    throw locationError(409, 'The hospital has no location on file; set its address or coordinates first');
+  }
+
+  const locations = await Location.aggregate([
+    {
+      $geoNear: {
+        near: Location.toPoint(origin.lat, origin.lng),
+        key: 'point',
+        distanceField: 'distanceMeters',
+        maxDistance: radiusKm * 1000,
+        query: { requestId: request._id },
+        spherical: true
+      }
+    },
+    { $limit: Math.min(limit, MAX_NEARBY_RESULTS) }
+  ]);
+
+  const donors = await Donor.find({ _id: { $in: locations.map(l => l.donorId) } }).select('name phone bloodGroup');
+  const donorById = new Map(donors.map(d => [String(d._id), d]));
+
+  return locations.map(location => {
+    const donor = donorById.get(String(location.donorId));
+    return {
+      locationId: location._id,
+      donorId: location.donorId,
+      donorName: donor ? donor.name : location.userName,
+      phone: donor ? donor.phone : location.mobileNumber,
+      bloodGroup: donor ? donor.bloodGroup : null,
+      latitude: location.latitude,
+      longitude: location.longitude,
+      accuracy: location.accuracy,
+      source: location.source,
+      isAvailable: location.isAvailable,
+      tracking: location.tracking,
+      distanceKm: Math.round(location.distanceMeters / 10) / 100,
+      updatedAt: location.timestamp
+    };
+  });
+};
+
+// Bring locations written before the model existed in line: donorId held as a string
+// (the donor's _id or uniqueId), no GeoJSON point, or several points for one donor on
+// the same request. Run once at startup.
+const migrateLegacyLocations = async () => {
+  const legacy = await Location.collection.find({ donorId: { $type: 'string' } }).toArray();
+  let converted = 0;
+  for (const location of legacy) {
+    const id = location.donorId.trim();
+    const donor = (mongoose.Types.ObjectId.isValid(id) && await Donor.findById(id).select('_id')) ||
+      await Donor.findOne({ uniqueId: id }).select('_id');
+    if (!donor) continue;
+    await Location.collection.updateOne({ _id: location._id }, { $set: { donorId: donor._id } });
+    converted++;
+  }
+
+  const pointed = await Location.collection.updateMany(
+    { point: { $exists: false }, latitude: { $type: 'number' }, longitude: { $type: 'number' } },
+    [{
+      $set: {
+        point: { type: 'Point', coordinates: ['$longitude', '$latitude'] },
+        source: { $ifNull: ['$source', { $cond: [{ $ifNull: ['$token', false] }, 'link', 'web'] }] }
+      }
+    }]
+  );
+
+  // Keep only the latest location per donor per request, so the unique index can be built
+  const duplicates = await Location.collection.aggregate([
+    { $match: { requestId: { $type: 'objectId' } } },
+    { $sort: { timestamp: -1 } },
+    { $group: { _id: { requestId: '$requestId', donorId: '$donorId' }, ids: { $push: '$_id' }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } }
+  ]).toArray();
+  const staleIds = duplicates.flatMap(group => group.ids.slice(1));
+  if (staleIds.length > 0) await Location.collection.deleteMany({ _id: { $in: staleIds } });
+
+  return {
+    donorIdsConverted: converted,
+    unresolved: legacy.length - converted,
+    pointsAdded: pointed.modifiedCount,
+    duplicatesRemoved: staleIds.length
+  };
+};
+
+module.exports = {
+  DEFAULT_RADIUS_KM,
+  MAX_RADIUS_KM,
+  saveDonorLocation,
+  removeDonorLocation,
+  parseRadiusKm,
+  findDonorsNearHospital,
+  migrateLegacyLocations
+};
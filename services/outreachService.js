@@ -0,0 +1,240 @@
+const BloodRequest = require('../models/BloodRequest');
+const ResponseToken = require('../models/ResponseToken');
+const OutboundMessage = require('../models/OutboundMessage');
+const { CHANNELS, getProvider } = require('./channelProviders');
+const { renderContent } = require('./templateService');
+const { OPT_OUT_COPY } = require('./templateCatalog');
+const { getSmsInfo } = require('../utils/smsSegments');
+const { ACCEPTING_STATUSES } = require('./requestLifecycle');
+const { enqueue } = require('./jobQueue');
+const { countSendResult } = require('./deliveryTracking');
+const { canContact, getUnsubscribeUrl } = require('./consentService');
+const { getQuietHoursPolicy, canNotifyNow } = require('./quietHours');
+const { isAvailable } = require('./availabilityService');
+const { formatLocalDateTime } = require('../utils/timeWindow');
+
+// Used when a donor has not set any preferences
+const DEFAULT_CHANNELS = ['sms', 'email'];
+
+const CHANNEL_LABELS = {
+  sms: 'SMS',
+  email: 'Email',
+  whatsapp: 'WhatsApp',
+  voice: 'Voice call'
+};
+
+// Link sent to donors in request messages. With the donor's response token it opens the
+// /r/:token response page (routes/tokenResponse.js); the bare request id only shows the request.
+const getResponseUrl = (request, token) => {
+  const base = process.env.FRONTEND_URL || 'https://copy-donor-tracker.vercel.app';
+  return token ? `${base}/r/${token}` : `${base}/${request._id}`;
+};
+
+const getDonorName = (donor) => donor["Student Name"] || donor.name || donor._id;
+
+// Where to reach a donor on a channel, or null if we have no address for it
+const getDonorAddress = (donor, channel) => {
+  const phone = donor.phoneNumber || donor["Mobile No"] || donor.phone;
+  if (channel === 'email') return donor.email || null;
+  if (channel === 'whatsapp') {
+    return (donor.contactPreferences && donor.contactPreferences.whatsappNumber) || phone || null;
+  }
+  return phone || null;
+};
+
+// The donor's channels in preference order, keeping only those we have an address and consent for
+const getDonorChannels = (donor) => {
+  const preferred = donor.contactPreferences && donor.contactPreferences.channels;
+  const ordered = preferred && preferred.length > 0 ? Array.from(preferred) : DEFAULT_CHANNELS;
+  return [...new Set(ordered)].filter(channel =>
+    CHANNELS.includes(channel) && getDonorAddress(donor, channel) && canContact(donor, channel)
+  );
+};
+
+// Opt-out instructions for first contact on a channel. Email always carries an unsubscribe link.
+const withOptOut = (donor, channel, content, purpose) => {
+  const optOut = OPT_OUT_COPY[content.language] || OPT_OUT_COPY.en;
+  if (channel === 'email') {
+    const unsubscribeUrl = getUnsubscribeUrl(donor._id, 'email');
+    if (!unsubscribeUrl) return content;
+    return {
+      ...content,
+      text: `${content.text}\n\n${optOut.email} ${unsubscribeUrl}`,
+      html: content.html ? `${content.html}<p style="font-size: 12px; color: #666;">${optOut.email} <a href="${unsubscribeUrl}">unsubscribe</a></p>` : content.html,
+      unsubscribeUrl
+    };
+  }
+  if ((channel === 'sms' || channel === 'whatsapp') && ['request', 'fallback'].includes(purpose)) {
+    return { ...content, text: `${content.text} ${optOut.sms}` };
+  }
+  return content;
+};
+
+const URGENCY_LABELS = {
+  pregnancy: 'PREGNANCY EMERGENCY - URGENT',
+  high: 'HIGH PRIORITY - EMERGENCY',
+  medium: 'MEDIUM PRIORITY',
+  low: 'LOW PRIORITY'
+};
+
+// Variables for request messages (see VARIABLE_CATALOG in services/templateCatalog.js)
+const getRequestVariables = (request, hospital, donorName, token) => ({
+  hospital: hospital ? hospital.name : 'the hospital',
+  bloodType: request.bloodGroup,
+  quantity: request.quantity,
+  urgency: URGENCY_LABELS[request.urgency] || URGENCY_LABELS.low,
+  isUrgent: request.urgency === 'high' || request.urgency === 'pregnancy',
+  isPregnancy: request.urgency === 'pregnancy',
+  requiredBy: request.requiredBy ? formatLocalDateTime(new Date(request.requiredBy)) : null,
+  donorName,
+  responseUrl: getResponseUrl(request, token)
+});
+
+// Build the blood request message from the request-alert template, in the donor's language
+// where we have copy for it. `text` goes out on SMS, `spoken` on voice calls, and `channels`
+// holds the WhatsApp/email versions. `token` is the donor's response token for the link.
+const composeRequestMessage = async (request, hospital, donorName, language, token) =>
+  renderContent('request-alert', getRequestVariables(request, hospital, donorName, token), { language });
+
+// The copy for one channel: per-channel overrides on top of the shared text
+const forChannel = (content, channel) =>
+  content.channels && content.channels[channel] ? { ...content, ...content.channels[channel] } : content;
+
+// Send one message on one channel and log it
+const sendOnChannel = async (donor, channel, content, { requestId, token, purpose = 'request' } = {}) => {
+  const to = getDonorAddress(donor, channel);
+
+  // Every outreach message passes through here, so consent is enforced in one place
+  if (!canContact(donor, channel)) {
+    console.log(`🚫 Not messaging donor ${donor._id} on ${channel}: no consent`);
+    return { success: false, blocked: true, error: `Donor has not consented to ${channel}`, channel, to, provider: null };
+  }
+
+  let provider = null;
+  let result;
+  let sms = null;
+
+  try {
+    provider = getProvider(channel);
+    const message = withOptOut(donor, channel, forChannel(content, channel), purpose);
+    // Devanagari and Gujarati force UCS-2, which fits far fewer characters per segment
+    if (channel === 'sms' || channel === 'whatsapp') sms = getSmsInfo(message.text);
+    result = await provider.send({
+      to,
+      subject: message.subject,
+      text: channel === 'voice' && message.spoken ? message.spoken : message.text,
+      html: message.html,
+      variables: message.variables,
+      unsubscribeUrl: message.unsubscribeUrl
+    });
+  } catch (error) {
+    result = { success: false, error: error.message };
+  }
+
+  try {
+    await OutboundMessage.create({
+      requestId,
+      donorId: donor._id,
+      token,
+      channel,
+      provider: provider ? provider.name : undefined,
+      to,
+      purpose,
+      status: result.success ? 'sent' : 'failed',
+      providerMessageId: result.id,
+      error: result.error,
+      language: content.language,
+      encoding: sms ? sms.encoding : undefined,
+      segments: sms ? sms.segments : undefined
+    });
+    await countSendResult(requestId, result.success);
+  } catch (e) {
+    console.error('Failed to log outbound message:', e.message);
+  }
+
+  return { ...result, channel, to, provider: provider ? provider.name : null };
+};
+
+// Reach a donor on their preferred channel, falling back down their list when a send fails.
+// startAt skips channels already tried. Returns the last attempt with its channelIndex.
+const contactDonor = async (donor, content, { requestId, token, purpose, startAt = 0 } = {}) => {
+  const channels = getDonorChannels(donor);
+  const attempts = [];
+
+  for (let i = startAt; i < channels.length; i++) {
+    const result = await sendOnChannel(donor, channels[i], content, { requestId, token, purpose });
+    attempts.push({ channel: channels[i], success: result.success, error: result.error });
+    if (result.success) {
+      return { ...result, channelIndex: i, attempts };
+    }
+    console.log(`↪️ ${CHANNEL_LABELS[channels[i]]} to donor ${donor._id} failed (${result.error}), trying next channel`);
+  }
+
+  return {
+    success: false,
+    channelIndex: Math.max(channels.length - 1, startAt),
+    attempts,
+    error: channels.length === 0 ? 'Donor has no reachable channel' : 'All channels failed'
+  };
+};
+
+// Job: donors in a batch who have not answered by the end of the window get the request again
+// on their next channel. Reschedules itself while anyone still has a channel left.
+const sendChannelFallbacks = async ({ requestId, batchNumber, step = 1 }) => {
+  const request = await BloodRequest.findById(requestId).populate('hospitalId');
+  if (!request) return { skipped: 'request not found' };
+  if (!ACCEPTING_STATUSES.includes(request.status) || request.confirmedUnits >= request.quantity) {
+    return { skipped: `request ${request.status}` };
+  }
+
+  const tokens = await ResponseToken.find({ requestId, batchNumber, isUsed: false, revokedAt: null }).populate('donorId');
+  const quietHours = await getQuietHoursPolicy();
+  let sent = 0;
+  let channelsLeft = 0;
+
+  for (const token of tokens) {
+    const donor = token.donorId;
+    if (!donor || !isAvailable(donor) || !canNotifyNow(request, donor, quietHours)) continue;
+
+    const channels = getDonorChannels(donor);
+    const next = (token.channelIndex || 0) + 1;
+    if (next >= channels.length) continue;
+
+    const content = await composeRequestMessage(request, request.hospitalId, getDonorName(donor), donor.preferredLanguage, token.token);
+    const result = await contactDonor(donor, content, { requestId, token: token.token, purpose: 'fallback', startAt: next });
+
+    const set = { channelIndex: result.channelIndex };
+    if (result.success) {
+      set.channel = result.channel;
+      set.lastContactedAt = new Date();
+      sent++;
+      if (result.channelIndex + 1 < channels.length) channelsLeft++;
+    }
+    await ResponseToken.updateOne({ _id: token._id }, { $set: set });
+  }
+
+  if (channelsLeft > 0) {
+    const nextStep = step + 1;
+    await enqueue('channel-fallback', { requestId: String(request._id), batchNumber, step: nextStep }, {
+      runAt: new Date(Date.now() + (request.responseWindow || 5) * 60 * 1000),
+      idempotencyKey: `channel-fallback:${request._id}:${batchNumber}:${nextStep}`
+    });
+  }
+
+  console.log(`↪️ [Outreach] Fallback step ${step} for request ${request._id} batch ${batchNumber}: ${sent}/${tokens.length} donors re-contacted`);
+  return { checked: tokens.length, sent, step };
+};
+
+module.exports = {
+  DEFAULT_CHANNELS,
+  CHANNEL_LABELS,
+  getResponseUrl,
+  getDonorName,
+  getDonorAddress,
+  getDonorChannels,
+  getRequestVariables,
+  composeRequestMessage,
+  sendOnChannel,
+  contactDonor,
+  sendChannelFallbacks
+};
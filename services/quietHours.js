@@ -0,0 +1,50 @@
+const Settings = require('../models/Settings');
+const { DEFAULT_TIMEZONE, isValidTimezone, isWithinDailyWindow, nextLocalTime, formatLocalTime } = require('../utils/timeWindow');
+
+// Only these urgencies may reach donors during quiet hours, and only with emergencyOverride on
+const OVERRIDE_URGENCIES = ['high', 'pregnancy'];
+
+// Notification window from Settings (donors are only contacted between start and end)
+const getQuietHoursPolicy = async () => {
+  const settings = await Settings.getSettings();
+  return {
+    start: settings.notificationStartTime || '07:00',
+    end: settings.notificationEndTime || '22:00',
+    emergencyOverride: settings.emergencyOverride !== false
+  };
+};
+
+const bypassesQuietHours = (request, policy) =>
+  Boolean(policy.emergencyOverride && request && OVERRIDE_URGENCIES.includes(request.urgency));
+
+const getDonorTimezone = (donor) =>
+  donor && isValidTimezone(donor.timezone) ? donor.timezone : DEFAULT_TIMEZONE;
+
+// Inside the donor's local notification window
+const isDonorReachableNow = (donor, policy, now = new Date()) =>
+  isWithinDailyWindow(now, policy.start, policy.end, getDonorTimezone(donor));
+
+// When the donor's notification window next opens (now, if it is already open)
+const nextOpenTime = (donor, policy, now = new Date()) =>
+  isDonorReachableNow(donor, policy, now) ? now : nextLocalTime(now, policy.start, getDonorTimezone(donor));
+
+// Can this request reach this donor right now?
+const canNotifyNow = (request, donor, policy, now = new Date()) =>
+  bypassesQuietHours(request, policy) || isDonorReachableNow(donor, policy, now);
+
+// "deferred until HH:MM" for request views
+const describeDeferral = (request, timeZone = DEFAULT_TIMEZONE) => {
+  if (!request || !request.deferredUntil || new Date(request.deferredUntil) <= new Date()) return null;
+  return `deferred until ${formatLocalTime(new Date(request.deferredUntil), timeZone)}`;
+};
+
+module.exports = {
+  OVERRIDE_URGENCIES,
+  getQuietHoursPolicy,
+  bypassesQuietHours,
+  getDonorTimezone,
+  isDonorReachableNow,
+  nextOpenTime,
+  canNotifyNow,
+  describeDeferral
+};
@@ -0,0 +1,116 @@
+const BloodRequest = require('../models/BloodRequest');
+const ResponseToken = require('../models/ResponseToken');
+const Notification = require('../models/Notification');
+const { broadcastNotification } = require('../utils/notificationStream');
+const { OPEN_STATUSES, tryTransition, transition, systemActor } = require('./requestLifecycle');
+const { enqueue, cancelJobsForRequest } = require('./jobQueue');
+
+// Stop a request's outreach: no more links accepted, no more batches
+const revokeOutreach = async (requestId, reason) => {
+  const tokens = await ResponseToken.updateMany(
+    { requestId, isUsed: false, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  const jobs = await cancelJobsForRequest(requestId);
+  return { tokensRevoked: tokens.modifiedCount || 0, jobsCancelled: jobs };
+};
+
+// Expire one request and clean up after it. Returns the expired request, or null if it was not open.
+const expireRequest = async (request, actor = systemActor('expiry-sweeper')) => {
+  const expired = await tryTransition(request, 'expired', { actor, reason: 'Required-by date passed' });
+  if (!expired) return null;
+
+  const { tokensRevoked, jobsCancelled } = await revokeOutreach(expired._id, 'Request expired');
+  console.log(`[Expiry] Request ${expired._id} expired. Revoked ${tokensRevoked} token(s), cancelled ${jobsCancelled} job(s)`);
+
+  // Tell the hospital, with a one-click way to extend and resume
+  try {
+    const notif = await Notification.create({
+      hospitalId: expired.hospitalId,
+      bloodRequestId: expired._id,
+      type: 'warning',
+      title: 'Blood Request Expired',
+      message: `Request for ${expired.quantity} unit(s) of ${expired.bloodGroup} expired with ${expired.confirmedUnits}/${expired.quantity} units confirmed. Extend the deadline to resume contacting donors.`,
+      meta: {
+        bloodRequestId: expired._id,
+        action: {
+          type: 'extend-request',
+          label: 'Extend deadline and resume',
+          method: 'POST',
+          url: `/blood-requests/${expired._id}/extend`
+        }
+      }
+    });
+    broadcastNotification(notif);
+  } catch (e) {
+    console.error('Failed to create request expiry notification:', e.message);
+  }
+
+  return expired;
+};
+
+// Expire an open request whose required-by date has passed. Returns the (possibly updated) request.
+const expireIfOverdue = async (request, actor) => {
+  if (!request || !OPEN_STATUSES.includes(request.status)) return request;
+  if (!request.requiredBy || new Date() <= new Date(request.requiredBy)) return request;
+
+  const expired = await expireRequest(request, actor);
+  return expired || await BloodRequest.findById(request._id);
+};
+
+// Sweep every open request past its required-by date
+const sweepExpiredRequests = async () => {
+  const overdue = await BloodRequest.find({ status: { $in: OPEN_STATUSES }, requiredBy: { $lt: new Date() } });
+
+  let expired = 0;
+  for (const request of overdue) {
+    if (await expireRequest(request)) expired++;
+  }
+  return { checked: overdue.length, expired };
+};
+
+// Push back a request's deadline. An expired request is reopened and its donor queue resumed.
+const extendRequest = async (request, requiredBy, { actor, reason } = {}) => {
+  const newDeadline = new Date(requiredBy);
+  if (isNaN(newDeadline.getTime()) || newDeadline <= new Date()) {
+    const error = new Error('requiredBy must be a future date');
+    error.status = 400;
+    throw error;
+  }
+
+  if (request.status !== 'expired') {
+    if (!OPEN_STATUSES.includes(request.status)) {
+      const error = new Error(`Cannot extend a ${request.status} blood request`);
+      error.status = 409;
+      throw error;
+    }
+    request.requiredBy = newDeadline;
+    await request.save();
+    return { request, resumed: false };
+  }
+
+  const to = request.confirmedUnits > 0 ? 'partially-fulfilled' : 'active';
+  const reopened = await transition(request, to, {
+    actor,
+    reason: reason || `Deadline extended to ${newDeadline.toISOString()}`,
+    set: { requiredBy: newDeadline, escalationLevel: 0 }
+  });
+
+  // Resume with a fresh batch (no idempotency key: the previous window job was cancelled on expiry)
+  let resumed = false;
+  if (reopened.remainingDonorsQueue.length > 0) {
+    await enqueue('dispatch-batch', { requestId: String(reopened._id), batchNumber: (reopened.batchNumber || 0) + 1 });
+    resumed = true;
+  }
+
+  console.log(`⏩ Request ${reopened._id} extended to ${newDeadline.toISOString()}${resumed ? ' and resumed' : ''}`);
+  return { request: reopened, resumed };
+};
+
+module.exports = {
+  revokeOutreach,
+  expireRequest,
+  expireIfOverdue,
+  sweepExpiredRequests,
+  extendRequest
+};
@@ -0,0 +1,137 @@
+const BloodRequest = require('../models/BloodRequest');
+
+// Allowed status changes for a blood request. Cancelled has no way out; an expired
+// request is reopened by extending its deadline and a fulfilled one by a unit
+// failing screening.
+const TRANSITIONS = {
+  pending: ['active', 'cancelled', 'expired'],
+  active: ['partially-fulfilled', 'fulfilled', 'expired', 'cancelled'],
+  'partially-fulfilled': ['fulfilled', 'expired', 'cancelled'],
+  fulfilled: ['partially-fulfilled'],
+  expired: ['active', 'partially-fulfilled'],
+  cancelled: []
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+// Requests that are not finished yet
+const OPEN_STATUSES = ['pending', 'active', 'partially-fulfilled'];
+// Requests that still accept donor confirmations
+const ACCEPTING_STATUSES = ['active', 'partially-fulfilled'];
+// Requests that are closed to donors
+const TERMINAL_STATUSES = ['fulfilled', 'expired', 'cancelled'];
+
+const SYSTEM_ACTOR = { role: 'system', name: 'system' };
+
+// Describe the logged-in user (hospital/admin JWT payload) as a history actor
+const actorFromUser = (user) => {
+  if (!user) return SYSTEM_ACTOR;
+  return { role: user.role || 'user', id: user.id ? String(user.id) : undefined, name: user.name || user.email };
+};
+
+const systemActor = (name) => ({ role: 'system', name });
+
+const canTransition = (from, to) => !!TRANSITIONS[from] && TRANSITIONS[from].includes(to);
+
+const transitionError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = 'INVALID_TRANSITION';
+  return error;
+};
+
+// Fields that go with entering a status
+const sideEffectsFor = (to, now) => {
+  if (to === 'fulfilled') return { fulfilledAt: now, activeTokens: [], batchInProgress: false };
+  if (to === 'expired' || to === 'cancelled') return { activeTokens: [], batchInProgress: false };
+  return {};
+};
+
+// Move a request to a new status and record it in statusHistory.
+// Accepts a document or an id. The update only applies if the status is still
+// what we read, so two concurrent transitions cannot both win.
+const transition = async (requestOrId, to, { actor = SYSTEM_ACTOR, reason = '', set = {} } = {}) => {
+  if (!STATUSES.includes(to)) {
+    throw transitionError(`Unknown blood request status: ${to}`, 400);
+  }
+
+  const current = requestOrId instanceof BloodRequest
+    ? requestOrId
+    : await BloodRequest.findById(requestOrId);
+  if (!current) {
+    throw transitionError('Blood request not found', 404);
+  }
+
+  const from = current.status;
+  if (from === to) return current;
+  if (!canTransition(from, to)) {
+    throw transitionError(`Cannot change blood request from ${from} to ${to}`, 409);
+  }
+
+  const now = new Date();
+  const updated = await BloodRequest.findOneAndUpdate(
+    { _id: current._id, status: from },
+    {
+      $set: { ...sideEffectsFor(to, now), ...set, status: to },
+      $push: { statusHistory: { from, to, actor, reason, at: now } }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw transitionError(`Blood request ${current._id} changed status while moving to ${to}`, 409);
+  }
+
+  console.log(`🔁 Blood request ${updated._id}: ${from} → ${to}${reason ? ` (${reason})` : ''}`);
+  return updated;
+};
+
+// Like transition, but returns null instead of throwing when the move is not allowed
+const tryTransition = async (requestOrId, to, options) => {
+  try {
+    return await transition(requestOrId, to, options);
+  } catch (error) {
+    if (error.code === 'INVALID_TRANSITION') {
+      console.log(`⚠️ ${error.message}`);
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Count one pledged donor against a request and mark it partially fulfilled.
+// Fulfilment waits for units to be collected (see services/unitService).
+// Returns the updated request, or null when the request no longer accepts confirmations.
+const recordConfirmation = async (requestId, { token, actor = SYSTEM_ACTOR, reason = 'Donor confirmed' } = {}) => {
+  const updated = await BloodRequest.findOneAndUpdate(
+    {
+      _id: requestId,
+      status: { $in: ACCEPTING_STATUSES },
+      $expr: { $lt: ['$confirmedUnits', '$quantity'] },
+      ...(token ? { activeTokens: token } : {})
+    },
+    { $inc: { confirmedUnits: 1 } },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  const moved = await tryTransition(updated, 'partially-fulfilled', {
+    actor,
+    reason: `${reason} (${updated.confirmedUnits}/${updated.quantity} units)`
+  });
+  return moved || updated;
+};
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  OPEN_STATUSES,
+  ACCEPTING_STATUSES,
+  TERMINAL_STATUSES,
+  SYSTEM_ACTOR,
+  actorFromUser,
+  systemActor,
+  canTransition,
+  transition,
+  tryTransition,
+  recordConfirmation
+};
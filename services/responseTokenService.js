@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+
+// Response links are signed so forged or altered tokens are rejected before any database lookup
+const RESPONSE_TOKEN_SECRET = process.env.RESPONSE_TOKEN_SECRET || process.env.JWT_SECRET || 'fallback_secret_key';
+
+// Used when a request has no requiredBy in the future
+const DEFAULT_TOKEN_TTL_HOURS = 24;
+
+// Payload: request id (12 bytes) + donor id (12 bytes) + expiry in unix seconds (4) + random nonce (8)
+const PAYLOAD_BYTES = 36;
+const SIGNATURE_BYTES = 16;
+
+const sign = (payload) =>
+  crypto.createHmac('sha256', RESPONSE_TOKEN_SECRET).update(payload).digest().subarray(0, SIGNATURE_BYTES);
+
+// Links stay valid until the blood is needed by; after that the request no longer needs donors
+const getTokenExpiry = (request, now = new Date()) => {
+  const requiredBy = request && request.requiredBy ? new Date(request.requiredBy) : null;
+  if (requiredBy && requiredBy > now) return requiredBy;
+  return new Date(now.getTime() + DEFAULT_TOKEN_TTL_HOURS * 60 * 60 * 1000);
+};
+
+// New signed token for one donor on one request: "<payload>.<signature>", both base64url
+const createResponseToken = (requestId, donorId, expiresAt) => {
+  const expiry = Buffer.alloc(4);
+  expiry.writeUInt32BE(Math.floor(new Date(expiresAt).getTime() / 1000));
+  const payload = Buffer.concat([
+    Buffer.from(String(requestId), 'hex'),
+    Buffer.from(String(donorId), 'hex'),
+    expiry,
+    crypto.randomBytes(8)
+  ]);
+  return `${payload.toString('base64url')}.${sign(payload).toString('base64url')}`;
+};
+
+// Check a token's signature (in constant time) and expiry.
+// Returns { valid: true, requestId, donorId, expiresAt } or { valid: false, reason }.
+const verifyResponseToken = (token, now = new Date()) => {
+  const parts = typeof token === 'string' && token.length <= 128 ? token.split('.') : [];
+  if (parts.length !== 2) return { valid: false, reason: 'malformed' };
+
+  const payload = Buffer.from(parts[0], 'base64url');
+  const signature = Buffer.from(parts[1], 'base64url');
+  if (payload.length !== PAYLOAD_BYTES || signature.length !== SIGNATURE_BYTES) {
+    return { valid: false, reason: 'malformed' };
+  }
+  if (!crypto.timingSafeEqual(signature, sign(payload))) return { valid: false, reason: 'bad signature' };
+
+  const expiresAt = new Date(payload.readUInt32BE(24) * 1000);
+  if (expiresAt <= now) return { valid: false, reason: 'expired', expiresAt };
+
+  return {
+    valid: true,
+    requestId: payload.subarray(0, 12).toString('hex'),
+    donorId: payload.subarray(12, 24).toString('hex'),
+    expiresAt
+  };
+};
+
+// Does a stored token document belong to the request and donor its signature names?
+const matchesTokenDoc = (verified, tokenDoc) =>
+  !!tokenDoc &&
+  String(tokenDoc.requestId) === verified.requestId &&
+  String(tokenDoc.donorId) === verified.donorId;
+
+module.exports = {
+  DEFAULT_TOKEN_TTL_HOURS,
+  getTokenExpiry,
+  createResponseToken,
+  verifyResponseToken,
+  matchesTokenDoc
+};
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const twilio = require('twilio');
+const { getSmsInfo } = require('../utils/smsSegments');
+
+// SMS provider adapters. Each one exposes:
+//   name
+//   send(to, message) -> { success, sid, error }
+
+const PROVIDER_NAMES = ['twilio', 'http', 'mock'];
+
+// statusCallbackUrl, when set, asks Twilio to post delivery receipts there
+const createTwilioProvider = ({ accountSid, authToken, fromNumber, statusCallbackUrl }) => {
+  if (!accountSid || !authToken) {
+    throw new Error('Twilio credentials not configured (Account SID / Auth Token)');
+  }
+  const client = twilio(accountSid, authToken);
+
+  return {
+    name: 'twilio',
+    client,
+    send: async (to, message) => {
+      if (!fromNumber) {
+        return { success: false, error: 'SMS phone number not configured in database or environment variables' };
+      }
+      try {
+        const payload = { body: message, to, from: fromNumber };
+        if (statusCallbackUrl) payload.statusCallback = statusCallbackUrl;
+        const response = await client.messages.create(payload);
+        return { success: true, sid: response.sid };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    }
+  };
+};
+
+// Request shapes for HTTP SMS gateways. `custom` posts { to, message, sender } as JSON
+// with a bearer token, which most in-house gateways accept.
+const HTTP_PRESETS = {
+  msg91: {
+    url: 'https://api.msg91.com/api/v2/sendsms',
+    build: ({ apiKey, senderId }, to, message, { unicode }) => ({
+      headers: { authkey: apiKey, 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        sender: senderId,
+        route: '4',
+        country: '91',
+        ...(unicode ? { unicode: 1 } : {}),
+        sms: [{ message, to: [to.replace(/^\+/, '')] }]
+      })
+    }),
+    messageId: (data) => data && data.message
+  },
+  textlocal: {
+    url: 'https://api.textlocal.in/send/',
+    build: ({ apiKey, senderId }, to, message, { unicode }) => ({
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        apikey: apiKey,
+        numbers: to.replace(/^\+/, ''),
+        sender: senderId,
+        message,
+        ...(unicode ? { unicode: 'true' } : {})
+      }).toString()
+    }),
+    messageId: (data) => data && data.batch_id,
+    failed: (data) => data && data.status === 'failure'
+  },
+  custom: {
+    build: ({ apiKey, senderId }, to, message, { encoding }) => ({
+      headers: { Authorization: `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ to, message, sender: senderId, encoding })
+    }),
+    messageId: (data) => data && (data.id || data.messageId)
+  }
+};
+
+const createHttpProvider = ({ preset = 'custom', url, apiKey, senderId }) => {
+  const shape = HTTP_PRESETS[preset];
+  if (!shape) {
+    throw new Error(`Unknown SMS gateway preset: ${preset}`);
+  }
+  const endpoint = url || shape.url;
+  if (!endpoint || !apiKey) {
+    throw new Error('SMS gateway URL and API key must be configured');
+  }
+
+  return {
+    name: 'http',
+    send: async (to, message) => {
+      try {
+        // Gateways need to be told when text is outside GSM-7 (Hindi, Gujarati, Marathi...)
+        const { encoding } = getSmsInfo(message);
+        const options = { encoding, unicode: encoding === 'UCS-2' };
+        const response = await fetch(endpoint, { method: 'POST', ...shape.build({ apiKey, senderId }, to, message, options) });
+        const raw = await response.text();
+        let data = null;
+        try { data = JSON.parse(raw); } catch (e) { data = null; }
+
+        if (!response.ok || (shape.failed && shape.failed(data))) {
+          return { success: false, error: `Gateway responded ${response.status}: ${raw.slice(0, 200)}` };
+        }
+        return { success: true, sid: shape.messageId(data) || undefined };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    }
+  };
+};
+
+// Mock: records messages instead of sending them. Kept in the shared outbox in
+// services/channelProviders.js, and appended as JSON lines to SMS_MOCK_FILE when set,
+// so a dev or CI run can inspect what went out.
+const createMockProvider = ({ file } = {}) => ({
+  name: 'mock',
+  send: async (to, message) => {
+    // Required here: channelProviders loads smsService, which loads this module
+    const { recordOutboxMessage } = require('./channelProviders');
+    const { encoding, segments } = getSmsInfo(message);
+    const record = { sid: `mock-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`, to, message, encoding, segments, at: new Date().toISOString() };
+    recordOutboxMessage({ id: record.sid, channel: 'sms', provider: 'mock', to, text: message, encoding, segments });
+
+    if (file) {
+      try {
+        await fs.promises.appendFile(file, JSON.stringify(record) + '\n');
+      } catch (error) {
+        console.error('❌ Failed to write mock SMS file:', error.message);
+      }
+    }
+    console.log(`📭 [mock SMS] To ${to}: ${message}`);
+    return { success: true, sid: record.sid };
+  }
+});
+
+module.exports = {
+  PROVIDER_NAMES,
+  HTTP_PRESETS,
+  createTwilioProvider,
+  createHttpProvider,
+  createMockProvider
+};
@@ -1,110 +1,156 @@
 const twilio = require('twilio');
 const Settings = require('../models/Settings');
+const { PROVIDER_NAMES, createTwilioProvider, createHttpProvider, createMockProvider } = require('./smsProviders');
+const { renderTemplate } = require('../utils/templateEngine');
 
-// Initialize Twilio client with your credentials (fallback to env variables)
-let client = null;
+// Active provider, rebuilt from Settings when settings change or the cache goes stale
+let activeProvider = null;
+let loadedAt = 0;
+const PROVIDER_CACHE_MS = 60 * 1000;
 
-const initializeTwilioClient = async () => {
-  try {
-    console.log('🔧 Initializing Twilio client...');
-    const settings = await Settings.getSettings();
-    
-    // Get credentials with proper fallback
-    const accountSid = (settings.smsAccountSid && settings.smsAccountSid.trim() !== '') 
-      ? settings.smsAccountSid 
-      : process.env.TWILIO_ACCOUNT_SID;
-    const authToken = (settings.smsApiKey && settings.smsApiKey.trim() !== '') 
-      ? settings.smsApiKey 
-      : process.env.TWILIO_AUTH_TOKEN;
-    
-    console.log('🔧 Credentials check:', {
-      dbAccountSid: settings.smsAccountSid ? 'found' : 'empty',
-      dbAuthToken: settings.smsApiKey ? 'found' : 'empty',
-      envAccountSid: process.env.TWILIO_ACCOUNT_SID ? 'found' : 'missing',
-      envAuthToken: process.env.TWILIO_AUTH_TOKEN ? 'found' : 'missing',
-      usingAccountSid: accountSid ? accountSid.substring(0, 8) + '...' : 'none',
-      usingAuthToken: authToken ? 'found' : 'none'
+// Credentials from Settings, falling back to environment variables for anything left blank
+const getTwilioConfig = (settings) => {
+  const pick = (value, envValue) => (value && value.trim() !== '' ? value : envValue);
+  return {
+    accountSid: pick(settings.smsAccountSid, process.env.TWILIO_ACCOUNT_SID),
+    authToken: pick(settings.smsApiKey, process.env.TWILIO_AUTH_TOKEN),
+    fromNumber: pick(settings.smsPhoneNumber, process.env.TWILIO_PHONE_NUMBER)
+  };
+};
+
+// Twilio auth token in use (Settings, else env): Twilio signs its webhooks with it
+const getTwilioAuthToken = async () => getTwilioConfig(await Settings.getSettings()).authToken;
+
+// Public URL providers post delivery receipts to (needs PUBLIC_BASE_URL, the server's public address)
+const getStatusCallbackUrl = (provider) => {
+  if (!process.env.PUBLIC_BASE_URL) return null;
+  const secret = process.env.SMS_WEBHOOK_SECRET ? `?secret=${encodeURIComponent(process.env.SMS_WEBHOOK_SECRET)}` : '';
+  return `${process.env.PUBLIC_BASE_URL.replace(/\/$/, '')}/webhooks/sms/status/${provider}${secret}`;
+};
+
+const buildProvider = (settings) => {
+  const name = settings.smsProvider || 'twilio';
+  if (!PROVIDER_NAMES.includes(name)) {
+    throw new Error(`Unknown SMS provider: ${name}`);
+  }
+
+  if (name === 'mock') {
+    return createMockProvider({ file: process.env.SMS_MOCK_FILE });
+  }
+  if (name === 'http') {
+    const gateway = settings.smsGateway || {};
+    return createHttpProvider({
+      preset: gateway.preset,
+      url: gateway.url,
+      apiKey: gateway.apiKey || process.env.SMS_GATEWAY_API_KEY,
+      senderId: gateway.senderId || process.env.SMS_GATEWAY_SENDER_ID
     });
-    
-    if (accountSid && authToken) {
-      client = twilio(accountSid, authToken);
-      const source = (settings.smsAccountSid && settings.smsApiKey) ? 'database' : 'environment';
-      console.log(`✅ Twilio client initialized with ${source} credentials`);
-    } else {
-      console.error('❌ Twilio credentials not found in database or environment variables');
-      throw new Error('Missing Twilio credentials');
-    }
-  } catch (error) {
-    console.error('❌ Error initializing Twilio client:', error.message);
-    // Force fallback to environment variables
-    const accountSid = process.env.TWILIO_ACCOUNT_SID;
-    const authToken = process.env.TWILIO_AUTH_TOKEN;
-    if (accountSid && authToken) {
-      client = twilio(accountSid, authToken);
-      console.log('✅ Twilio client initialized with environment variables (fallback)');
-    } else {
-      console.error('❌ Environment variable fallback also failed');
-    }
   }
+  return createTwilioProvider({ ...getTwilioConfig(settings), statusCallbackUrl: getStatusCallbackUrl('twilio') });
 };
 
-// Initialize client on startup - Force environment variables for now
-const forceEnvInitialization = () => {
-  const accountSid = process.env.TWILIO_ACCOUNT_SID;
-  const authToken = process.env.TWILIO_AUTH_TOKEN;
-  
-  console.log('🔧 Force initializing with environment variables...');
-  console.log('🔧 Env check:', {
-    accountSid: accountSid ? accountSid.substring(0, 8) + '...' : 'missing',
-    authToken: authToken ? 'found' : 'missing',
-    phoneNumber: process.env.TWILIO_PHONE_NUMBER || 'missing'
-  });
-  
-  if (accountSid && authToken) {
-    client = twilio(accountSid, authToken);
-    console.log('✅ Twilio client force-initialized with environment variables');
-  } else {
-    console.error('❌ Environment variables missing for Twilio');
+// The SMS provider selected in Settings
+const getSMSProvider = async () => {
+  if (activeProvider && Date.now() - loadedAt < PROVIDER_CACHE_MS) {
+    return activeProvider;
   }
+  const settings = await Settings.getSettings();
+  activeProvider = buildProvider(settings);
+  loadedAt = Date.now();
+  console.log(`📡 SMS provider: ${activeProvider.name}`);
+  return activeProvider;
+};
+
+// Drop the cached provider so the next send picks up new settings
+const refreshSMSProvider = async () => {
+  activeProvider = null;
+  loadedAt = 0;
+  return getSMSProvider();
 };
 
-// Use environment variables directly for now
-forceEnvInitialization();
+// Twilio client for WhatsApp and voice (always Twilio, whatever the SMS provider)
+let twilioClient = null;
+const getTwilioClient = async () => {
+  if (twilioClient) return twilioClient;
+  const { accountSid, authToken } = getTwilioConfig(await Settings.getSettings());
+  if (!accountSid || !authToken) return null;
+  twilioClient = twilio(accountSid, authToken);
+  return twilioClient;
+};
 
 const sendSMS = async (to, message) => {
   try {
     console.log(`📱 Attempting to send SMS to ${to}`);
-    
-    // Reinitialize client to get latest settings
+    const provider = await getSMSProvider();
+
+    console.log(`📝 Message length: ${message.length} characters (via ${provider.name})`);
+    const result = await provider.send(to, message);
+
+    if (result.success) {
+      console.log('✅ SMS sent successfully:', result.sid);
+    } else {
+      console.error('❌ Error sending SMS:', result.error);
+    }
+    return { ...result, provider: provider.name };
+  } catch (error) {
+    console.error('❌ Error sending SMS:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Send a WhatsApp message through Twilio. Uses the approved content template when one is configured.
+const sendWhatsApp = async (to, message, variables = {}) => {
+  try {
+    const client = await getTwilioClient();
     if (!client) {
-      console.log('🔧 Client not initialized, initializing now...');
-      await initializeTwilioClient();
+      throw new Error('Twilio client not initialized. Please check SMS configuration.');
     }
-    
+
+    const fromNumber = process.env.TWILIO_WHATSAPP_NUMBER || process.env.TWILIO_PHONE_NUMBER;
+    if (!fromNumber) {
+      throw new Error('WhatsApp sender number not configured');
+    }
+
+    const payload = { to: `whatsapp:${to}`, from: `whatsapp:${fromNumber}` };
+    if (process.env.TWILIO_WHATSAPP_TEMPLATE_SID) {
+      payload.contentSid = process.env.TWILIO_WHATSAPP_TEMPLATE_SID;
+      payload.contentVariables = JSON.stringify(variables);
+    } else {
+      payload.body = message;
+    }
+
+    const response = await client.messages.create(payload);
+    console.log('✅ WhatsApp message sent successfully:', response.sid);
+    return { success: true, sid: response.sid };
+  } catch (error) {
+    console.error('❌ Error sending WhatsApp message:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+// Place a voice call that reads the message out
+const makeVoiceCall = async (to, message) => {
+  try {
+    const client = await getTwilioClient();
     if (!client) {
       throw new Error('Twilio client not initialized. Please check SMS configuration.');
     }
-    
-    // For now, use environment variables directly
-    const fromNumber = process.env.TWILIO_PHONE_NUMBER;
-    
+
+    const fromNumber = process.env.TWILIO_VOICE_NUMBER || process.env.TWILIO_PHONE_NUMBER;
     if (!fromNumber) {
-      throw new Error('SMS phone number not configured in database or environment variables');
+      throw new Error('Voice caller number not configured');
     }
-    
-    console.log(`📞 Sending SMS from ${fromNumber} to ${to}`);
-    console.log(`📝 Message length: ${message.length} characters`);
-    
-    const response = await client.messages.create({
-      body: message,
-      to: to,
+
+    const spoken = message.replace(/[<>&]/g, ' ');
+    const response = await client.calls.create({
+      twiml: `<Response><Say>${spoken}</Say><Pause length="1"/><Say>${spoken}</Say></Response>`,
+      to,
       from: fromNumber
     });
-    
-    console.log('✅ SMS sent successfully:', response.sid);
+    console.log('✅ Voice call placed successfully:', response.sid);
     return { success: true, sid: response.sid };
   } catch (error) {
-    console.error('❌ Error sending SMS:', error);
+    console.error('❌ Error placing voice call:', error.message);
     return { success: false, error: error.message };
   }
 };
@@ -161,23 +207,23 @@ const getSMSTemplate = async (priority = 'normal') => {
   }
 };
 
-// Format SMS message with template variables
-const formatSMSMessage = (template, variables) => {
-  let message = template;
-  Object.keys(variables).forEach(key => {
-    const placeholder = `{${key}}`;
-    message = message.replace(new RegExp(placeholder, 'g'), variables[key]);
-  });
-  return message;
-};
+// Format SMS message with template variables ({name} and {#if name}...{/if}, see utils/templateEngine.js)
+const formatSMSMessage = (template, variables) => renderTemplate(template, variables).output;
 
-// Refresh Twilio client with new settings
+// Refresh providers and clients with new settings
 const refreshTwilioClient = async () => {
-  await initializeTwilioClient();
+  twilioClient = null;
+  return refreshSMSProvider();
 };
 
 module.exports = { 
   sendSMS, 
+  sendWhatsApp,
+  makeVoiceCall,
+  getSMSProvider,
+  refreshSMSProvider,
+  getStatusCallbackUrl,
+  getTwilioAuthToken,
   sendSMSWithConfig, 
   getSMSTemplate, 
   formatSMSMessage, 
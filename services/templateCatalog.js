@@ -0,0 +1,323 @@
+// Built-in copy for every outbound message, used until an admin saves their own version
+// (see services/templateService.js). Syntax: {variable} and {#if variable}...{else}...{/if}.
+//
+// Channels per template: sms (also used for WhatsApp unless it has its own), whatsapp,
+// email ({ subject, body, html }; body defaults to the SMS text) and voice (spoken text).
+// translations holds the same shape per language; anything missing falls back to English.
+
+const TEMPLATE_CHANNELS = ['sms', 'whatsapp', 'email', 'voice'];
+
+// Languages donors can choose. Messages without copy in a language go out in English.
+const SUPPORTED_LANGUAGES = {
+  en: 'English',
+  hi: 'Hindi',
+  gu: 'Gujarati',
+  mr: 'Marathi'
+};
+
+// Request alert SMS. English high/normal copy lives in Settings (smsTemplateHighPriority /
+// smsTemplateNormalPriority); admins can override the translated copy per language in
+// Settings.smsTemplateTranslations.
+const ALERT_SMS_COPY = {
+  en: {
+    pregnancy: 'PREGNANCY EMERGENCY: {quantity} units {bloodType} blood needed URGENTLY for pregnant patient at {hospital}. Please respond: {responseUrl}'
+  },
+  hi: {
+    pregnancy: 'गर्भावस्था आपातकाल: {hospital} में गर्भवती मरीज़ के लिए {bloodType} रक्त की {quantity} यूनिट तुरंत चाहिए। कृपया जवाब दें: {responseUrl}',
+    high: '🚨 अति आवश्यक: {hospital} में रक्तदान की ज़रूरत है। आपका {bloodType} रक्त किसी की जान बचा सकता है। पुष्टि के लिए YES भेजें। {responseUrl}',
+    normal: '{hospital} से रक्तदान का अनुरोध। आपके {bloodType} रक्त की ज़रूरत है। क्या आप मदद कर सकते हैं? पुष्टि के लिए YES भेजें। {responseUrl}'
+  },
+  gu: {
+    pregnancy: 'ગર્ભાવસ્થા કટોકટી: {hospital} ખાતે ગર્ભવતી દર્દી માટે {bloodType} લોહીના {quantity} યુનિટની તાત્કાલિક જરૂર છે. કૃપા કરીને જવાબ આપો: {responseUrl}',
+    high: '🚨 તાત્કાલિક: {hospital} ખાતે રક્તદાનની જરૂર છે. તમારું {bloodType} લોહી કોઈનો જીવ બચાવી શકે છે. પુષ્ટિ માટે YES મોકલો. {responseUrl}',
+    normal: '{hospital} તરફથી રક્તદાનની વિનંતી. તમારા {bloodType} લોહીની જરૂર છે. શું તમે મદદ કરી શકશો? પુષ્ટિ માટે YES મોકલો. {responseUrl}'
+  },
+  mr: {
+    pregnancy: 'गर्भधारणा आणीबाणी: {hospital} येथे गर्भवती रुग्णासाठी {bloodType} रक्ताच्या {quantity} युनिट्सची तातडीने गरज आहे. कृपया प्रतिसाद द्या: {responseUrl}',
+    high: '🚨 तातडीचे: {hospital} येथे रक्तदानाची गरज आहे. तुमचे {bloodType} रक्त एखाद्याचा जीव वाचवू शकते. पुष्टीसाठी YES पाठवा. {responseUrl}',
+    normal: '{hospital} कडून रक्तदानाची विनंती. तुमच्या {bloodType} रक्ताची गरज आहे. तुम्ही मदत करू शकाल का? पुष्टीसाठी YES पाठवा. {responseUrl}'
+  }
+};
+
+// Opt-out lines added to outreach messages (see withOptOut in services/outreachService.js).
+// The STOP keyword itself stays in English so every gateway recognises it.
+const OPT_OUT_COPY = {
+  en: { sms: 'Reply STOP to opt out.', email: 'To stop receiving these emails:' },
+  hi: { sms: 'बंद करने के लिए STOP भेजें।', email: 'ये ईमेल बंद करने के लिए:' },
+  gu: { sms: 'બંધ કરવા STOP મોકલો.', email: 'આ ઈમેલ બંધ કરવા માટે:' },
+  mr: { sms: 'बंद करण्यासाठी STOP पाठवा.', email: 'हे ईमेल बंद करण्यासाठी:' }
+};
+
+// Every variable a template can use, with sample values for previews
+const VARIABLE_CATALOG = {
+  donorName: { description: 'Donor\'s name', sample: 'Priya Sharma' },
+  hospital: { description: 'Hospital name', sample: 'City General Hospital' },
+  bloodType: { description: 'Blood group needed, e.g. O+', sample: 'O+' },
+  quantity: { description: 'Units needed', sample: 2 },
+  urgency: { description: 'Urgency label, e.g. HIGH PRIORITY - EMERGENCY', sample: 'HIGH PRIORITY - EMERGENCY' },
+  isUrgent: { description: 'True for high and pregnancy urgency', sample: true },
+  isPregnancy: { description: 'True for pregnancy emergencies', sample: false },
+  requiredBy: { description: 'When the blood is needed by (local date and time)', sample: '19 Oct, 18:00' },
+  responseUrl: { description: 'Link for the donor to respond', sample: 'https://raktmap.example/r/6530c1f2a4' },
+  until: { description: 'Date a donor\'s pause ends (local date and time); empty for an indefinite pause', sample: '26 Oct, 09:30' },
+  name: { description: 'Account holder\'s name (OTP emails)', sample: 'City General Hospital' },
+  otp: { description: 'One-time password', sample: '482913' },
+  validMinutes: { description: 'Minutes the OTP stays valid', sample: 10 },
+  year: { description: 'Current year', sample: new Date().getFullYear() }
+};
+
+const emailLayout = (title, content) => `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #DC2626 0%, #991B1B 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9fafb; padding: 30px; border-radius: 0 0 10px 10px; }
+          .otp-box { background: white; border: 2px dashed #DC2626; padding: 20px; text-align: center; margin: 20px 0; border-radius: 8px; }
+          .otp-code { font-size: 32px; font-weight: bold; color: #DC2626; letter-spacing: 5px; }
+          .warning { background: #FEF3C7; border-left: 4px solid #F59E0B; padding: 15px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>${title}</h1>
+          </div>
+          <div class="content">
+${content}
+          </div>
+          <div class="footer">
+            <p>This is an automated email. Please do not reply.</p>
+            <p>&copy; {year} RaktMap Blood Donation System. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+const otpBox = `
+            <div class="otp-box">
+              <p style="margin: 0; font-size: 14px; color: #666;">Your OTP Code</p>
+              <p class="otp-code">{otp}</p>
+              <p style="margin: 0; font-size: 12px; color: #999;">Valid for {validMinutes} minutes</p>
+            </div>`;
+
+const TEMPLATES = {
+  'request-alert': {
+    description: 'First message asking a donor to donate for a blood request',
+    variables: ['donorName', 'hospital', 'bloodType', 'quantity', 'urgency', 'isUrgent', 'isPregnancy', 'requiredBy', 'responseUrl'],
+    channels: {
+      // The non-pregnancy SMS text comes from the legacy Settings templates (see templateService)
+      sms: { body: null },
+      email: { subject: '{urgency}: {bloodType} blood needed at {hospital}' },
+      voice: { body: 'This is RaktMap. {quantity} units of {bloodType} blood are needed at {hospital}. Please check your text messages or email for the link to respond. Thank you.' }
+    },
+    translations: {
+      hi: { email: { subject: 'ज़रूरी: {hospital} में {bloodType} रक्त चाहिए' } },
+      gu: { email: { subject: 'તાત્કાલિક: {hospital} ખાતે {bloodType} લોહીની જરૂર' } },
+      mr: { email: { subject: 'तातडीचे: {hospital} येथे {bloodType} रक्ताची गरज' } }
+    }
+  },
+  'request-reminder': {
+    description: 'Reminder halfway through an urgent batch\'s response window',
+    variables: ['donorName', 'hospital', 'bloodType', 'quantity', 'responseUrl'],
+    channels: {
+      sms: { body: 'REMINDER: {quantity} unit(s) of {bloodType} blood still needed at {hospital}. Please respond: {responseUrl}' },
+      email: { subject: 'Reminder: {bloodType} blood still needed at {hospital}' },
+      voice: { body: 'This is RaktMap with a reminder. {bloodType} blood is still needed at {hospital}. Please check your messages for the link to respond.' }
+    },
+    translations: {
+      hi: {
+        sms: { body: 'याद दिलाना: {hospital} में अभी भी {bloodType} रक्त की {quantity} यूनिट चाहिए। कृपया जवाब दें: {responseUrl}' },
+        email: { subject: 'याद दिलाना: {hospital} में {bloodType} रक्त चाहिए' }
+      },
+      gu: {
+        sms: { body: 'યાદ અપાવીએ: {hospital} ખાતે હજુ પણ {bloodType} લોહીના {quantity} યુનિટની જરૂર છે. કૃપા કરીને જવાબ આપો: {responseUrl}' },
+        email: { subject: 'યાદ અપાવીએ: {hospital} ખાતે {bloodType} લોહીની જરૂર' }
+      },
+      mr: {
+        sms: { body: 'स्मरणपत्र: {hospital} येथे अजूनही {bloodType} रक्ताच्या {quantity} युनिट्सची गरज आहे. कृपया प्रतिसाद द्या: {responseUrl}' },
+        email: { subject: 'स्मरणपत्र: {hospital} येथे {bloodType} रक्ताची गरज' }
+      }
+    }
+  },
+  'request-cancelled': {
+    description: 'Tells donors who pledged that a request was cancelled or closed and they need not come in',
+    variables: ['donorName', 'hospital', 'bloodType'],
+    channels: {
+      sms: { body: 'Update from {hospital}: the {bloodType} blood request you responded to is no longer needed. You do not need to come in. Thank you for offering to help!' },
+      email: { subject: 'Update: {bloodType} blood request at {hospital}' },
+      voice: { body: 'This is RaktMap. The {bloodType} blood request at {hospital} is no longer needed, so you do not need to come in. Thank you for offering to help.' }
+    },
+    translations: {
+      hi: {
+        sms: { body: '{hospital} से सूचना: आपने जिस {bloodType} रक्त अनुरोध का जवाब दिया था, उसकी अब ज़रूरत नहीं है। आपको आने की ज़रूरत नहीं है। मदद की पेशकश के लिए धन्यवाद!' },
+        email: { subject: 'सूचना: {hospital} में {bloodType} रक्त अनुरोध' }
+      },
+      gu: {
+        sms: { body: '{hospital} તરફથી સૂચના: તમે જે {bloodType} લોહીની વિનંતીનો જવાબ આપ્યો હતો તેની હવે જરૂર નથી. તમારે આવવાની જરૂર નથી. મદદ કરવાની તૈયારી બદલ આભાર!' },
+        email: { subject: 'સૂચના: {hospital} ખાતે {bloodType} લોહીની વિનંતી' }
+      },
+      mr: {
+        sms: { body: '{hospital} कडून सूचना: तुम्ही प्रतिसाद दिलेल्या {bloodType} रक्त विनंतीची आता गरज नाही. तुम्हाला येण्याची गरज नाही. मदतीच्या तयारीबद्दल धन्यवाद!' },
+        email: { subject: 'सूचना: {hospital} येथील {bloodType} रक्त विनंती' }
+      }
+    }
+  },
+  'reply-pledged': {
+    description: 'Thank-you reply when a donor texts YES and is pledged',
+    variables: ['hospital', 'bloodType'],
+    channels: { sms: { body: 'RaktMap: Thank you! {hospital} is expecting you for {bloodType} blood. Please go as soon as you can.' } },
+    translations: {
+      hi: { sms: { body: 'RaktMap: धन्यवाद! {hospital} में {bloodType} रक्त के लिए आपका इंतज़ार है। कृपया जितनी जल्दी हो सके पहुँचें।' } },
+      gu: { sms: { body: 'RaktMap: આભાર! {hospital} ખાતે {bloodType} લોહી માટે તમારી રાહ જોવાઈ રહી છે. કૃપા કરીને બને તેટલા જલ્દી પહોંચો.' } },
+      mr: { sms: { body: 'RaktMap: धन्यवाद! {hospital} येथे {bloodType} रक्तासाठी तुमची वाट पाहिली जात आहे. कृपया शक्य तितक्या लवकर पोहोचा.' } }
+    }
+  },
+  'reply-covered': {
+    description: 'Reply to YES when the request already has enough donors',
+    variables: [],
+    channels: { sms: { body: 'RaktMap: Thank you! This request already has enough donors, so you do not need to come in.' } }
+  },
+  'reply-declined': {
+    description: 'Thank-you reply when a donor texts NO',
+    variables: [],
+    channels: { sms: { body: 'RaktMap: Thanks for letting us know. We will reach out again when your blood group is needed.' } },
+    translations: {
+      hi: { sms: { body: 'RaktMap: बताने के लिए धन्यवाद। जब आपके रक्त समूह की ज़रूरत होगी, हम फिर संपर्क करेंगे।' } },
+      gu: { sms: { body: 'RaktMap: જણાવવા બદલ આભાર. તમારા બ્લડ ગ્રુપની જરૂર પડશે ત્યારે અમે ફરી સંપર્ક કરીશું.' } },
+      mr: { sms: { body: 'RaktMap: कळवल्याबद्दल धन्यवाद. तुमच्या रक्तगटाची गरज भासल्यास आम्ही पुन्हा संपर्क करू.' } }
+    }
+  },
+  'reply-no-request': {
+    description: 'Reply to YES/NO when no request is waiting for the donor',
+    variables: [],
+    channels: { sms: { body: 'RaktMap: Thank you! There is no blood request waiting for your reply right now.' } }
+  },
+  'reply-stopped': {
+    description: 'Confirms a STOP opt-out',
+    variables: [],
+    channels: { sms: { body: 'RaktMap: You will no longer receive blood request messages here. Reply START to receive them again.' } }
+  },
+  'reply-started': {
+    description: 'Confirms a START opt-in',
+    variables: [],
+    channels: { sms: { body: 'RaktMap: You will receive blood request messages again. Reply STOP to opt out.' } }
+  },
+  'reply-help': {
+    description: 'Reply to HELP',
+    variables: [],
+    channels: { sms: { body: 'RaktMap: reply YES to donate for the latest request, NO to decline, PAUSE 7 to pause requests for 7 days, STOP to stop SMS. Haan/Nahi work too.' } }
+  },
+  'reply-paused': {
+    description: 'Confirms a PAUSE: no requests until the date given, or until the donor replies AVAILABLE',
+    variables: ['until'],
+    channels: { sms: { body: 'RaktMap: {#if until}You will not get blood requests until {until}.{else}Blood requests are paused.{/if} Reply AVAILABLE when you can donate again.' } },
+    translations: {
+      hi: { sms: { body: 'RaktMap: {#if until}{until} तक आपको रक्तदान अनुरोध नहीं भेजे जाएंगे।{else}रक्तदान अनुरोध रोक दिए गए हैं।{/if} जब आप फिर से रक्तदान कर सकें तो AVAILABLE भेजें।' } },
+      gu: { sms: { body: 'RaktMap: {#if until}{until} સુધી તમને રક્તદાનની વિનંતીઓ મોકલવામાં આવશે નહીં.{else}રક્તદાનની વિનંતીઓ થોભાવી દેવામાં આવી છે.{/if} ફરી રક્તદાન કરી શકો ત્યારે AVAILABLE મોકલો.' } },
+      mr: { sms: { body: 'RaktMap: {#if until}{until} पर्यंत तुम्हाला रक्तदानाच्या विनंत्या पाठवल्या जाणार नाहीत.{else}रक्तदानाच्या विनंत्या थांबवल्या आहेत.{/if} पुन्हा रक्तदान करू शकाल तेव्हा AVAILABLE पाठवा.' } }
+    }
+  },
+  'reply-available': {
+    description: 'Confirms an AVAILABLE reply ending a pause',
+    variables: [],
+    channels: { sms: { body: 'RaktMap: Welcome back! You will receive blood requests again. Reply PAUSE to take a break.' } },
+    translations: {
+      hi: { sms: { body: 'RaktMap: आपका फिर से स्वागत है! आपको फिर से रक्तदान अनुरोध मिलेंगे। विराम लेने के लिए PAUSE भेजें।' } },
+      gu: { sms: { body: 'RaktMap: ફરી સ્વાગત છે! તમને ફરીથી રક્તદાનની વિનંતીઓ મળશે. વિરામ લેવા PAUSE મોકલો.' } },
+      mr: { sms: { body: 'RaktMap: पुन्हा स्वागत आहे! तुम्हाला पुन्हा रक्तदानाच्या विनंत्या मिळतील. विश्रांती घेण्यासाठी PAUSE पाठवा.' } }
+    }
+  },
+  'reply-unknown': {
+    description: 'Reply to a message we could not understand',
+    variables: [],
+    channels: { sms: { body: 'RaktMap: Sorry, we did not understand. Reply YES to donate, NO to decline, HELP for help or STOP to opt out.' } }
+  },
+  'otp-donor-login': {
+    description: 'One-time code a donor uses to log in with their phone number',
+    variables: ['name', 'otp', 'validMinutes'],
+    channels: {
+      sms: { body: 'RaktMap: {otp} is your login code. It is valid for {validMinutes} minutes. Do not share it with anyone.' }
+    },
+    translations: {
+      hi: { sms: { body: 'RaktMap: आपका लॉगिन कोड {otp} है। यह {validMinutes} मिनट तक मान्य है। इसे किसी के साथ साझा न करें।' } },
+      gu: { sms: { body: 'RaktMap: તમારો લૉગિન કોડ {otp} છે. તે {validMinutes} મિનિટ માટે માન્ય છે. તેને કોઈની સાથે શેર કરશો નહીં.' } },
+      mr: { sms: { body: 'RaktMap: तुमचा लॉगिन कोड {otp} आहे. तो {validMinutes} मिनिटांसाठी वैध आहे. तो कोणालाही सांगू नका.' } }
+    }
+  },
+  'otp-phone-change': {
+    description: 'One-time code sent to a new phone number before a donor can switch to it',
+    variables: ['name', 'otp', 'validMinutes'],
+    channels: {
+      sms: { body: 'RaktMap: {otp} is your code to confirm this number for your donor account. It is valid for {validMinutes} minutes. Do not share it with anyone.' }
+    }
+  },
+  'otp-registration': {
+    description: 'Email verification code sent when a hospital registers',
+    variables: ['name', 'otp', 'validMinutes', 'year'],
+    channels: {
+      email: {
+        subject: 'Verify Your Email - RaktMap Registration',
+        body: 'Hello {name}! Your RaktMap verification code is {otp}. It is valid for {validMinutes} minutes. Do not share this code with anyone.',
+        html: emailLayout('🩸 Welcome to RaktMap!', `            <h2>Hello {name}!</h2>
+            <p>Thank you for registering with RaktMap Blood Donation System.</p>
+            <p>To complete your registration and verify your email address, please use the following One-Time Password (OTP):</p>
+            ${otpBox}
+
+            <p><strong>Important:</strong></p>
+            <ul>
+              <li>This OTP is valid for {validMinutes} minutes only</li>
+              <li>Do not share this code with anyone</li>
+              <li>If you didn't request this, please ignore this email</li>
+            </ul>
+
+            <p>After verification, you'll be able to:</p>
+            <ul>
+              <li>Create blood requests</li>
+              <li>View available donors on live map</li>
+              <li>Track donation history</li>
+              <li>Manage your hospital profile</li>
+            </ul>`)
+      }
+    }
+  },
+  'otp-password-reset': {
+    description: 'Password reset code',
+    variables: ['name', 'otp', 'validMinutes', 'year'],
+    channels: {
+      email: {
+        subject: 'Password Reset Request - RaktMap',
+        body: 'Hello {name}! Your RaktMap password reset code is {otp}. It is valid for {validMinutes} minutes. If you did not ask to reset your password, ignore this email.',
+        html: emailLayout('🔐 Password Reset Request', `            <h2>Hello {name}!</h2>
+            <p>We received a request to reset your password for your RaktMap account.</p>
+            <p>To proceed with resetting your password, please use the following OTP:</p>
+            ${otpBox}
+
+            <div class="warning">
+              <p style="margin: 0;"><strong>⚠️ Security Alert:</strong></p>
+              <p style="margin: 5px 0 0 0;">If you didn't request a password reset, please ignore this email and ensure your account is secure.</p>
+            </div>
+
+            <p><strong>Next Steps:</strong></p>
+            <ol>
+              <li>Enter this OTP on the password reset page</li>
+              <li>Create a new strong password</li>
+              <li>Log in with your new credentials</li>
+            </ol>`)
+      }
+    }
+  }
+};
+
+module.exports = {
+  TEMPLATE_CHANNELS,
+  SUPPORTED_LANGUAGES,
+  ALERT_SMS_COPY,
+  OPT_OUT_COPY,
+  VARIABLE_CATALOG,
+  TEMPLATES
+};
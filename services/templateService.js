@@ -0,0 +1,250 @@
+const MessageTemplate = require('../models/MessageTemplate');
+const Settings = require('../models/Settings');
+const { TEMPLATE_CHANNELS, SUPPORTED_LANGUAGES, ALERT_SMS_COPY, VARIABLE_CATALOG, TEMPLATES } = require('./templateCatalog');
+const { getSMSTemplate } = require('./smsService');
+const { parseTemplate, renderTemplate } = require('../utils/templateEngine');
+const { getSmsInfo, getSmsWarnings } = require('../utils/smsSegments');
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Channels whose copy is a text message (segment counting applies)
+const TEXT_CHANNELS = ['sms', 'whatsapp'];
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+// High/normal priority alert SMS for a language: Settings for English, otherwise the
+// translation saved in Settings or the built-in one. null when the language has none.
+const getAlertSmsTemplates = async (language) => {
+  const copy = ALERT_SMS_COPY[language];
+  if (!copy) return null;
+  if (language === DEFAULT_LANGUAGE) {
+    const [high, normal] = await Promise.all([getSMSTemplate('high'), getSMSTemplate('normal')]);
+    return { ...copy, high, normal, source: 'settings' };
+  }
+
+  const settings = await Settings.getSettings();
+  const saved = (settings.smsTemplateTranslations && settings.smsTemplateTranslations.get(language)) || {};
+  return {
+    ...copy,
+    high: saved.high || copy.high,
+    normal: saved.normal || copy.normal,
+    source: saved.high || saved.normal ? 'settings' : 'default'
+  };
+};
+
+// The request alert SMS predates the template store: its built-in copy is built from the
+// high/normal priority templates in Settings so existing customisations keep working
+const getLegacyAlertSms = async (language) => {
+  const templates = await getAlertSmsTemplates(language);
+  if (!templates) return null;
+  const withLink = (template) =>
+    template.includes('{responseUrl}') || template.includes('http') ? template : `${template} Respond: {responseUrl}`;
+  return `{#if isPregnancy}${templates.pregnancy}` +
+    `{else}{#if isUrgent}${withLink(templates.high)}{else}${withLink(templates.normal)}{/if}{/if}`;
+};
+
+const getBuiltInTemplate = async (key, channel, language = DEFAULT_LANGUAGE) => {
+  const definition = TEMPLATES[key];
+  if (!definition) return null;
+  if (key === 'request-alert' && channel === 'sms') {
+    const body = await getLegacyAlertSms(language);
+    return body ? { subject: null, body, html: null } : null;
+  }
+
+  const copy = language === DEFAULT_LANGUAGE
+    ? definition.channels[channel]
+    : definition.translations && definition.translations[language] && definition.translations[language][channel];
+  if (!copy) return null;
+  return { subject: copy.subject || null, body: copy.body || null, html: copy.html || null };
+};
+
+// The copy to use for one message on one channel, in the donor's language if there is any
+// (admin's version, then built-in), otherwise English. null if the message has nothing for that channel.
+const resolveTemplate = async (key, channel, language = DEFAULT_LANGUAGE) => {
+  if (!TEMPLATES[key]) throw httpError(404, `Unknown template: ${key}`);
+
+  const wanted = SUPPORTED_LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
+  const languages = [...new Set([wanted, DEFAULT_LANGUAGE])];
+  for (const lang of languages) {
+    const stored = await MessageTemplate.findOne({ key, channel, language: lang }).lean();
+    if (stored) {
+      return { subject: stored.subject || null, body: stored.body, html: stored.html || null, language: lang, source: 'custom', updatedAt: stored.updatedAt };
+    }
+    const builtIn = await getBuiltInTemplate(key, channel, lang);
+    if (builtIn) return { ...builtIn, language: lang, source: 'default' };
+  }
+  return null;
+};
+
+const renderField = (source, variables, missing) => {
+  if (!source) return null;
+  const result = renderTemplate(source, variables);
+  result.missing.forEach(name => missing.add(name));
+  return result.output;
+};
+
+// Render one message on one channel. WhatsApp falls back to the SMS copy and email
+// bodies to the SMS text, so most messages only need an SMS template.
+const renderMessage = async (key, channel, variables = {}, { language } = {}) => {
+  const missing = new Set();
+  const vars = { year: new Date().getFullYear(), ...variables };
+
+  let template = await resolveTemplate(key, channel, language);
+  if (!template && channel === 'whatsapp') template = await resolveTemplate(key, 'sms', language);
+  if (!template) return null;
+
+  let body = template.body;
+  if (!body && channel === 'email') {
+    const sms = await resolveTemplate(key, 'sms', language);
+    body = sms && sms.body;
+  }
+
+  const rendered = {
+    subject: renderField(template.subject, vars, missing),
+    text: renderField(body, vars, missing),
+    html: renderField(template.html, vars, missing),
+    language: template.language,
+    source: template.source
+  };
+  if (missing.size > 0) {
+    console.warn(`⚠️ Template ${key}/${channel} rendered without: ${[...missing].join(', ')}`);
+  }
+  return { ...rendered, missing: [...missing] };
+};
+
+// Outreach content for every channel at once, in the shape sendOnChannel expects:
+// text (SMS), subject, spoken (voice) and per-channel overrides for WhatsApp and email
+const renderContent = async (key, variables = {}, { language } = {}) => {
+  const [sms, whatsapp, email, voice] = await Promise.all(
+    TEMPLATE_CHANNELS.map(channel => renderMessage(key, channel, variables, { language }))
+  );
+  const text = sms ? sms.text : (email && email.text);
+
+  const channels = {};
+  if (whatsapp && whatsapp.text !== text) channels.whatsapp = { text: whatsapp.text };
+  if (email) channels.email = { text: email.text, subject: email.subject, html: email.html };
+
+  return {
+    text,
+    subject: email ? email.subject : null,
+    spoken: voice ? voice.text : null,
+    language: sms ? sms.language : DEFAULT_LANGUAGE,
+    variables,
+    channels
+  };
+};
+
+// Syntax errors and warnings for a template an admin is about to save or preview
+const checkTemplate = (key, channel, { subject, body, html }, renderedText) => {
+  const errors = [];
+  const warnings = [];
+  const allowed = new Set([...(TEMPLATES[key] ? TEMPLATES[key].variables : []), 'year']);
+
+  [['subject', subject], ['body', body], ['html', html]].forEach(([field, source]) => {
+    if (!source) return;
+    const parsed = parseTemplate(source);
+    parsed.errors.forEach(error => errors.push(`${field}: ${error}`));
+    const unknown = parsed.variables.filter(name => !VARIABLE_CATALOG[name]);
+    if (unknown.length > 0) errors.push(`${field}: unknown variable(s) ${unknown.map(n => `{${n}}`).join(', ')}`);
+    const unused = parsed.variables.filter(name => VARIABLE_CATALOG[name] && !allowed.has(name));
+    if (unused.length > 0) warnings.push(`${field}: ${unused.map(n => `{${n}}`).join(', ')} is not set for ${key} messages and will be empty`);
+  });
+
+  if (TEXT_CHANNELS.includes(channel) && renderedText) warnings.push(...getSmsWarnings(renderedText));
+  return { errors, warnings };
+};
+
+// Render a saved or draft template with sample data. Draft fields override the saved copy.
+const previewTemplate = async ({ key, channel, language, subject, body, html, variables = {} }) => {
+  if (!TEMPLATES[key]) throw httpError(404, `Unknown template: ${key}`);
+  if (!TEMPLATE_CHANNELS.includes(channel)) throw httpError(400, `Unknown channel: ${channel}`);
+
+  const samples = Object.fromEntries(Object.entries(VARIABLE_CATALOG).map(([name, { sample }]) => [name, sample]));
+  const vars = { ...samples, ...variables };
+
+  const saved = (await resolveTemplate(key, channel, language)) ||
+    (channel === 'whatsapp' ? await resolveTemplate(key, 'sms', language) : null);
+  const draft = {
+    subject: subject !== undefined ? subject : saved && saved.subject,
+    body: body !== undefined ? body : saved && saved.body,
+    html: html !== undefined ? html : saved && saved.html
+  };
+  if (!draft.body && channel === 'email') {
+    const sms = await resolveTemplate(key, 'sms', language);
+    draft.body = sms && sms.body;
+  }
+  if (!draft.body) throw httpError(404, `${key} has no ${channel} message`);
+
+  const missing = new Set();
+  const rendered = {
+    subject: renderField(draft.subject, vars, missing),
+    text: renderField(draft.body, vars, missing),
+    html: renderField(draft.html, vars, missing)
+  };
+  const { errors, warnings } = checkTemplate(key, channel, draft, rendered.text);
+
+  return {
+    key,
+    channel,
+    language: language || DEFAULT_LANGUAGE,
+    source: subject !== undefined || body !== undefined || html !== undefined ? 'draft' : (saved ? saved.source : 'default'),
+    rendered,
+    sms: TEXT_CHANNELS.includes(channel) ? getSmsInfo(rendered.text) : null,
+    errors,
+    warnings
+  };
+};
+
+// Save an admin's version of a message. Rejects templates with syntax errors or unknown variables.
+const saveTemplate = async ({ key, channel, language = DEFAULT_LANGUAGE, subject, body, html }, adminId = null) => {
+  if (!TEMPLATES[key]) throw httpError(404, `Unknown template: ${key}`);
+  if (!TEMPLATE_CHANNELS.includes(channel)) throw httpError(400, `Unknown channel: ${channel}`);
+  if (!SUPPORTED_LANGUAGES[language]) {
+    throw httpError(400, `Unsupported language: ${language}. Must be one of: ${Object.keys(SUPPORTED_LANGUAGES).join(', ')}`);
+  }
+  if (!body || !String(body).trim()) throw httpError(400, 'Template body is required');
+
+  const preview = await previewTemplate({ key, channel, language, subject, body, html });
+  if (preview.errors.length > 0) {
+    throw Object.assign(httpError(400, `Template has errors: ${preview.errors.join('; ')}`), { details: preview });
+  }
+
+  // Subject and HTML only mean something for email
+  const update = { body, updatedBy: adminId };
+  if (channel === 'email') {
+    update.subject = subject || null;
+    update.html = html || null;
+  }
+  const template = await MessageTemplate.findOneAndUpdate(
+    { key, channel, language: language.toLowerCase() },
+    { $set: update },
+    { new: true, upsert: true, runValidators: true }
+  );
+  return { template, preview };
+};
+
+// Every message with the copy currently in use for each channel and any language variants saved
+const listTemplates = async () => {
+  const stored = await MessageTemplate.find({}).lean();
+  return Promise.all(Object.entries(TEMPLATES).map(async ([key, definition]) => {
+    const channels = {};
+    for (const channel of TEMPLATE_CHANNELS) {
+      const active = await resolveTemplate(key, channel);
+      const variants = stored.filter(t => t.key === key && t.channel === channel).map(t => t.language);
+      if (active || variants.length > 0) channels[channel] = { ...active, languages: variants };
+    }
+    return { key, description: definition.description, variables: definition.variables, channels };
+  }));
+};
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  getAlertSmsTemplates,
+  checkTemplate,
+  resolveTemplate,
+  renderMessage,
+  renderContent,
+  previewTemplate,
+  saveTemplate,
+  listTemplates
+};
@@ -0,0 +1,192 @@
+const Settings = require('../models/Settings');
+const Hospital = require('../models/Hospital');
+const Donor = require('../models/Donor');
+const Location = require('../models/Location');
+const DonationUnit = require('../models/DonationUnit');
+const Notification = require('../models/Notification');
+const { broadcastNotification, broadcastEvent } = require('../utils/notificationStream');
+const { calculateDistance, isValidCoordinates } = require('../utils/geo');
+const { TERMINAL_STATUSES } = require('./requestLifecycle');
+const { findLiveUnit, updateUnitStatus } = require('./unitService');
+const { saveDonorLocation } = require('./locationService');
+
+const DEFAULT_TRACKING = {
+  arrivalRadiusMeters: 150,
+  averageSpeedKmh: 25,
+  updateIntervalSeconds: 30
+};
+
+// Units whose donor is still on the way (or has just arrived)
+const TRACKABLE_UNIT_STATUSES = ['pledged', 'arrived'];
+
+const trackingError = (status, message) => Object.assign(new Error(message), { status });
+
+// Load the configurable tracking settings
+const getTrackingSettings = async () => {
+  try {
+    const settings = await Settings.getSettings();
+    const configured = settings.liveTracking ? settings.liveTracking.toObject() : {};
+    const tracking = { ...DEFAULT_TRACKING };
+    Object.keys(DEFAULT_TRACKING).forEach(key => {
+      if (typeof configured[key] === 'number' && configured[key] > 0) tracking[key] = configured[key];
+    });
+    return tracking;
+  } catch (error) {
+    console.error('Error loading tracking settings, using defaults:', error.message);
+    return { ...DEFAULT_TRACKING };
+  }
+};
+
+// Straight-line travel time at the average speed, in whole minutes
+const estimateEtaMinutes = (distanceKm, averageSpeedKmh) =>
+  distanceKm === null ? null : Math.ceil((distanceKm / averageSpeedKmh) * 60);
+
+const hospitalPosition = (hospital) =>
+  hospital && hospital.location && isValidCoordinates(hospital.location.lat, hospital.location.lng)
+    ? hospital.location
+    : null;
+
+// What the dashboard shows for one travelling donor
+const toTrackingUpdate = (request, donor, location, unit) => ({
+  requestId: request._id,
+  donorId: donor._id,
+  donorName: donor.name,
+  bloodGroup: donor.bloodGroup,
+  unitId: unit ? unit._id : null,
+  unitStatus: unit ? unit.status : null,
+  latitude: location.latitude,
+  longitude: location.longitude,
+  accuracy: location.accuracy,
+  distanceKm: location.distanceKm,
+  etaMinutes: location.etaMinutes,
+  arrived: !!location.arrivedAt,
+  arrivedAt: location.arrivedAt || null,
+  updatedAt: location.timestamp
+});
+
+// Tell the hospital the donor has arrived; kept as a notification, not just a live event
+const notifyArrival = async (request, donor, distanceKm) => {
+  try {
+    const notif = await Notification.create({
+      hospitalId: request.hospitalId,
+      bloodRequestId: request._id,
+      donorId: donor._id,
+      type: 'success',
+      title: 'Donor Arrived',
+      message: `${donor.name} (${donor.bloodGroup}) has arrived at the hospital for your ${request.bloodGroup} request`,
+      meta: { bloodRequestId: request._id, donorId: donor._id, distanceKm, event: 'donor-arrived' }
+    });
+    broadcastNotification(notif);
+  } catch (e) {
+    console.error('Failed to create arrival notification:', e.message);
+  }
+};
+
+// One position update from a pledged donor on their way to the hospital. Works out the
+// distance and straight-line ETA, marks the unit arrived inside the geofence, and pushes
+// the update to the hospital's dashboard.
+// Returns { update, arrived, trackingEnded, nextUpdateInSeconds }.
+const recordTrackingUpdate = async ({ request, donor, coordinates, actor }) => {
+  if (!request) throw trackingError(404, 'Blood request not found');
+  if (!donor) throw trackingError(404, 'Donor not found');
+  if (TERMINAL_STATUSES.includes(request.status)) {
+    throw trackingError(409, `Blood request is ${request.status}; live tracking has ended`);
+  }
+
+  const unit = await findLiveUnit(request._id, { donorId: donor._id });
+  if (!unit) throw trackingError(403, 'Only donors who have pledged for this request can share their journey');
+  if (!TRACKABLE_UNIT_STATUSES.includes(unit.status)) {
+    throw trackingError(409, `Your donation is already ${unit.status}; live tracking has ended`);
+  }
+
+  const settings = await getTrackingSettings();
+  const hospital = await Hospital.findById(request.hospitalId).select('name location');
+  const destination = hospitalPosition(hospital);
+  const distanceKm = destination
+    ? Math.round(calculateDistance(coordinates.latitude, coordinates.longitude, destination.lat, destination.lng) * 100) / 100
+    : null;
+  const insideGeofence = distanceKm !== null && distanceKm * 1000 <= settings.arrivalRadiusMeters;
+  const now = new Date();
+
+  const location = await saveDonorLocation({
+    request,
+    donor,
+    coordinates,
+    source: 'tracking',
+    fields: {
+      isAvailable: true,
+      tracking: true,
+      distanceKm,
+      etaMinutes: insideGeofence ? 0 : estimateEtaMinutes(distanceKm, settings.averageSpeedKmh)
+    },
+    insertFields: { address: `${donor.name} - On the way`, responseTime: now }
+  });
+
+  // Geofence: the first update inside the radius marks the unit arrived
+  let currentUnit = unit;
+  let arrivedNow = false;
+  if (insideGeofence && !location.arrivedAt) {
+    const claimed = await Location.findOneAndUpdate(
+      { _id: location._id, arrivedAt: null },
+      { $set: { arrivedAt: now } },
+      { new: true }
+    );
+    if (claimed) {
+      location.arrivedAt = claimed.arrivedAt;
+      arrivedNow = true;
+      if (unit.status === 'pledged') {
+        ({ unit: currentUnit } = await updateUnitStatus(unit, 'arrived', {
+          actor: actor || { role: 'donor', id: String(donor._id), name: donor.name },
+          reason: `Within ${settings.arrivalRadiusMeters} m of the hospital`
+        }));
+      }
+      await notifyArrival(request, donor, distanceKm);
+      console.log(`🏁 ${donor.name} arrived at the hospital for request ${request._id}`);
+    }
+  }
+
+  const update = toTrackingUpdate(request, donor, location, currentUnit);
+  broadcastEvent(request.hospitalId, 'donor-tracking', { ...update, event: arrivedNow ? 'arrived' : 'position' });
+
+  const arrived = !!location.arrivedAt;
+  return {
+    update,
+    arrived,
+    trackingEnded: arrived,
+    nextUpdateInSeconds: arrived ? null : settings.updateIntervalSeconds
+  };
+};
+
+// Donors currently travelling to (or arrived at) the hospital for a request, for the dashboard on load
+const getRequestTracking = async (request) => {
+  const units = await DonationUnit.find({
+    requestId: request._id,
+    status: { $in: TRACKABLE_UNIT_STATUSES },
+    donorId: { $ne: null }
+  });
+  if (units.length === 0) return [];
+
+  const donorIds = units.map(u => u.donorId);
+  const [donors, locations] = await Promise.all([
+    Donor.find({ _id: { $in: donorIds } }).select('name bloodGroup'),
+    Location.find({ requestId: request._id, donorId: { $in: donorIds }, tracking: true }).lean()
+  ]);
+  const donorById = new Map(donors.map(d => [String(d._id), d]));
+  const unitByDonor = new Map(units.map(u => [String(u.donorId), u]));
+
+  return locations
+    .filter(location => donorById.has(String(location.donorId)))
+    .map(location => {
+      const donorId = String(location.donorId);
+      return toTrackingUpdate(request, donorById.get(donorId), location, unitByDonor.get(donorId));
+    })
+    .sort((a, b) => (a.etaMinutes === null) - (b.etaMinutes === null) || (a.etaMinutes || 0) - (b.etaMinutes || 0));
+};
+
+module.exports = {
+  DEFAULT_TRACKING,
+  getTrackingSettings,
+  estimateEtaMinutes,
+  recordTrackingUpdate,
+  getRequestTracking
+};
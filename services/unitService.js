@@ -0,0 +1,249 @@
+const mongoose = require('mongoose');
+const BloodRequest = require('../models/BloodRequest');
+const DonationUnit = require('../models/DonationUnit');
+const { ACCEPTING_STATUSES, OPEN_STATUSES, SYSTEM_ACTOR, recordConfirmation, tryTransition } = require('./requestLifecycle');
+const { enqueue } = require('./jobQueue');
+
+// Allowed unit moves. Screening can reject a unit on arrival or after collection;
+// pledges not yet collected are released when the request is cancelled.
+const UNIT_TRANSITIONS = {
+  pledged: ['arrived', 'collected', 'rejected-at-screening', 'released'],
+  arrived: ['collected', 'rejected-at-screening', 'released'],
+  collected: ['issued', 'rejected-at-screening'],
+  'rejected-at-screening': [],
+  issued: [],
+  released: []
+};
+
+const UNIT_STATUSES = Object.keys(UNIT_TRANSITIONS);
+// Units that count towards confirmedUnits
+const LIVE_UNIT_STATUSES = ['pledged', 'arrived', 'collected', 'issued'];
+// Units that count towards collectedUnits
+const COLLECTED_UNIT_STATUSES = ['collected', 'issued'];
+
+const TIMESTAMP_FIELDS = {
+  arrived: 'arrivedAt',
+  collected: 'collectedAt',
+  'rejected-at-screening': 'rejectedAt',
+  issued: 'issuedAt',
+  released: 'releasedAt'
+};
+
+const unitError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = 'INVALID_UNIT_TRANSITION';
+  return error;
+};
+
+// The donor's live unit on a request, if any
+const findLiveUnit = (requestId, { donorId, token }) => {
+  const match = [];
+  if (donorId) match.push({ donorId });
+  if (token) match.push({ token });
+  if (match.length === 0) return null;
+  return DonationUnit.findOne({ requestId, status: { $in: LIVE_UNIT_STATUSES }, $or: match });
+};
+
+// Send the next batch when a request needs donors again and no batch is waiting
+const resumeOutreach = async (request) => {
+  if (!ACCEPTING_STATUSES.includes(request.status)) return false;
+  if (request.confirmedUnits >= request.quantity || request.batchInProgress) return false;
+  if (!request.remainingDonorsQueue || request.remainingDonorsQueue.length === 0) return false;
+
+  await enqueue('dispatch-batch', { requestId: String(request._id), batchNumber: (request.batchNumber || 0) + 1 });
+  console.log(`🔄 Resumed donor queue for request ${request._id}`);
+  return true;
+};
+
+// Record a donor's promise of one unit. Counts it against the request (partially fulfilling it).
+// The unit is reserved before it is counted: the unique live-unit indexes let only one of two
+// concurrent pledges by the same donor (or link) through, and the loser gets the winner's unit.
+// Returns { unit, request, created } or null when the request no longer needs units.
+const pledgeUnit = async (requestId, { donorId, donorName, token, actor = SYSTEM_ACTOR, reason = 'Donor pledged' } = {}) => {
+  const existing = await findLiveUnit(requestId, { donorId, token });
+  if (existing) {
+    return { unit: existing, request: await BloodRequest.findById(requestId), created: false };
+  }
+
+  let unit;
+  try {
+    unit = await DonationUnit.create({
+      requestId,
+      donorId,
+      donorName,
+      token,
+      status: 'pledged',
+      history: [{ from: null, to: 'pledged', actor, reason }]
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    const winner = await findLiveUnit(requestId, { donorId, token });
+    if (!winner) return null;
+    return { unit: winner, request: await BloodRequest.findById(requestId), created: false };
+  }
+
+  const request = await recordConfirmation(requestId, { token, actor, reason });
+  if (!request) {
+    // Nothing was counted; give the reservation back
+    await DonationUnit.deleteOne({ _id: unit._id });
+    return null;
+  }
+
+  console.log(`🩸 Unit pledged by ${donorName || donorId} for request ${requestId} (${request.confirmedUnits}/${request.quantity})`);
+  return { unit, request, created: true };
+};
+
+// Bring units saved before the live flag existed in line (run at startup, before indexes are built)
+const backfillLiveFlags = () => DonationUnit.updateMany(
+  { live: { $exists: false } },
+  [{ $set: { live: { $in: ['$status', LIVE_UNIT_STATUSES] } } }]
+);
+
+// Keep the request's counters and status in step with a unit move
+const applyToRequest = async (unit, from, to, actor, reason) => {
+  const donorLabel = unit.donorName || unit.donorId || 'donor';
+
+  if (to === 'collected') {
+    const request = await BloodRequest.findByIdAndUpdate(unit.requestId, { $inc: { collectedUnits: 1 } }, { new: true });
+    if (request && OPEN_STATUSES.includes(request.status) && request.collectedUnits >= request.quantity) {
+      return (await tryTransition(request, 'fulfilled', {
+        actor,
+        reason: `${request.collectedUnits}/${request.quantity} units collected`
+      })) || request;
+    }
+    return request;
+  }
+
+  if (to === 'rejected-at-screening') {
+    const inc = { confirmedUnits: -1 };
+    if (COLLECTED_UNIT_STATUSES.includes(from)) inc.collectedUnits = -1;
+    let request = await BloodRequest.findByIdAndUpdate(unit.requestId, { $inc: inc }, { new: true });
+    if (!request) return null;
+
+    // A rejected unit means the request needs donors again
+    if (request.status === 'fulfilled') {
+      request = (await tryTransition(request, 'partially-fulfilled', {
+        actor,
+        reason: `Unit from ${donorLabel} rejected at screening${reason ? `: ${reason}` : ''}`
+      })) || request;
+    }
+    await resumeOutreach(request);
+    return request;
+  }
+
+  if (to === 'released') {
+    const request = await BloodRequest.findByIdAndUpdate(unit.requestId, { $inc: { confirmedUnits: -1 } }, { new: true });
+    if (request) await resumeOutreach(request);
+    return request;
+  }
+
+  return BloodRequest.findById(unit.requestId);
+};
+
+// Move a unit to a new status. Returns { unit, request }.
+const updateUnitStatus = async (unitOrId, to, { actor = SYSTEM_ACTOR, reason = '', donationHistoryId } = {}) => {
+  if (!UNIT_STATUSES.includes(to)) {
+    throw unitError(`Unknown unit status: ${to}`, 400);
+  }
+
+  const unit = unitOrId instanceof DonationUnit ? unitOrId : await DonationUnit.findById(unitOrId);
+  if (!unit) {
+    throw unitError('Donation unit not found', 404);
+  }
+
+  const from = unit.status;
+  if (from === to) {
+    return { unit, request: await BloodRequest.findById(unit.requestId) };
+  }
+  if (!UNIT_TRANSITIONS[from].includes(to)) {
+    throw unitError(`Cannot change unit from ${from} to ${to}`, 409);
+  }
+
+  const now = new Date();
+  const set = { status: to, live: LIVE_UNIT_STATUSES.includes(to), [TIMESTAMP_FIELDS[to]]: now };
+  if (to === 'rejected-at-screening') set.rejectionReason = reason;
+  if (donationHistoryId) set.donationHistoryId = donationHistoryId;
+
+  const updated = await DonationUnit.findOneAndUpdate(
+    { _id: unit._id, status: from },
+    { $set: set, $push: { history: { from, to, actor, reason, at: now } } },
+    { new: true }
+  );
+  if (!updated) {
+    throw unitError(`Unit ${unit._id} changed status while moving to ${to}`, 409);
+  }
+
+  const request = await applyToRequest(updated, from, to, actor, reason);
+  return { unit: updated, request };
+};
+
+// Mark a donor's unit collected, pledging one first if the donor never pledged.
+// Returns { unit, request } or null when the request could not take another unit.
+const collectUnitForDonor = async (requestId, { donorId, donorName, token, actor, donationHistoryId } = {}) => {
+  let unit = await findLiveUnit(requestId, { donorId, token });
+  if (!unit) {
+    const pledge = await pledgeUnit(requestId, { donorId, donorName, token, actor, reason: 'Walk-in donation' });
+    if (!pledge) return null;
+    unit = pledge.unit;
+  }
+  if (COLLECTED_UNIT_STATUSES.includes(unit.status)) {
+    if (donationHistoryId && !unit.donationHistoryId) {
+      unit = await DonationUnit.findByIdAndUpdate(unit._id, { $set: { donationHistoryId } }, { new: true });
+    }
+    return { unit, request: await BloodRequest.findById(requestId) };
+  }
+  return updateUnitStatus(unit, 'collected', { actor, reason: 'Donation collected', donationHistoryId });
+};
+
+// Release every pledge on a request that has not been collected yet.
+// Returns the released units with their donors populated (for "no longer needed" messages).
+const releasePledgedUnits = async (requestId, { actor = SYSTEM_ACTOR, reason = 'Request closed' } = {}) => {
+  const units = await DonationUnit.find({ requestId, status: { $in: ['pledged', 'arrived'] } });
+  const released = [];
+
+  for (const unit of units) {
+    const now = new Date();
+    const updated = await DonationUnit.findOneAndUpdate(
+      { _id: unit._id, status: unit.status },
+      {
+        $set: { status: 'released', live: false, releasedAt: now },
+        $push: { history: { from: unit.status, to: 'released', actor, reason, at: now } }
+      },
+      { new: true }
+    ).populate('donorId');
+    if (updated) released.push(updated);
+  }
+
+  if (released.length > 0) {
+    await BloodRequest.updateOne({ _id: requestId }, { $inc: { confirmedUnits: -released.length } });
+  }
+  return released;
+};
+
+// Unit counts by status for a request
+const getUnitSummary = async (requestId) => {
+  const counts = await DonationUnit.aggregate([
+    { $match: { requestId: new mongoose.Types.ObjectId(String(requestId)) } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+  const summary = {};
+  UNIT_STATUSES.forEach(status => { summary[status] = 0; });
+  counts.forEach(c => { summary[c._id] = c.count; });
+  return summary;
+};
+
+module.exports = {
+  UNIT_TRANSITIONS,
+  UNIT_STATUSES,
+  LIVE_UNIT_STATUSES,
+  COLLECTED_UNIT_STATUSES,
+  findLiveUnit,
+  pledgeUnit,
+  updateUnitStatus,
+  collectUnitForDonor,
+  resumeOutreach,
+  releasePledgedUnits,
+  backfillLiveFlags,
+  getUnitSummary
+};
@@ -1,110 +1,100 @@
-const mongoose = require('mongoose');
-const Donor = require('./models/Donor');
-
-require('dotenv').config();
-
-const uri = process.env.MONGODB_URI;
-
-async function runTest() {
-    try {
-        console.log('Connecting to MongoDB...');
-        await mongoose.connect(uri);
-        console.log('Connected!');
-
-        // 1. Setup Test Data
-        const baseEmail = `test.donor.${Date.now()}@example.com`;
-
-        // Donor 1: Donated 1 month ago (Should be BLOCKED)
-        const recentDonorDate = new Date();
-        recentDonorDate.setMonth(recentDonorDate.getMonth() - 1);
-
-        // Donor 2: Donated 4 months ago (Should be ALLOWED)
-        const eligibleDonorDate = new Date();
-        eligibleDonorDate.setMonth(eligibleDonorDate.getMonth() - 4);
-
-        // Donor 3: Never donated (Should be ALLOWED)
-        // No date set
-
-        const testDonors = [
-            {
-                name: 'Test Recent',
-                email: 'recent.' + baseEmail,
-                bloodGroup: 'O+',
-                phone: '1234567890',
-                password: 'pass',
-                lastDonationDate: recentDonorDate
-            },
-            {
-                name: 'Test Eligible',
-                email: 'eligible.' + baseEmail,
-                bloodGroup: 'O+',
-                phone: '1234567891',
-                password: 'pass',
-                lastDonationDate: eligibleDonorDate
-            },
-            {
-                name: 'Test New',
-                email: 'new.' + baseEmail,
-                bloodGroup: 'O+',
-                phone: '1234567892',
-                password: 'pass'
-                // No lastDonationDate
-            }
-        ];
-
-        console.log('\nCreating test donors...');
-        const createdDonors = await Donor.create(testDonors);
-        console.log('Created 3 test donors.');
-
-        // 2. Run the Filtering Logic (Simulating bloodRequestController.js)
-        console.log('\n--- TESTING FILTER LOGIC ---');
-        console.log('Simulating request for O+ blood...');
-
-        const threeMonthsAgo = new Date();
-        threeMonthsAgo.setMonth(threeMonthsAgo.getMonth() - 3);
-        console.log('Cutoff Date (3 months ago):', threeMonthsAgo.toLocaleDateString());
-
-        const matchingDonors = createdDonors.filter(donor => {
-            // Logic copied from controller
-            if (donor.lastDonationDate) {
-                const lastDonation = new Date(donor.lastDonationDate);
-
-                if (lastDonation > threeMonthsAgo) {
-                    console.log(`❌ BLOCKING: ${donor.name} (Donated: ${lastDonation.toLocaleDateString()}) - Too recent`);
-                    return false;
-                }
-            }
-
-            console.log(`✅ ALLOWING: ${donor.name} (Donated: ${donor.lastDonationDate ? new Date(donor.lastDonationDate).toLocaleDateString() : 'Never'})`);
-            return true;
-        });
-
-        console.log('---------------------------');
-        console.log(`\nResult: Selected ${matchingDonors.length} out of ${createdDonors.length} donors.`);
-
-        const recentPassed = !matchingDonors.find(d => d.name === 'Test Recent');
-        const eligiblePassed = !!matchingDonors.find(d => d.name === 'Test Eligible');
-        const newPassed = !!matchingDonors.find(d => d.name === 'Test New');
-
-        if (recentPassed && eligiblePassed && newPassed) {
-            console.log('\n🟢 TEST PASSED: Logic correctly filtered donors.');
-        } else {
-            console.log('\n🔴 TEST FAILED: Logic did not work as expected.');
-            console.log('Recent blocked?', recentPassed);
-            console.log('Eligible allowed?', eligiblePassed);
-            console.log('New allowed?', newPassed);
-        }
-
-        // 3. Cleanup
-        console.log('\nCleaning up test data...');
-        await Donor.deleteMany({ email: { $in: testDonors.map(d => d.email) } });
-        console.log('Cleanup done.');
-
-    } catch (err) {
-        console.error('Test Error:', err);
-    } finally {
-        await mongoose.disconnect();
-    }
+const assert = require('assert');
+const { DEFAULT_RULES, evaluateEligibility } = require('./services/eligibilityService');
+
+// Checks the donation eligibility rules used when matching donors to a request.
+// Runs against plain donor objects, so no database is needed: node test_3month_rule.js
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-06-15T12:00:00Z');
+const daysAgo = (days) => new Date(now.getTime() - days * DAY_MS);
+const daysAhead = (days) => new Date(now.getTime() + days * DAY_MS);
+const yearsAgo = (years) => new Date(Date.UTC(now.getUTCFullYear() - years, 0, 1));
+
+const cases = [
+  {
+    name: 'never donated',
+    donor: {},
+    expected: { eligible: true, status: 'eligible' }
+  },
+  {
+    name: 'donated 1 month ago',
+    donor: { lastDonationDate: daysAgo(30) },
+    expected: { eligible: false, status: 'temporarily-deferred', nextEligibleDate: daysAhead(DEFAULT_RULES.deferralDaysDefault - 30) }
+  },
+  {
+    name: 'donated 4 months ago',
+    donor: { lastDonationDate: daysAgo(120) },
+    expected: { eligible: true, status: 'eligible' }
+  },
+  {
+    name: 'male donated 100 days ago',
+    donor: { sex: 'male', lastDonationDate: daysAgo(100) },
+    expected: { eligible: true, status: 'eligible' }
+  },
+  {
+    name: 'female donated 100 days ago',
+    donor: { sex: 'female', lastDonationDate: daysAgo(100) },
+    expected: { eligible: false, status: 'temporarily-deferred', nextEligibleDate: daysAhead(DEFAULT_RULES.deferralDaysFemale - 100) }
+  },
+  {
+    name: 'active tattoo deferral',
+    donor: { deferrals: [{ kind: 'temporary', reason: 'tattoo', endDate: daysAhead(30) }] },
+    expected: { eligible: false, status: 'temporarily-deferred', nextEligibleDate: daysAhead(30) }
+  },
+  {
+    name: 'ended tattoo deferral',
+    donor: { deferrals: [{ kind: 'temporary', reason: 'tattoo', endDate: daysAgo(1) }] },
+    expected: { eligible: true, status: 'eligible' }
+  },
+  {
+    name: 'under the minimum age',
+    donor: { dateOfBirth: yearsAgo(16) },
+    expected: { eligible: false, status: 'temporarily-deferred' }
+  },
+  {
+    name: 'over the maximum age',
+    donor: { dateOfBirth: yearsAgo(70) },
+    expected: { eligible: false, status: 'permanently-deferred', nextEligibleDate: null }
+  },
+  {
+    name: 'under the minimum weight',
+    donor: { weightKg: 40 },
+    expected: { eligible: false, status: 'temporarily-deferred' }
+  },
+  {
+    name: 'permanent deferral',
+    donor: { deferrals: [{ kind: 'permanent', reason: 'illness', notes: 'Hepatitis B' }] },
+    expected: { eligible: false, status: 'permanently-deferred', nextEligibleDate: null }
+  },
+  {
+    name: 'recent donor with an eligible override',
+    donor: { lastDonationDate: daysAgo(30), eligibility: { override: { status: 'eligible', reason: 'Rare group' } } },
+    expected: { eligible: true, status: 'temporarily-deferred', overridden: true }
+  },
+  {
+    name: 'recent donor with an expired override',
+    donor: { lastDonationDate: daysAgo(30), eligibility: { override: { status: 'eligible', expiresAt: daysAgo(1) } } },
+    expected: { eligible: false, status: 'temporarily-deferred', overridden: false }
+  }
+];
+
+let failed = 0;
+cases.forEach(({ name, donor, expected }) => {
+  const result = evaluateEligibility(donor, DEFAULT_RULES, now);
+  try {
+    Object.entries(expected).forEach(([key, value]) => {
+      assert.deepStrictEqual(result[key], value, `${key} is ${JSON.stringify(result[key])}, expected ${JSON.stringify(value)}`);
+    });
+    if (!result.eligible && !result.overridden) assert.ok(result.reasons.length > 0, 'no reason given for blocking');
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+});
+
+if (failed > 0) {
+  console.log(`\n🔴 ${failed} of ${cases.length} eligibility checks failed`);
+  process.exit(1);
 }
-
-runTest();
+console.log(`\n🟢 All ${cases.length} eligibility checks passed`);
@@ -0,0 +1,96 @@
+/**
+ * Red-cell (packed RBC) compatibility rules between donor and recipient blood groups
+ */
+
+const BLOOD_GROUPS = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+
+// Donor group -> recipient groups that can safely receive its red cells
+const DONOR_CAN_GIVE_TO = {
+  'O-': ['O-', 'O+', 'A-', 'A+', 'B-', 'B+', 'AB-', 'AB+'],
+  'O+': ['O+', 'A+', 'B+', 'AB+'],
+  'A-': ['A-', 'A+', 'AB-', 'AB+'],
+  'A+': ['A+', 'AB+'],
+  'B-': ['B-', 'B+', 'AB-', 'AB+'],
+  'B+': ['B+', 'AB+'],
+  'AB-': ['AB-', 'AB+'],
+  'AB+': ['AB+']
+};
+
+const MATCH_MODES = ['exact', 'compatible'];
+
+/**
+ * Normalize a blood group string ('ab +', 'O pos') to the canonical form used in the schemas
+ * @param {String} value - Raw blood group
+ * @returns {String} Canonical blood group, or '' when it cannot be recognised
+ */
+function normalizeBloodGroup(value) {
+  if (!value) return '';
+  const normalized = String(value)
+    .toUpperCase()
+    .replace(/\s+/g, '')
+    .replace(/POS(ITIVE)?$/, '+')
+    .replace(/NEG(ATIVE)?$/, '-');
+  return BLOOD_GROUPS.includes(normalized) ? normalized : '';
+}
+
+/**
+ * Donor groups whose red cells a recipient can receive
+ * @param {String} recipientGroup - Requested blood group
+ * @returns {Array} Donor blood groups
+ */
+function getCompatibleDonorGroups(recipientGroup) {
+  const recipient = normalizeBloodGroup(recipientGroup);
+  if (!recipient) return [];
+  return BLOOD_GROUPS.filter(group => DONOR_CAN_GIVE_TO[group].includes(recipient));
+}
+
+/**
+ * Recipient groups a donor can give red cells to
+ * @param {String} donorGroup - Donor blood group
+ * @returns {Array} Recipient blood groups
+ */
+function getCompatibleRecipientGroups(donorGroup) {
+  const donor = normalizeBloodGroup(donorGroup);
+  return donor ? [...DONOR_CAN_GIVE_TO[donor]] : [];
+}
+
+/**
+ * Check whether a donor can give to a recipient under the given match mode
+ * @param {String} donorGroup - Donor blood group
+ * @param {String} recipientGroup - Requested blood group
+ * @param {String} matchMode - 'exact' or 'compatible' (default: 'compatible')
+ * @returns {Boolean}
+ */
+function isCompatible(donorGroup, recipientGroup, matchMode = 'compatible') {
+  const donor = normalizeBloodGroup(donorGroup);
+  const recipient = normalizeBloodGroup(recipientGroup);
+  if (!donor || !recipient) return false;
+  if (matchMode === 'exact') return donor === recipient;
+  return DONOR_CAN_GIVE_TO[donor].includes(recipient);
+}
+
+/**
+ * Rank a compatible donor group for a recipient (lower is contacted first).
+ * Exact matches come first; other groups follow by how many recipients they can serve,
+ * so versatile donors (O- last of all) are kept for requests only they can cover.
+ * @param {String} donorGroup - Donor blood group
+ * @param {String} recipientGroup - Requested blood group
+ * @returns {Number} Rank, or Infinity when incompatible
+ */
+function getMatchRank(donorGroup, recipientGroup) {
+  const donor = normalizeBloodGroup(donorGroup);
+  const recipient = normalizeBloodGroup(recipientGroup);
+  if (!isCompatible(donor, recipient)) return Infinity;
+  if (donor === recipient) return 0;
+  return DONOR_CAN_GIVE_TO[donor].length;
+}
+
+module.exports = {
+  BLOOD_GROUPS,
+  MATCH_MODES,
+  normalizeBloodGroup,
+  getCompatibleDonorGroups,
+  getCompatibleRecipientGroups,
+  isCompatible,
+  getMatchRank
+};
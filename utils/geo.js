@@ -0,0 +1,87 @@
+/**
+ * Geographic helpers for donor/hospital distance calculations
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+// A last-known donor position older than this is considered stale
+const LAST_KNOWN_MAX_AGE_HOURS = 24;
+
+/**
+ * Great-circle (haversine) distance between two points
+ * @param {Number} lat1 - Latitude of first point
+ * @param {Number} lng1 - Longitude of first point
+ * @param {Number} lat2 - Latitude of second point
+ * @param {Number} lng2 - Longitude of second point
+ * @returns {Number} Distance in kilometers
+ */
+function calculateDistance(lat1, lng1, lat2, lng2) {
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLng = (lng2 - lng1) * Math.PI / 180;
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+    Math.sin(dLng / 2) * Math.sin(dLng / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return EARTH_RADIUS_KM * c;
+}
+
+/**
+ * Check that a lat/lng pair is a usable coordinate
+ * @param {Number} lat - Latitude
+ * @param {Number} lng - Longitude
+ * @returns {Boolean}
+ */
+function isValidCoordinates(lat, lng) {
+  return typeof lat === 'number' && typeof lng === 'number' &&
+    Number.isFinite(lat) && Number.isFinite(lng) &&
+    lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180 &&
+    !(lat === 0 && lng === 0);
+}
+
+/**
+ * Pick the best known position for a donor: a fresh last-known location,
+ * then the home location, then a stale last-known location
+ * @param {Object} donor - Donor document
+ * @returns {Object|null} { lat, lng, source } or null when unknown
+ */
+function getDonorCoordinates(donor) {
+  const lastKnown = donor.lastKnownLocation;
+  const home = donor.homeLocation;
+  const hasLastKnown = lastKnown && isValidCoordinates(lastKnown.lat, lastKnown.lng);
+  const hasHome = home && isValidCoordinates(home.lat, home.lng);
+
+  if (hasLastKnown && lastKnown.updatedAt) {
+    const ageMs = Date.now() - new Date(lastKnown.updatedAt).getTime();
+    if (ageMs <= LAST_KNOWN_MAX_AGE_HOURS * 60 * 60 * 1000) {
+      return { lat: lastKnown.lat, lng: lastKnown.lng, source: 'last-known' };
+    }
+  }
+  if (hasHome) return { lat: home.lat, lng: home.lng, source: 'home' };
+  if (hasLastKnown) return { lat: lastKnown.lat, lng: lastKnown.lng, source: 'last-known' };
+  return null;
+}
+
+/**
+ * Distance from a hospital to a donor, when both positions are known
+ * @param {Object} hospital - Hospital document
+ * @param {Object} donor - Donor document
+ * @returns {Number|null} Distance in kilometers (1 decimal) or null
+ */
+function getDonorDistanceKm(hospital, donor) {
+  const hospitalLocation = hospital && hospital.location;
+  if (!hospitalLocation || !isValidCoordinates(hospitalLocation.lat, hospitalLocation.lng)) return null;
+
+  const donorCoordinates = getDonorCoordinates(donor);
+  if (!donorCoordinates) return null;
+
+  const distance = calculateDistance(hospitalLocation.lat, hospitalLocation.lng, donorCoordinates.lat, donorCoordinates.lng);
+  return Math.round(distance * 10) / 10;
+}
+
+module.exports = {
+  calculateDistance,
+  isValidCoordinates,
+  getDonorCoordinates,
+  getDonorDistanceKm,
+  LAST_KNOWN_MAX_AGE_HOURS
+};
@@ -2,6 +2,7 @@ const mongoose = require('mongoose');
 const BloodRequest = require('../models/BloodRequest');
 const Donor = require('../models/Donor');
 const { broadcastNotification } = require('./notificationStream');
+const { TERMINAL_STATUSES } = require('../services/requestLifecycle');
 
 let changeStream = null;
 
@@ -37,14 +38,14 @@ async function startLocationWatcher() {
                 }
 
                 // CHECK: If request is already fulfilled, do not broadcast new locations
-                if (bloodRequest.status === 'fulfilled' || bloodRequest.status === 'cancelled' || (bloodRequest.confirmedUnits >= bloodRequest.quantity)) {
+                if (TERMINAL_STATUSES.includes(bloodRequest.status) || (bloodRequest.confirmedUnits >= bloodRequest.quantity)) {
                     console.log(`🚫 Request ${bloodRequest._id} is already ${bloodRequest.status}. Skipping notification for late submission.`);
                     return;
                 }
 
-                // Match donor by mobile number only
-                let donor = null;
-                if (newLocation.mobileNumber) {
+                // Locations carry the donor's _id; older ones are matched by mobile number
+                let donor = newLocation.donorId ? await Donor.findById(newLocation.donorId) : null;
+                if (!donor && newLocation.mobileNumber) {
                     const cleanPhone = newLocation.mobileNumber.replace(/\D/g, '');
                     console.log('Searching for donor with phone:', newLocation.mobileNumber);
                     console.log('Cleaned phone number:', cleanPhone);
@@ -57,14 +58,12 @@ async function startLocationWatcher() {
                             { phone: `+${cleanPhone}` }
                         ]
                     });
+                }
 
-                    if (donor) {
-                        console.log('✅ Donor found by phone:', donor.name, donor.bloodGroup);
-                    } else {
-                        console.log('⚠️ No donor found with phone number:', newLocation.mobileNumber);
-                    }
+                if (donor) {
+                    console.log('✅ Donor found:', donor.name, donor.bloodGroup);
                 } else {
-                    console.log('⚠️ No mobile number in location data');
+                    console.log('⚠️ No donor found for location');
                 }
 
                 const donorName = donor ? donor.name : (newLocation.userName || 'Unknown Donor');
@@ -85,6 +84,8 @@ async function startLocationWatcher() {
                         requestBloodGroup: bloodRequest.bloodGroup,
                         latitude: newLocation.latitude,
                         longitude: newLocation.longitude,
+                        accuracy: newLocation.accuracy,
+                        locationSource: newLocation.source,
                         locationId: change.documentKey._id.toString(),
                         ephemeral: true,
                         source: 'change_stream'
@@ -54,6 +54,19 @@ function broadcastNotification(notification) {
   console.log(`✅ Broadcasted to ${set.size} client(s) for hospital ${hospitalId}`);
 }
 
+// Push a non-notification event (e.g. live donor tracking) to one hospital's dashboards.
+// Nothing is stored; clients that are not connected simply miss it.
+function broadcastEvent(hospitalId, type, data) {
+  const set = clients.get(String(hospitalId));
+  if (!set || set.size === 0) return 0;
+
+  const payload = `data: ${JSON.stringify({ type, data })}\n\n`;
+  for (const res of set) {
+    res.write(payload);
+  }
+  return set.size;
+}
+
 function getConnectedClients() {
   const hospitals = [];
   for (const [hospitalId, set] of clients.entries()) {
@@ -68,4 +81,4 @@ function getConnectedClients() {
   };
 }
 
-module.exports = { addClient, removeClient, broadcastNotification, getConnectedClients };
+module.exports = { addClient, removeClient, broadcastNotification, broadcastEvent, getConnectedClients };
@@ -0,0 +1,49 @@
+/**
+ * Phone number helpers. Donor numbers are stored in mixed formats
+ * (9876543210, 09876543210, +919876543210), so lookups try every form.
+ */
+
+const DEFAULT_COUNTRY_CODE = process.env.DEFAULT_COUNTRY_CODE || '91';
+
+/**
+ * Normalise a phone number to E.164 (+<country><number>)
+ * @param {String} raw - Phone number as typed or received
+ * @param {String} countryCode - Country code to assume for local numbers
+ * @returns {String|null} E.164 number, or null if it has no usable digits
+ */
+function normalizePhone(raw, countryCode = DEFAULT_COUNTRY_CODE) {
+  if (!raw) return null;
+  const trimmed = String(raw).trim().replace(/^whatsapp:/i, '');
+  const hasPlus = trimmed.startsWith('+');
+  let digits = trimmed.replace(/\D/g, '');
+  if (!digits) return null;
+
+  if (hasPlus) return `+${digits}`;
+  if (digits.startsWith('00')) return `+${digits.slice(2)}`;
+  if (digits.startsWith('0')) digits = digits.replace(/^0+/, '');
+  if (digits.length === 10) return `+${countryCode}${digits}`;
+  return `+${digits}`;
+}
+
+/**
+ * Every stored form a number might take, for matching against donor records
+ * @param {String} raw - Phone number in any format
+ * @param {String} countryCode - Country code to assume for local numbers
+ * @returns {String[]} Distinct candidate formats
+ */
+function phoneVariants(raw, countryCode = DEFAULT_COUNTRY_CODE) {
+  const e164 = normalizePhone(raw, countryCode);
+  if (!e164) return [];
+
+  const variants = [String(raw).trim(), e164, e164.slice(1)];
+  if (e164.startsWith(`+${countryCode}`)) {
+    const local = e164.slice(countryCode.length + 1);
+    variants.push(local, `0${local}`, `${countryCode}${local}`);
+  }
+  return [...new Set(variants)];
+}
+
+module.exports = {
+  normalizePhone,
+  phoneVariants
+};
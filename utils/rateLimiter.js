@@ -0,0 +1,78 @@
+/**
+ * In-memory limiter for repeated failures (bad tokens, wrong codes) per client IP or other key.
+ * Successful requests are not counted; only failures recorded with recordFailure.
+ */
+
+// Forget idle clients once the table grows this large
+const MAX_TRACKED_CLIENTS = 10000;
+
+/**
+ * Client address as seen by the app (honours trust proxy when configured)
+ * @param {Object} req - Express request
+ * @returns {String}
+ */
+function getClientKey(req) {
+  return req.ip || (req.connection && req.connection.remoteAddress) || 'unknown';
+}
+
+/**
+ * Create a failure limiter
+ * @param {Object} options
+ * @param {Number} options.windowMs - Window failures are counted over
+ * @param {Number} options.maxFailures - Failures allowed in the window before requests are refused
+ * @param {String} options.message - Message sent with the 429 response
+ * @param {Function} options.keyFor - What failures are counted against (defaults to the client IP)
+ * @returns {Object} { middleware, recordFailure, reset, isBlocked }
+ */
+function createFailureLimiter({ windowMs = 15 * 60 * 1000, maxFailures = 10, message = 'Too many failed attempts, please try again later', keyFor = getClientKey } = {}) {
+  const clients = new Map(); // key -> { count, resetAt }
+
+  const prune = (now) => {
+    if (clients.size < MAX_TRACKED_CLIENTS) return;
+    for (const [key, entry] of clients) {
+      if (entry.resetAt <= now) clients.delete(key);
+    }
+  };
+
+  const current = (key, now) => {
+    const entry = clients.get(key);
+    if (!entry || entry.resetAt <= now) return null;
+    return entry;
+  };
+
+  const isBlocked = (req, now = Date.now()) => {
+    const entry = current(keyFor(req), now);
+    return !!entry && entry.count >= maxFailures;
+  };
+
+  const recordFailure = (req, now = Date.now()) => {
+    const key = keyFor(req);
+    const entry = current(key, now);
+    if (entry) {
+      entry.count++;
+    } else {
+      prune(now);
+      clients.set(key, { count: 1, resetAt: now + windowMs });
+    }
+  };
+
+  const reset = (req) => clients.delete(keyFor(req));
+
+  // Refuse requests from clients over the limit until their window runs out
+  const middleware = (req, res, next) => {
+    const now = Date.now();
+    const entry = current(keyFor(req), now);
+    if (entry && entry.count >= maxFailures) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({ success: false, message });
+    }
+    next();
+  };
+
+  return { middleware, recordFailure, reset, isBlocked };
+}
+
+module.exports = {
+  getClientKey,
+  createFailureLimiter
+};
@@ -0,0 +1,119 @@
+/**
+ * Keyword parsing for donor SMS replies. Covers English plus common Hindi and
+ * regional words, in both native script and Latin transliteration.
+ */
+
+const KEYWORDS = {
+  yes: [
+    'yes', 'y', 'yeah', 'yep', 'ok', 'okay', 'confirm', 'coming', 'accept',
+    // Hindi / Urdu
+    'haan', 'han', 'haa', 'ha', 'haanji', 'hanji', 'ji', 'theek', 'thik', 'हाँ', 'हां', 'हा', 'जी',
+    // Marathi
+    'ho', 'hoy', 'होय', 'हो',
+    // Bengali
+    'hya', 'hyan', 'হ্যাঁ', 'হ্যা',
+    // Tamil
+    'aam', 'aama', 'ஆம்', 'ஆமா',
+    // Telugu
+    'avunu', 'అవును',
+    // Kannada
+    'haudu', 'ಹೌದು',
+    // Malayalam
+    'athe', 'അതെ',
+    // Gujarati
+    'હા',
+    // Punjabi
+    'ਹਾਂ'
+  ],
+  no: [
+    'no', 'n', 'nope', 'decline', 'cant', 'cannot', 'busy',
+    // Hindi / Urdu
+    'nahi', 'nahin', 'nai', 'na', 'naa', 'नहीं', 'नही', 'ना',
+    // Marathi
+    'nako', 'नको',
+    // Bengali
+    'না',
+    // Tamil / Kannada / Malayalam
+    'illa', 'illai', 'இல்லை', 'ಇಲ್ಲ', 'ഇല്ല',
+    // Telugu
+    'ledu', 'kaadu', 'లేదు', 'కాదు',
+    // Gujarati
+    'nathi', 'ના',
+    // Punjabi
+    'ਨਹੀਂ'
+  ],
+  stop: [
+    'stop', 'stopall', 'unsubscribe', 'end', 'quit', 'optout',
+    'band', 'bandh', 'बंद', 'ruko', 'रुको'
+  ],
+  start: [
+    'start', 'unstop', 'subscribe', 'resume', 'optin',
+    'shuru', 'शुरू'
+  ],
+  help: [
+    'help', 'info', 'madad', 'sahayata', 'मदद', 'सहायता'
+  ],
+  // Availability: PAUSE (indefinitely) or PAUSE 7 (for 7 days), AVAILABLE to end it
+  pause: [
+    'pause', 'snooze', 'away', 'unavailable'
+  ],
+  available: [
+    'available', 'back', 'unpause'
+  ]
+};
+
+// Longest pause a donor can set by SMS
+const MAX_PAUSE_DAYS = 365;
+
+// Keyword -> intent lookup (first listed intent wins for shared words)
+const LOOKUP = new Map();
+Object.keys(KEYWORDS).forEach(intent => {
+  KEYWORDS[intent].forEach(word => {
+    if (!LOOKUP.has(word)) LOOKUP.set(word, intent);
+  });
+});
+
+/**
+ * Work out what a donor's reply means from its first word
+ * @param {String} text - Raw SMS body
+ * @returns {{intent: String|null, keyword: String|null}} intent is yes/no/stop/start/help/pause/available, or null
+ */
+function parseReplyKeyword(text) {
+  if (!text) return { intent: null, keyword: null };
+
+  const raw = String(text).normalize('NFC').toLowerCase().trim();
+  if (raw === '?') return { intent: 'help', keyword: '?' };
+
+  // Strip punctuation but keep letters and combining marks of any script
+  const cleaned = raw.replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ').trim();
+  if (!cleaned) return { intent: null, keyword: null };
+
+  const words = cleaned.split(/\s+/);
+  // "haan ji", "stop all", "opt out" read as one keyword
+  const candidates = [words.slice(0, 2).join(''), words[0]];
+  for (const word of candidates) {
+    if (LOOKUP.has(word)) return { intent: LOOKUP.get(word), keyword: word };
+  }
+  return { intent: null, keyword: words[0] };
+}
+
+/**
+ * How long a PAUSE reply asks for: "PAUSE 7", "away 10 days", "pause 2 weeks"
+ * @param {String} text - Raw SMS body
+ * @returns {Number|null} Days (capped at MAX_PAUSE_DAYS), or null for an indefinite pause
+ */
+function parsePauseDays(text) {
+  const match = String(text || '').toLowerCase().match(/(\d+)\s*([a-z]*)/);
+  if (!match) return null;
+  const inWeeks = /^(w|wks?|weeks?)$/.test(match[2]);
+  const days = parseInt(match[1], 10) * (inWeeks ? 7 : 1);
+  if (!days) return null;
+  return Math.min(days, MAX_PAUSE_DAYS);
+}
+
+module.exports = {
+  KEYWORDS,
+  MAX_PAUSE_DAYS,
+  parseReplyKeyword,
+  parsePauseDays
+};
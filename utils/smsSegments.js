@@ -0,0 +1,90 @@
+/**
+ * SMS length and segment counting (GSM 03.38 / UCS-2)
+ */
+
+// GSM-7 default alphabet; each counts as one septet
+const GSM7_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+// GSM-7 extension table; each needs an escape so counts as two septets
+const GSM7_EXTENDED = '^{}\\[~]|€\f';
+
+const GSM7_SINGLE = 160;
+const GSM7_MULTI = 153;
+const UCS2_SINGLE = 70;
+const UCS2_MULTI = 67;
+
+// Messages longer than this many segments get a warning (cost and carrier limits)
+const MAX_RECOMMENDED_SEGMENTS = 3;
+
+/**
+ * Characters in the text that cannot be sent as GSM-7
+ * @param {String} text - Message text
+ * @returns {String[]} Distinct offending characters
+ */
+function getNonGsmCharacters(text) {
+  const found = new Set();
+  for (const char of String(text || '')) {
+    if (!GSM7_BASIC.includes(char) && !GSM7_EXTENDED.includes(char)) found.add(char);
+  }
+  return [...found];
+}
+
+/**
+ * Work out the encoding, length and number of segments an SMS will be billed as
+ * @param {String} text - Message text
+ * @returns {Object} { encoding: 'GSM-7'|'UCS-2', length, segments, perSegment, remaining, nonGsmCharacters }
+ */
+function getSmsInfo(text) {
+  const value = String(text || '');
+  const nonGsmCharacters = getNonGsmCharacters(value);
+
+  let encoding;
+  let length;
+  let single;
+  let multi;
+  if (nonGsmCharacters.length === 0) {
+    encoding = 'GSM-7';
+    length = [...value].reduce((sum, char) => sum + (GSM7_EXTENDED.includes(char) ? 2 : 1), 0);
+    single = GSM7_SINGLE;
+    multi = GSM7_MULTI;
+  } else {
+    // UCS-2 counts UTF-16 code units, so emoji and other astral characters take two
+    encoding = 'UCS-2';
+    length = value.length;
+    single = UCS2_SINGLE;
+    multi = UCS2_MULTI;
+  }
+
+  const segments = length === 0 ? 0 : (length <= single ? 1 : Math.ceil(length / multi));
+  const perSegment = segments > 1 ? multi : single;
+  const remaining = segments === 0 ? single : segments * perSegment - length;
+
+  return { encoding, length, segments, perSegment, remaining, nonGsmCharacters };
+}
+
+/**
+ * Human-readable warnings about an SMS body's length and encoding
+ * @param {String} text - Rendered message text
+ * @returns {String[]}
+ */
+function getSmsWarnings(text) {
+  const info = getSmsInfo(text);
+  const warnings = [];
+  if (info.segments > 1) {
+    warnings.push(`${info.length} characters: sent as ${info.segments} SMS segments (${info.perSegment} per segment, ${info.encoding})`);
+  }
+  if (info.segments > MAX_RECOMMENDED_SEGMENTS) {
+    warnings.push(`Longer than ${MAX_RECOMMENDED_SEGMENTS} segments; some carriers drop or truncate long messages`);
+  }
+  if (info.encoding === 'UCS-2') {
+    warnings.push(`Characters outside GSM-7 (${info.nonGsmCharacters.slice(0, 5).join(' ')}) force Unicode: only ${UCS2_SINGLE} characters per message`);
+  }
+  return warnings;
+}
+
+module.exports = {
+  MAX_RECOMMENDED_SEGMENTS,
+  getNonGsmCharacters,
+  getSmsInfo,
+  getSmsWarnings
+};
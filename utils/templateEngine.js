@@ -0,0 +1,100 @@
+/**
+ * Minimal message template language used for SMS, email and voice copy.
+ *
+ *   {name}                       variable
+ *   {#if name}...{else}...{/if}  conditional on a truthy variable (may nest, else is optional)
+ *
+ * Anything else in braces is left as written.
+ */
+
+const TOKEN_PATTERN = /\{(#if\s+([A-Za-z_][A-Za-z0-9_]*)|else|\/if|([A-Za-z_][A-Za-z0-9_]*))\}/g;
+
+/**
+ * Parse a template into a tree of text, variable and conditional nodes
+ * @param {String} source - Template text
+ * @returns {Object} { nodes, variables: [names used], errors: [messages] }
+ */
+function parseTemplate(source) {
+  const root = { children: [] };
+  const stack = [root];
+  const variables = new Set();
+  const errors = [];
+  let target = root.children;
+  let lastIndex = 0;
+  let match;
+
+  const text = String(source || '');
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(text)) !== null) {
+    if (match.index > lastIndex) target.push({ type: 'text', value: text.slice(lastIndex, match.index) });
+    lastIndex = TOKEN_PATTERN.lastIndex;
+
+    if (match[2]) {
+      const node = { type: 'if', name: match[2], then: [], otherwise: [], inElse: false };
+      variables.add(match[2]);
+      target.push(node);
+      stack.push(node);
+      target = node.then;
+    } else if (match[1] === 'else') {
+      const node = stack[stack.length - 1];
+      if (node === root || node.inElse) {
+        errors.push(`Unexpected {else} at position ${match.index}`);
+        continue;
+      }
+      node.inElse = true;
+      target = node.otherwise;
+    } else if (match[1] === '/if') {
+      if (stack.length === 1) {
+        errors.push(`Unexpected {/if} at position ${match.index}`);
+        continue;
+      }
+      stack.pop();
+      const parent = stack[stack.length - 1];
+      target = parent === root ? root.children : (parent.inElse ? parent.otherwise : parent.then);
+    } else {
+      variables.add(match[3]);
+      target.push({ type: 'var', name: match[3] });
+    }
+  }
+  if (lastIndex < text.length) target.push({ type: 'text', value: text.slice(lastIndex) });
+
+  stack.slice(1).forEach(node => errors.push(`{#if ${node.name}} is never closed with {/if}`));
+  return { nodes: root.children, variables: [...variables], errors };
+}
+
+const isTruthy = (value) => Array.isArray(value) ? value.length > 0 : Boolean(value);
+
+function renderNodes(nodes, variables, missing) {
+  return nodes.map(node => {
+    if (node.type === 'text') return node.value;
+    if (node.type === 'var') {
+      const value = variables[node.name];
+      if (value === undefined || value === null) {
+        missing.add(node.name);
+        return '';
+      }
+      return String(value);
+    }
+    return renderNodes(isTruthy(variables[node.name]) ? node.then : node.otherwise, variables, missing);
+  }).join('');
+}
+
+/**
+ * Render a template with variables. Missing variables render as empty text and are reported.
+ * @param {String} source - Template text
+ * @param {Object} variables - Values by name
+ * @returns {Object} { output, missing: [names], errors: [syntax errors] }
+ */
+function renderTemplate(source, variables = {}) {
+  const { nodes, errors } = parseTemplate(source);
+  const missing = new Set();
+  const output = renderNodes(nodes, variables, missing)
+    .replace(/[ \t]{2,}/g, ' ')
+    .trim();
+  return { output, missing: [...missing], errors };
+}
+
+module.exports = {
+  parseTemplate,
+  renderTemplate
+};
@@ -0,0 +1,130 @@
+/**
+ * Local-time helpers for daily windows such as notification quiet hours
+ */
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Kolkata';
+
+/**
+ * Check that a string is an IANA timezone Intl understands
+ * @param {String} timeZone - e.g. 'Asia/Kolkata'
+ * @returns {Boolean}
+ */
+function isValidTimezone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Parse "HH:MM" into minutes after midnight
+ * @param {String} value - Time of day, 24-hour
+ * @returns {Number|null} Minutes after midnight, or null if malformed
+ */
+function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+/**
+ * Minutes after local midnight for an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {String} timeZone - IANA timezone
+ * @returns {Number}
+ */
+function getLocalMinutes(date, timeZone = DEFAULT_TIMEZONE) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: isValidTimezone(timeZone) ? timeZone : DEFAULT_TIMEZONE,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const hour = Number(parts.find(p => p.type === 'hour').value);
+  const minute = Number(parts.find(p => p.type === 'minute').value);
+  return hour * 60 + minute;
+}
+
+/**
+ * Whether an instant falls inside a daily local window. Windows may wrap midnight (22:00-06:00).
+ * @param {Date} date - Instant
+ * @param {String} start - Window start "HH:MM"
+ * @param {String} end - Window end "HH:MM" (exclusive)
+ * @param {String} timeZone - IANA timezone
+ * @returns {Boolean} true when inside, or when the window is malformed or empty
+ */
+function isWithinDailyWindow(date, start, end, timeZone = DEFAULT_TIMEZONE) {
+  const startMin = parseTimeOfDay(start);
+  const endMin = parseTimeOfDay(end);
+  if (startMin === null || endMin === null || startMin === endMin) return true;
+
+  const now = getLocalMinutes(date, timeZone);
+  return startMin < endMin
+    ? now >= startMin && now < endMin
+    : now >= startMin || now < endMin;
+}
+
+/**
+ * Next instant the local clock reads `start` (now, if it already does)
+ * @param {Date} date - Instant to count from
+ * @param {String} start - Time of day "HH:MM"
+ * @param {String} timeZone - IANA timezone
+ * @returns {Date}
+ */
+function nextLocalTime(date, start, timeZone = DEFAULT_TIMEZONE) {
+  const startMin = parseTimeOfDay(start);
+  if (startMin === null) return new Date(date);
+  const waitMinutes = (startMin - getLocalMinutes(date, timeZone) + 1440) % 1440;
+  const next = new Date(date.getTime() + waitMinutes * 60 * 1000);
+  next.setSeconds(0, 0);
+  return next;
+}
+
+/**
+ * Format an instant as local "HH:MM"
+ * @param {Date} date - Instant
+ * @param {String} timeZone - IANA timezone
+ * @returns {String}
+ */
+function formatLocalTime(date, timeZone = DEFAULT_TIMEZONE) {
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone: isValidTimezone(timeZone) ? timeZone : DEFAULT_TIMEZONE,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).format(date);
+}
+
+/**
+ * Format an instant as a short local date and time, e.g. "19 Oct, 18:00"
+ * @param {Date} date - Instant
+ * @param {String} timeZone - IANA timezone
+ * @returns {String}
+ */
+function formatLocalDateTime(date, timeZone = DEFAULT_TIMEZONE) {
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone: isValidTimezone(timeZone) ? timeZone : DEFAULT_TIMEZONE,
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).format(date);
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  parseTimeOfDay,
+  getLocalMinutes,
+  isWithinDailyWindow,
+  nextLocalTime,
+  formatLocalTime,
+  formatLocalDateTime
+};